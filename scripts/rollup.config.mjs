@@ -20,50 +20,58 @@ const moduleName = 'xcxMesh';
 const outputDir = path.resolve(process.cwd(), './dist');
 fs.emptyDirSync(outputDir);
 const moduleFile = path.resolve(outputDir, `${moduleName}.mjs`);
+// path for PeerJS which is loaded as 'local' source
+const peerJSFile = path.resolve(outputDir, 'peerjs.mjs');
+
+const createPlugins = () => [
+    importImage(),
+    commonjs(),
+    nodePolifills(),
+    nodeResolve({
+        browser: true, 
+        preferBuiltins: false, 
+        modulePaths: [
+            path.resolve(process.cwd(), './node_modules'),
+        ],
+    }),
+    json(),
+    babel({
+        babelrc: false,
+        presets: [
+            ['@babel/preset-env',
+                {
+                    "modules": false,
+                    targets: {
+                        browsers: [
+                            'last 3 versions',
+                            'Safari >= 8',
+                            'iOS >= 8']
+                    }
+                }
+            ],
+            '@babel/preset-react'
+        ],
+        babelHelpers: 'runtime',
+        plugins: [
+            '@babel/plugin-transform-react-jsx',
+            ["@babel/plugin-transform-runtime",
+                { "regenerator": true }]
+        ],
+    }),
+];
 
 const rollupOptions = {
     input: [entryFile, blockFile],
     plugins: [
         multi(),
-        importImage(),
-        commonjs(),
-        nodePolifills(),
-        nodeResolve({
-            browser: true, 
-            preferBuiltins: false, 
-            modulePaths: [
-                path.resolve(process.cwd(), './node_modules'),
-            ],
-        }),
-        json(),
-        babel({
-            babelrc: false,
-            presets: [
-                ['@babel/preset-env',
-                    {
-                        "modules": false,
-                        targets: {
-                            browsers: [
-                                'last 3 versions',
-                                'Safari >= 8',
-                                'iOS >= 8']
-                        }
-                    }
-                ],
-                '@babel/preset-react'
-            ],
-            babelHelpers: 'runtime',
-            plugins: [
-                '@babel/plugin-transform-react-jsx',
-                ["@babel/plugin-transform-runtime",
-                    { "regenerator": true }]
-            ],
-        }),
+        ...createPlugins(),
     ],
     output: {
         file: moduleFile,
         format: 'es',
         sourcemap: true,
+        // PeerJS imported dynamically as 'bundled' source is included in the module.
+        inlineDynamicImports: true,
     },
     watch: {
         clearScreen: false,
@@ -72,9 +80,16 @@ const rollupOptions = {
         },
         buildDelay: 500,
     },
-    external: [
-        'https://cdn.jsdelivr.net/npm/peerjs@1.5.4/+esm',
-    ],
 }
 
-export default rollupOptions;
+// PeerJS is also built as a separated module to be placed next to the extension.
+const peerJSOptions = {
+    input: 'peerjs',
+    plugins: createPlugins(),
+    output: {
+        file: peerJSFile,
+        format: 'es',
+    },
+}
+
+export default [rollupOptions, peerJSOptions];
@@ -0,0 +1,271 @@
+import uid from '../../util/uid';
+import {toScratchValue, toScratchList} from './structured-value';
+
+/**
+ * Name of the stage variable which keeps the bindings in the project.
+ * @type {string}
+ */
+const BINDINGS_VARIABLE_NAME = 'xcxMesh bindings';
+
+/**
+ * Type of the stage variable which keeps the bindings.
+ * The palette shows only variables and lists, so the variable of this type is hidden from it.
+ * A project file saves it as a variable, and it takes this type again when the project is loaded.
+ * @type {string}
+ */
+const BINDINGS_VARIABLE_TYPE = 'xcxMesh_bindings';
+
+/**
+ * Type of Scratch lists.
+ * @type {string}
+ */
+const LIST_TYPE = 'list';
+
+/**
+ * Class which binds Scratch variables and lists to shared variables of a mesh.
+ *
+ * Local changes are found by polling the bound variables and written to the shared variables.
+ * Changes by other peers are written into the bound variables.
+ * The bindings are saved as JSON text in a hidden stage variable, so they are saved with the project
+ * and restored when the project is loaded.
+ */
+class Bindings {
+    /**
+     * Create bindings.
+     * @param {Runtime} runtime - Scratch runtime which has the variables
+     * @param {Mesh} mesh - Mesh which has the shared variables
+     */
+    constructor (runtime, mesh) {
+        /** @type {Runtime} Scratch runtime which has the variables */
+        this.runtime = runtime;
+        /** @type {Mesh} Mesh which has the shared variables */
+        this.mesh = mesh;
+        /**
+         * Bound variables and the JSON text of their values which were synced last
+         * @type {Array<{target: string, name: string, type: string, key: string, channel: string, synced: string}>}
+         */
+        this.bindings = [];
+        /**
+         * Milliseconds between checks of the bound variables.
+         * The checks have to poll, because the runtime emits no event when a script or a monitor sets a variable.
+         * @type {number}
+         */
+        this.syncInterval = 50;
+        /** @type {?number} Timer of the checks */
+        this._timer = null;
+        if (runtime.on) {
+            runtime.on('PROJECT_LOADED', () => this.load());
+        }
+    }
+
+    /**
+     * Bind a Scratch variable or list to a shared variable.
+     * The variable takes the shared value if it exists, otherwise the variable's value is shared.
+     * @param {Target} target - Target which looks up the variable
+     * @param {string} name - Name of the variable
+     * @param {string} type - Type of the variable, '' for a variable or 'list' for a list
+     * @param {string} key - Key of the shared variable
+     * @param {string} [channel] - Channel name, empty for the default channel
+     */
+    bind (target, name, type, key, channel) {
+        const variable = target.lookupVariableByNameAndType(name, type);
+        if (!variable) {
+            throw new Error(`${type === LIST_TYPE ? 'List' : 'Variable'} "${name}" is not found`);
+        }
+        const owner = (target.variables[variable.id] === variable) ? target : this.runtime.getTargetForStage();
+        const binding = {
+            target: owner.getName(),
+            name: name,
+            type: type,
+            key: key,
+            channel: channel || '',
+            synced: ''
+        };
+        this.bindings = this.bindings
+            .filter(other => !(other.target === binding.target && other.name === name && other.type === type))
+            .concat(binding);
+        const shared = this.mesh.sharedVar(key, binding.channel);
+        if (typeof shared === 'undefined') {
+            this._publish(binding, variable);
+        } else {
+            this._write(binding, variable, shared);
+        }
+        this.save();
+        this._start();
+    }
+
+    /**
+     * Stop syncing the variables which are bound to a shared variable.
+     * @param {string} key - Key of the shared variable
+     * @param {string} [channel] - Channel name, empty for the default channel
+     * @returns {boolean} True if any binding was removed
+     */
+    unbind (key, channel) {
+        const count = this.bindings.length;
+        this.bindings = this.bindings
+            .filter(binding => !(binding.key === key && binding.channel === (channel || '')));
+        if (this.bindings.length === count) return false;
+        this.save();
+        if (this.bindings.length === 0) this._stop();
+        return true;
+    }
+
+    /**
+     * Write a change of a shared variable by another peer into the bound variables.
+     * @param {object} event - 'sharedVarChanged' mesh event
+     */
+    onSharedVarChanged (event) {
+        this.bindings
+            .filter(binding => binding.key === event.data && binding.channel === (event.channel || ''))
+            .forEach(binding => {
+                const variable = this._lookUp(binding);
+                if (!variable) return;
+                this._write(binding, variable, event.deleted ? null : event.value);
+            });
+    }
+
+    /**
+     * Share the values of the bound variables which were changed by scripts.
+     */
+    sync () {
+        this.bindings.forEach(binding => {
+            const variable = this._lookUp(binding);
+            if (!variable) return;
+            if (JSON.stringify(variable.value) === binding.synced) return;
+            this._publish(binding, variable);
+        });
+    }
+
+    /**
+     * Save the bindings in the hidden stage variable.
+     */
+    save () {
+        const stage = this.runtime.getTargetForStage();
+        if (!stage) return;
+        let variable = stage.lookupVariableByNameAndType(BINDINGS_VARIABLE_NAME, BINDINGS_VARIABLE_TYPE, true);
+        if (!variable) {
+            if (this.bindings.length === 0) return;
+            const id = uid();
+            stage.createVariable(id, BINDINGS_VARIABLE_NAME, '');
+            variable = stage.variables[id];
+            variable.type = BINDINGS_VARIABLE_TYPE;
+        }
+        variable.value = JSON.stringify(this.bindings.map(binding => ({
+            target: binding.target,
+            name: binding.name,
+            type: binding.type,
+            key: binding.key,
+            channel: binding.channel
+        })));
+    }
+
+    /**
+     * Restore the bindings from the stage variable of the loaded project.
+     * The variable was loaded as a plain variable, so it is hidden from the palette again.
+     * The variables keep their values until the shared variables change.
+     */
+    load () {
+        this._stop();
+        this.bindings = [];
+        const stage = this.runtime.getTargetForStage();
+        if (!stage) return;
+        const variable = stage.lookupVariableByNameAndType(BINDINGS_VARIABLE_NAME, BINDINGS_VARIABLE_TYPE, true) ||
+            stage.lookupVariableByNameAndType(BINDINGS_VARIABLE_NAME, '', true);
+        if (!variable) return;
+        if (variable.type !== BINDINGS_VARIABLE_TYPE) {
+            variable.type = BINDINGS_VARIABLE_TYPE;
+            if (this.runtime.requestBlocksUpdate) this.runtime.requestBlocksUpdate();
+        }
+        let records = [];
+        try {
+            records = JSON.parse(variable.value);
+        } catch (e) {
+            return;
+        }
+        if (!Array.isArray(records)) return;
+        this.bindings = records
+            .filter(record => record && typeof record.name === 'string' && typeof record.key === 'string')
+            .map(record => {
+                const binding = {
+                    target: String(record.target),
+                    name: record.name,
+                    type: record.type === LIST_TYPE ? LIST_TYPE : '',
+                    key: record.key,
+                    channel: record.channel || '',
+                    synced: ''
+                };
+                const bound = this._lookUp(binding);
+                binding.synced = bound ? JSON.stringify(bound.value) : '';
+                return binding;
+            });
+        if (this.bindings.length > 0) this._start();
+    }
+
+    /**
+     * Share the value of the variable.
+     * @param {object} binding - Binding of the variable
+     * @param {Variable} variable - Bound variable
+     * @private
+     */
+    _publish (binding, variable) {
+        const value = binding.type === LIST_TYPE ? variable.value.slice() : variable.value;
+        binding.synced = JSON.stringify(variable.value);
+        this.mesh.setSharedVar(binding.key, value, binding.channel);
+    }
+
+    /**
+     * Write a shared value into the variable.
+     * @param {object} binding - Binding of the variable
+     * @param {Variable} variable - Bound variable
+     * @param {any} value - Shared value, null when it was deleted
+     * @private
+     */
+    _write (binding, variable, value) {
+        if (binding.type === LIST_TYPE) {
+            variable.value = toScratchList(value);
+            variable._monitorUpToDate = false;
+        } else {
+            variable.value = toScratchValue(value);
+        }
+        binding.synced = JSON.stringify(variable.value);
+    }
+
+    /**
+     * Find the bound variable.
+     * @param {object} binding - Binding of the variable
+     * @returns {?Variable} Bound variable, null if the target or the variable was removed
+     * @private
+     */
+    _lookUp (binding) {
+        const stage = this.runtime.getTargetForStage();
+        const target = (stage && stage.getName() === binding.target) ?
+            stage :
+            this.runtime.getSpriteTargetByName(binding.target);
+        if (!target) return null;
+        return target.lookupVariableByNameAndType(binding.name, binding.type) || null;
+    }
+
+    /**
+     * Start checking the bound variables.
+     * @private
+     */
+    _start () {
+        if (this._timer) return;
+        this._timer = setInterval(() => this.sync(), this.syncInterval);
+    }
+
+    /**
+     * Stop checking the bound variables.
+     * @private
+     */
+    _stop () {
+        clearInterval(this._timer);
+        this._timer = null;
+    }
+}
+
+export {
+    Bindings as default,
+    BINDINGS_VARIABLE_NAME,
+    BINDINGS_VARIABLE_TYPE
+};
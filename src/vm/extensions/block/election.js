@@ -0,0 +1,160 @@
+/**
+ * Class which elects one leader among the connected peers of a mesh.
+ *
+ * The peer with the smallest ID wins, and each new leader takes a term number
+ * which is larger than any term it has seen.
+ * The leader announces itself periodically by flooding.
+ * A peer which does not hear the leader for a while takes over with the next term,
+ * and a peer which hears a leader with a larger ID than itself takes over too.
+ * So each group of connected peers converges on its smallest ID when the group splits,
+ * and the groups agree on the smaller leader when they merge.
+ */
+class Election {
+    /**
+     * Create an election.
+     * @param {Mesh} mesh - Mesh which joins the election
+     */
+    constructor (mesh) {
+        /** @type {Mesh} Mesh which joins the election */
+        this.mesh = mesh;
+        /** @type {?string} Mesh ID of the current leader */
+        this.leaderID = null;
+        /** @type {number} Term number of the current leader */
+        this.term = 0;
+        /** @type {number} Milliseconds between announcements of the leader */
+        this.announceInterval = 1000;
+        /** @type {number} Milliseconds without announcements to regard the leader as lost */
+        this.leaderTimeout = 3000;
+        /** @type {number} Time when the leader was heard last */
+        this.lastHeard = 0;
+        /** @type {?number} Timer of the announcements and the timeout */
+        this._timer = null;
+    }
+
+    /**
+     * True if this peer is the leader
+     * @type {boolean}
+     */
+    get isLeader () {
+        return !!this.mesh.id && this.leaderID === this.mesh.id;
+    }
+
+    /**
+     * Start the election as the leader of itself.
+     */
+    start () {
+        this.stop();
+        this._takeOver(this.term + 1);
+        this._timer = setInterval(() => this._tick(), this.announceInterval);
+    }
+
+    /**
+     * Stop the election and forget the leader.
+     */
+    stop () {
+        clearInterval(this._timer);
+        this._timer = null;
+        this.leaderID = null;
+        this.term = 0;
+    }
+
+    /**
+     * Announce the leadership or check the timeout of the leader.
+     * @private
+     */
+    _tick () {
+        if (this.isLeader) {
+            this._announce();
+        } else if (Date.now() - this.lastHeard > this.leaderTimeout) {
+            this._takeOver(this.term + 1);
+        }
+    }
+
+    /**
+     * Announce the leadership to the new peer when this peer is the leader.
+     */
+    onConnected () {
+        if (this.isLeader) {
+            this._announce();
+        }
+    }
+
+    /**
+     * Take over immediately when the connection to the leader was lost.
+     * @param {string} remoteID - Mesh ID of the peer which was lost
+     */
+    onDisconnected (remoteID) {
+        if (this._timer && remoteID === this.leaderID) {
+            this._takeOver(this.term + 1);
+        }
+    }
+
+    /**
+     * Handle an announcement of a leader.
+     * @param {{leaderID: string, term: number}} data - 'leader' message
+     */
+    receive (data) {
+        if (!this._timer) return;
+        if (this.mesh.id < data.leaderID) {
+            // This peer has priority over the announced leader.
+            this._takeOver(Math.max(this.term, data.term) + 1);
+            return;
+        }
+        if (this.leaderID !== null && data.leaderID > this.leaderID && data.term <= this.term) {
+            // The current leader has priority, the announced leader will give up when it hears the current one.
+            return;
+        }
+        this.lastHeard = Date.now();
+        this._setLeader(data.leaderID, Math.max(this.term, data.term));
+    }
+
+    /**
+     * Become the leader with the term and announce it.
+     * @param {number} term - Term number
+     * @private
+     */
+    _takeOver (term) {
+        this._setLeader(this.mesh.id, term);
+        this._announce();
+    }
+
+    /**
+     * Send the leadership to all peers.
+     * @private
+     */
+    _announce () {
+        const mesh = this.mesh;
+        const sequence = mesh._nextMessageSequence();
+        const data = {
+            id: mesh._messageID(sequence),
+            seq: sequence,
+            sender: mesh.id,
+            time: Date.now(),
+            type: 'leader',
+            leaderID: this.leaderID,
+            term: this.term
+        };
+        mesh._markMessageSeen(data.id);
+        mesh.connections.forEach(conn => conn.send(data));
+    }
+
+    /**
+     * Update the leader and notify the change.
+     * @param {string} leaderID - Mesh ID of the leader
+     * @param {number} term - Term number
+     * @private
+     */
+    _setLeader (leaderID, term) {
+        this.term = term;
+        if (leaderID === this.leaderID) return;
+        this.leaderID = leaderID;
+        this.mesh.onLeaderChanged(leaderID);
+        this.mesh._dispatchMeshEvent({
+            type: 'leaderChanged',
+            data: leaderID,
+            term: term
+        });
+    }
+}
+
+export default Election;
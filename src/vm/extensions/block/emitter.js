@@ -0,0 +1,53 @@
+/**
+ * Minimal event emitter with the API used by PeerJS.
+ */
+class Emitter {
+    constructor () {
+        /** @type {Map<string, Array<Function>>} listeners for each event */
+        this._listeners = new Map();
+    }
+
+    /**
+     * Add a listener for the event.
+     * @param {string} event - event name
+     * @param {Function} listener - callback function
+     * @returns {Emitter} this
+     */
+    on (event, listener) {
+        if (!this._listeners.has(event)) {
+            this._listeners.set(event, []);
+        }
+        this._listeners.get(event).push(listener);
+        return this;
+    }
+
+    /**
+     * Remove a listener for the event.
+     * @param {string} event - event name
+     * @param {Function} listener - callback function
+     * @returns {Emitter} this
+     */
+    off (event, listener) {
+        const listeners = this._listeners.get(event);
+        if (listeners) {
+            const index = listeners.indexOf(listener);
+            if (index > -1) {
+                listeners.splice(index, 1);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Call all listeners of the event.
+     * @param {string} event - event name
+     * @param {...any} args - arguments for the listeners
+     */
+    emit (event, ...args) {
+        const listeners = this._listeners.get(event);
+        if (!listeners) return;
+        listeners.slice().forEach(listener => listener(...args));
+    }
+}
+
+export default Emitter;
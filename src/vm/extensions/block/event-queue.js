@@ -0,0 +1,217 @@
+/**
+ * Policy of the event queue when events arrive faster than they are processed.
+ * @enum {string}
+ */
+const QueuePolicy = {
+    UNBOUNDED: 'unbounded',
+    DROP_OLDEST: 'dropOldest',
+    DROP_NEWEST: 'dropNewest',
+    COALESCE: 'coalesce'
+};
+
+/**
+ * Get the key of the stream which the event belongs to.
+ * Events of a stream are numbered in order by the sender: broadcasts per channel and direct events per target.
+ * The message ID without the sequence number tells the sender and its session,
+ * so a sender which restarted its numbers makes a new stream.
+ * @param {object} event - 'event' or 'direct' message
+ * @returns {string} stream key
+ */
+const streamKeyOf = function (event) {
+    const session = event.id.slice(0, event.id.lastIndexOf(':'));
+    return `${session}\u001f${event.type === 'direct' ? '>' : (event.channel || '')}`;
+};
+
+/**
+ * Get the key to coalesce the event with the waiting events.
+ * @param {object} event - 'event' or 'direct' message
+ * @returns {string} coalescing key
+ */
+const coalesceKeyOf = event => `${event.sender}\u001f${event.type}\u001f${event.channel || ''}\u001f${event.eventType}`;
+
+/**
+ * Class which queues the shared events of a mesh until the hats process them.
+ *
+ * The events of each sender are delivered in the order they were sent.
+ * An event which arrived ahead of a missing one is held until the missing one arrives,
+ * or the gap timeout passes and the missing events are counted as missed.
+ * When the queue is full, the policy decides which events are dropped.
+ */
+class EventQueue {
+    /**
+     * Create an event queue.
+     * @param {Mesh} mesh - Mesh which receives the events
+     */
+    constructor (mesh) {
+        /** @type {Mesh} Mesh which receives the events */
+        this.mesh = mesh;
+        /** @type {Array<object>} Events waiting to be processed in order */
+        this.events = [];
+        /** @type {QueuePolicy} Policy when the queue is full */
+        this.policy = QueuePolicy.DROP_OLDEST;
+        /** @type {number} Max number of waiting events for the drop policies */
+        this.maxLength = 10;
+        /** @type {number} Number of the events which were dropped by this peer */
+        this.droppedCount = 0;
+        /** @type {number} Number of the events which never arrived */
+        this.missedCount = 0;
+        /** @type {number} Milliseconds to wait for a missing event */
+        this.gapTimeout = 1000;
+        /**
+         * Sequence number which is expected next and the events held ahead of it, by the stream key
+         * @type {Map<string, {expected: number, held: Map<number, object>, timer: ?number}>}
+         */
+        this.streams = new Map();
+    }
+
+    /**
+     * Number of the waiting events
+     * @type {number}
+     */
+    get length () {
+        return this.events.length;
+    }
+
+    /**
+     * Set the policy when the queue is full.
+     * @param {QueuePolicy} policy - Policy
+     * @param {number} [maxLength] - Max number of waiting events for the drop policies
+     */
+    setPolicy (policy, maxLength) {
+        if (!Object.values(QueuePolicy).includes(policy)) {
+            throw new Error(`Unknown event queue policy "${policy}"`);
+        }
+        this.policy = policy;
+        if (typeof maxLength === 'number' && !isNaN(maxLength)) {
+            this.maxLength = Math.max(1, Math.floor(maxLength));
+        }
+    }
+
+    /**
+     * Receive an event and queue it in the order of its sender.
+     * An event without a sequence number, from an older version, is queued as it arrived.
+     * @param {object} event - 'event' or 'direct' message
+     */
+    receive (event) {
+        if (typeof event.eventSeq !== 'number') {
+            this._enqueue(event);
+            return;
+        }
+        const key = streamKeyOf(event);
+        let stream = this.streams.get(key);
+        if (!stream) {
+            // The first event which this peer receives from the stream starts it.
+            stream = {expected: event.eventSeq, held: new Map(), timer: null};
+            this.streams.set(key, stream);
+        }
+        if (event.eventSeq < stream.expected) {
+            // It came after the gap was given up.
+            this.droppedCount++;
+            return;
+        }
+        stream.held.set(event.eventSeq, event);
+        this._flush(key, stream);
+    }
+
+    /**
+     * Queue the held events of the stream which are in order.
+     * The gap timer runs while events are held ahead of a missing one.
+     * @param {string} key - Stream key
+     * @param {object} stream - Stream
+     * @private
+     */
+    _flush (key, stream) {
+        while (stream.held.has(stream.expected)) {
+            const event = stream.held.get(stream.expected);
+            stream.held.delete(stream.expected);
+            stream.expected++;
+            this._enqueue(event);
+        }
+        if (stream.held.size === 0) {
+            clearTimeout(stream.timer);
+            stream.timer = null;
+        } else if (!stream.timer) {
+            stream.timer = setTimeout(() => {
+                stream.timer = null;
+                this._skipGap(key, stream);
+            }, this.gapTimeout);
+        }
+    }
+
+    /**
+     * Give up the missing events before the first held event of the stream.
+     * @param {string} key - Stream key
+     * @param {object} stream - Stream
+     * @private
+     */
+    _skipGap (key, stream) {
+        if (this.streams.get(key) !== stream || stream.held.size === 0) return;
+        const next = Math.min(...stream.held.keys());
+        const missed = next - stream.expected;
+        const first = stream.held.get(next);
+        this.missedCount += missed;
+        stream.expected = next;
+        this.mesh._dispatchMeshEvent({
+            type: 'sharedEventsMissed',
+            data: first.sender,
+            channel: first.channel || '',
+            missed: missed
+        });
+        this._flush(key, stream);
+    }
+
+    /**
+     * Put the event in the queue by the policy.
+     * @param {object} event - Event in order
+     * @private
+     */
+    _enqueue (event) {
+        if (this.policy === QueuePolicy.COALESCE) {
+            const key = coalesceKeyOf(event);
+            const index = this.events.findIndex(waiting => coalesceKeyOf(waiting) === key);
+            if (index !== -1) {
+                // The newer event takes the place at the end to keep the order of the sender.
+                this.events.splice(index, 1);
+                this.droppedCount++;
+            }
+            this.events.push(event);
+            return;
+        }
+        if (this.policy === QueuePolicy.DROP_NEWEST && this.events.length >= this.maxLength) {
+            this.droppedCount++;
+            return;
+        }
+        this.events.push(event);
+        if (this.policy === QueuePolicy.DROP_OLDEST && this.events.length > this.maxLength) {
+            this.events.shift();
+            this.droppedCount++;
+        }
+    }
+
+    /**
+     * Take the next event to process.
+     * @returns {object|undefined} Event, or undefined when the queue is empty
+     */
+    next () {
+        return this.events.shift();
+    }
+
+    /**
+     * Forget the streams and queue the held events as they are.
+     * It is used when the peer closed, so the missing events will not arrive.
+     */
+    clearStreams () {
+        this.streams.forEach(stream => {
+            clearTimeout(stream.timer);
+            Array.from(stream.held.keys())
+                .sort((x, y) => x - y)
+                .forEach(sequence => this._enqueue(stream.held.get(sequence)));
+        });
+        this.streams.clear();
+    }
+}
+
+export {
+    EventQueue as default,
+    QueuePolicy
+};
@@ -1,9 +1,16 @@
 import BlockType from '../../extension-support/block-type';
 import ArgumentType from '../../extension-support/argument-type';
+import TargetType from '../../extension-support/target-type';
 import Cast from '../../util/cast';
 import translations from './translations.json';
 import blockIcon from './block-icon.png';
 import Mesh from './mesh';
+import Bindings, {BINDINGS_VARIABLE_NAME} from './bindings';
+import Replicator from './replication';
+import {addMedia, costumeMedia, soundMedia, stageSnapshot, COSTUME_MEDIA, SOUND_MEDIA} from './media';
+import PeerJSTransport from './peerjs-transport';
+import PeerJSLoader, {DEFAULT_SOURCES} from './peerjs-loader';
+import {valueAtPath, toScratchValue, toScratchList} from './structured-value';
 
 /**
  * Formatter which is used for translation.
@@ -35,6 +42,26 @@ const EXTENSION_ID = 'xcxMesh';
  */
 let extensionURL = 'https://yokobond.github.io/xcx-mesh/dist/xcxMesh.mjs';
 
+/**
+ * Opcodes of the hats which are started by the mesh events of the connection lifecycle.
+ * @type {object<string, string>}
+ */
+const LIFECYCLE_HATS = {
+    dataConnectionOpened: 'xcxMesh_whenDataConnectionOpened',
+    dataConnectionRequested: 'xcxMesh_whenDataConnectionOpened',
+    dataConnectionClosed: 'xcxMesh_whenDataConnectionClosed',
+    dataConnectionError: 'xcxMesh_whenDataConnectionError',
+    peerDisconnected: 'xcxMesh_whenPeerDisconnected',
+    peerReconnected: 'xcxMesh_whenPeerReconnected'
+};
+
+/**
+ * Name of the menu of the event types.
+ * The hats are matched by the field of the menu block which has the same name.
+ * @type {string}
+ */
+const EVENT_TYPE_MENU = 'eventTypeMenu';
+
 /**
  * Class for the extension blocks.
  */
@@ -99,12 +126,58 @@ class MeshBlocks {
             formatMessage = runtime.formatMessage;
         }
 
+        /**
+         * The loader of PeerJS library.
+         * 'local' source is resolved from the URL of this extension.
+         * @type {PeerJSLoader}
+         */
+        this.peerJSLoader = new PeerJSLoader({baseURL: () => MeshBlocks.extensionURL});
+
         /**
          * The peer connection manager.
          * @type {Mesh}
          */
-        this.mesh = new Mesh();
+        this.mesh = new Mesh(new PeerJSTransport(this.peerJSLoader));
         this.mesh.addMeshEventListener(this.onMeshEvent.bind(this));
+        this.mesh.sharedVarWriteValidator = this.validateSharedVarWrite.bind(this);
+
+        /** @type {string} the channel of the variable and event blocks, empty for the default channel */
+        this.channel = '';
+
+        /**
+         * Scratch variables which are bound to shared variables.
+         * @type {Bindings}
+         */
+        this.bindings = new Bindings(this.runtime, this.mesh);
+
+        /**
+         * Sprites which are replicated to the other peers.
+         * @type {Replicator}
+         */
+        this.replicator = new Replicator(this.runtime, this.mesh);
+
+        /** @type {?object} the media which arrived last */
+        this.lastReceivedMedia = null;
+        /** @type {?object} the last progress of sending or receiving media */
+        this.lastMediaProgress = null;
+
+        /**
+         * Mesh events which started the hat threads.
+         * @type {WeakMap<Thread, object>}
+         */
+        this.threadMeshEvents = new WeakMap();
+
+        /**
+         * The validation of the last write request, which the next one waits for.
+         * @type {Promise<string|null>}
+         */
+        this.writeValidation = Promise.resolve(null);
+
+        /**
+         * The answering of the last request of each question, which the next one waits for.
+         * @type {Map<string, Promise>}
+         */
+        this.requestAnswers = new Map();
 
         /** @type {object} the current processing event */
         this.processingSharedEvent = null;
@@ -112,6 +185,16 @@ class MeshBlocks {
         this.sharedEventPollingInterval = 10;
         /** @type {number} the interval for checking the completion of the shared event */
         this.eventCompletionCheckInterval = 10;
+        /** @type {string} 'sequential' to handle one event at a time, 'concurrent' to handle events in parallel */
+        this.eventHandlingMode = 'sequential';
+        /** @type {number} the max number of the threads which handle events in parallel */
+        this.maxEventThreads = 32;
+        /** @type {Array<Thread>} the threads which were started for the events in parallel */
+        this.eventThreads = [];
+        /** @type {number} the number of the peers to wait for in dispatch and wait, 0 for all peers */
+        this.eventWaitQuorum = 0;
+        /** @type {Array<string>} the peers which finished the last event of dispatch and wait */
+        this.completedPeerIDs = [];
         this.startSharedEventProcessing();
     }
 
@@ -120,9 +203,55 @@ class MeshBlocks {
      * @param {object} event - the mesh event.
      */
     onMeshEvent (event) {
-        if (event.type === 'dataConnectionRequested') {
-            this.runtime.startHats('xcxMesh_whenDataConnectionRequested');
+        if (LIFECYCLE_HATS[event.type]) {
+            this.startHatsWithMeshEvent(LIFECYCLE_HATS[event.type], event);
         }
+        if (event.type === 'dataConnectionPending') {
+            this.startHatsWithMeshEvent('xcxMesh_whenDataConnectionRequested', event);
+        } else if (event.type === 'dataConnectionRequested') {
+            // The hat was already started when the connection was held for approval.
+            if (!event.approved) {
+                this.startHatsWithMeshEvent('xcxMesh_whenDataConnectionRequested', event);
+            }
+        } else if (event.type === 'sharedVarChanged') {
+            this.bindings.onSharedVarChanged(event);
+            this.replicator.onSharedVarChanged(event);
+            this.startHatsWithMeshEvent('xcxMesh_whenSharedVarChanged', event);
+        } else if (event.type === 'peerOpened') {
+            this.replicator.onPeerOpened();
+        } else if (event.type === 'dataConnectionClosed') {
+            this.replicator.onPeerLeft(event.data);
+        } else if (event.type === 'payloadProgress') {
+            if (this.isMedia(event.meta)) this.lastMediaProgress = event;
+        } else if (event.type === 'payloadReceived') {
+            if (this.isMedia(event.data)) this.receiveMedia(event);
+        } else if (event.type === 'payloadError') {
+            if (this.isMedia(event.meta)) this.notifyMediaReceived(event.meta, event.sender, '', event.error);
+        } else if (event.type === 'sharedVarConflict') {
+            this.startHatsWithMeshEvent('xcxMesh_whenSharedVarConflicts', event);
+        } else if (event.type === 'requestReceived') {
+            this.processRequest(event);
+        } else if (event.type === 'sharedVarRejected') {
+            this.startHatsWithMeshEvent('xcxMesh_whenSharedVarRejected', event);
+        } else if (event.type === 'leaderChanged') {
+            this.startHatsWithMeshEvent('xcxMesh_whenLeaderChanged', event);
+        } else if (event.type === 'presenceUpdated') {
+            this.startHatsWithMeshEvent('xcxMesh_whenPeerUpdatesPresence', event);
+        }
+    }
+
+    /**
+     * Start hats and remember the mesh event for the started threads.
+     * Hats with arguments check the event of their thread to decide whether to run.
+     * @param {string} opcode - the opcode of the hat.
+     * @param {object} event - the mesh event.
+     * @param {object} [matchFields] - the field values which the hats must have.
+     * @returns {Array<Thread>} - the started threads.
+     */
+    startHatsWithMeshEvent (opcode, event, matchFields) {
+        const threads = this.runtime.startHats(opcode, matchFields) || [];
+        threads.forEach(thread => this.threadMeshEvents.set(thread, event));
+        return threads;
     }
 
     /**
@@ -145,7 +274,7 @@ class MeshBlocks {
         const localID = String(args.ID).trim();
         try {
             await this.mesh.openPeer(localID);
-            return `Open as "${this.mesh.id}"`;
+            return `Open as "${this.mesh.id}" with ${this.mesh.transport.name}`;
         } catch (e) {
             return `Failed to open as "${localID}": ${e}`;
         } finally {
@@ -208,6 +337,142 @@ class MeshBlocks {
         }
     }
 
+    /**
+     * Set sources to load PeerJS library from.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.SOURCES - comma separated source names or URLs.
+     * @returns {string} - result message
+     */
+    setPeerJSSources (args) {
+        const sources = String(args.SOURCES).split(',')
+            .map(source => source.trim())
+            .filter(source => source !== '');
+        try {
+            this.peerJSLoader.setSources(sources);
+            return `PeerJS sources set to "${sources.join(', ')}"`;
+        } catch (e) {
+            return `Failed to set PeerJS sources: ${e}`;
+        }
+    }
+
+    /**
+     * Set the passphrase which the peers must share to connect.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.PASSPHRASE - the passphrase, empty to connect without it.
+     * @returns {string} - the result of setting the passphrase.
+     */
+    setPassphrase (args) {
+        const passphrase = Cast.toString(args.PASSPHRASE);
+        try {
+            this.mesh.setPassphrase(passphrase);
+        } catch (e) {
+            return `Failed to set passphrase: ${e}`;
+        }
+        return passphrase === '' ? 'Passphrase cleared' : 'Passphrase set';
+    }
+
+    /**
+     * Set the policy for incoming connections.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.POLICY - 'all', 'ask', 'allow', 'deny' or 'max'.
+     * @returns {string} - the result of setting the policy.
+     */
+    setConnectionPolicy (args) {
+        try {
+            this.mesh.setConnectionPolicy(Cast.toString(args.POLICY));
+        } catch (e) {
+            return `Failed to set connection policy: ${e}`;
+        }
+        return `Connection policy: ${this.mesh.connectionPolicy}`;
+    }
+
+    /**
+     * Set the IDs of the allow list or the deny list.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.IDS - comma separated remote IDs.
+     */
+    setPolicyIDs (args) {
+        const remoteIDs = Cast.toString(args.IDS)
+            .split(',')
+            .map(remoteID => remoteID.trim())
+            .filter(remoteID => remoteID !== '');
+        this.mesh.setPolicyIDs(remoteIDs);
+    }
+
+    /**
+     * Set the max number of connections for the 'max peers' policy.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.COUNT - max number of connections.
+     */
+    setMaxPeers (args) {
+        this.mesh.setMaxPeers(Cast.toNumber(args.COUNT));
+    }
+
+    /**
+     * Accept the connection which is waiting for approval.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.ID - the remote ID.
+     * @returns {string} - the result of accepting.
+     */
+    acceptDataConnection (args) {
+        const remoteID = Cast.toString(args.ID).trim();
+        if (!this.mesh.acceptDataConnection(remoteID)) {
+            return `No connection request from "${remoteID}"`;
+        }
+        return `Accepted "${remoteID}"`;
+    }
+
+    /**
+     * Refuse the connection which is waiting for approval.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.ID - the remote ID.
+     * @returns {string} - the result of refusing.
+     */
+    rejectDataConnection (args) {
+        const remoteID = Cast.toString(args.ID).trim();
+        if (!this.mesh.rejectDataConnection(remoteID)) {
+            return `No connection request from "${remoteID}"`;
+        }
+        return `Rejected "${remoteID}"`;
+    }
+
+    /**
+     * Return the IDs of the connections which are waiting for approval.
+     * @returns {string} - comma separated remote IDs.
+     */
+    pendingDataConnectionIDs () {
+        return this.mesh.pendingDataConnectionIDs().join(',');
+    }
+
+    /**
+     * Turn on or off the automatic reconnection.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.STATE - 'on' or 'off'.
+     */
+    setAutoReconnect (args) {
+        this.mesh.setAutoReconnect(args.STATE === 'on');
+    }
+
+    /**
+     * Set the retry policy of the automatic reconnection.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.RETRIES - max number of attempts.
+     * @param {number} args.DELAY - seconds to wait before the first attempt.
+     */
+    setReconnectPolicy (args) {
+        const retries = Cast.toNumber(args.RETRIES);
+        const delay = Cast.toNumber(args.DELAY) * 1000;
+        this.mesh.setReconnectPolicy(retries, delay);
+    }
+
+    /**
+     * Return the state of the automatic reconnection.
+     * @returns {string} - 'off', 'idle', 'reconnecting' or 'failed'.
+     */
+    reconnectState () {
+        return this.mesh.reconnectState();
+    }
+
     /**
      * Open data connection with a remote peer.
      * @param {object} args - the block's arguments.
@@ -266,6 +531,144 @@ class MeshBlocks {
         return this.mesh.dataConnectionCount();
     }
 
+    /**
+     * Return the round-trip time of the heartbeat to the peer.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.ID - the remote ID.
+     * @returns {number|string} - milliseconds, or empty if it is not measured yet.
+     */
+    latency (args) {
+        const latency = this.mesh.latency(String(args.ID).trim());
+        return latency === null ? '' : latency;
+    }
+
+    /**
+     * Set the timing of the heartbeats.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.SECONDS - seconds between heartbeats.
+     * @param {number} args.MISSES - number of missed heartbeats to drop the connection.
+     */
+    setHeartbeat (args) {
+        const interval = Cast.toNumber(args.SECONDS) * 1000;
+        this.mesh.setHeartbeat(interval, Cast.toNumber(args.MISSES));
+    }
+
+    /**
+     * Return the ID of the peer which caused the connection event of the thread.
+     * The local ID is reported for the events of the signaling server.
+     * @param {object} args - the block's arguments.
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {string} - the ID of the peer.
+     */
+    connectionEventPeerID (args, util) {
+        const event = this.threadMeshEvents.get(util.thread);
+        if (!event) return '';
+        if (!LIFECYCLE_HATS[event.type] && event.type !== 'dataConnectionPending') return '';
+        return event.data || '';
+    }
+
+    /**
+     * Return the error message of the connection event of the thread.
+     * @param {object} args - the block's arguments.
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {string} - the error message.
+     */
+    connectionEventError (args, util) {
+        const event = this.threadMeshEvents.get(util.thread);
+        if (!event || !event.error) return '';
+        return event.error.message || String(event.error);
+    }
+
+    /**
+     * Join the room and connect to its members.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.NAME - the room name.
+     * @returns {Promise<string>} - the result of joining the room.
+     */
+    async joinRoom (args) {
+        const name = String(args.NAME).trim();
+        try {
+            await this.mesh.joinRoom(name);
+            return `Joined room "${name}"`;
+        } catch (e) {
+            return `Failed to join room "${name}": ${e}`;
+        }
+    }
+
+    /**
+     * Leave the current room.
+     */
+    leaveRoom () {
+        this.mesh.leaveRoom();
+    }
+
+    /**
+     * Return the members of the current room as comma separated string.
+     * @returns {string} - comma separated IDs of the members.
+     */
+    roomMembers () {
+        return this.mesh.roomMembers().join(',');
+    }
+
+    /**
+     * Return whether this peer is the leader.
+     * @returns {boolean} - true if this peer is the leader.
+     */
+    isLeader () {
+        return this.mesh.isLeader();
+    }
+
+    /**
+     * Return the ID of the leader.
+     * @returns {string} - the ID of the leader, empty if the peer is not open.
+     */
+    leaderID () {
+        return this.mesh.leaderID() || '';
+    }
+
+    /**
+     * Set a field of the presence of this peer.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.FIELD - the field name.
+     * @param {string} args.VALUE - the value of the field.
+     * @returns {string|undefined} - the error message.
+     */
+    setMyPresence (args) {
+        const field = String(args.FIELD).trim();
+        try {
+            this.mesh.setPresence(field, args.VALUE);
+        } catch (e) {
+            return `Failed to set presence "${field}": ${e}`;
+        }
+    }
+
+    /**
+     * Return a field of the presence of the peer.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.FIELD - the field name.
+     * @param {string} args.ID - the ID of the peer.
+     * @returns {string|number|boolean} - the value of the field.
+     */
+    peerPresence (args) {
+        const field = String(args.FIELD).trim();
+        const remoteID = String(args.ID).trim();
+        return toScratchValue(this.mesh.peerPresence(remoteID, field));
+    }
+
+    /**
+     * Return whether the thread was started by a presence update of the peer.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.ID - the ID of the peer.
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {boolean} - true if the peer updated the presence.
+     */
+    whenPeerUpdatesPresence (args, util) {
+        const event = this.threadMeshEvents.get(util.thread);
+        return !!event &&
+            event.type === 'presenceUpdated' &&
+            event.data === String(args.ID).trim();
+    }
+
     /**
      * Return the value of the key.
      * @param {object} args - arguments for the block.
@@ -274,7 +677,62 @@ class MeshBlocks {
      */
     sharedVar (args) {
         const key = String(args.KEY).trim();
-        return this.mesh.sharedVar(key) || '';
+        return toScratchValue(this.mesh.sharedVar(key, this.channel));
+    }
+
+    /**
+     * Return the value at the path in the value of the key.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.PATH - the path like 'a.b[0]'.
+     * @param {string} args.KEY - the key.
+     * @return {string|number|boolean} - the value at the path.
+     */
+    sharedVarAtPath (args) {
+        const key = String(args.KEY).trim();
+        return toScratchValue(valueAtPath(this.mesh.sharedVar(key, this.channel), args.PATH));
+    }
+
+    /**
+     * Check if the channel is the one which the variable and event blocks use.
+     * @param {string} [channel] - the channel name, empty for the default channel.
+     * @returns {boolean} - true if the channel is used.
+     */
+    isCurrentChannel (channel) {
+        return (channel || '') === this.channel;
+    }
+
+    /**
+     * Use the channel for the variable and event blocks.
+     * The channel is added to the subscriptions when this peer receives only some channels.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.NAME - the channel name, empty for the default channel.
+     */
+    useChannel (args) {
+        this.channel = Cast.toString(args.NAME).trim();
+        if (!this.mesh.isSubscribed(this.channel)) {
+            this.mesh.subscribeChannels(Array.from(this.mesh.subscriptions).concat(this.channel));
+        }
+    }
+
+    /**
+     * Return the channel which the variable and event blocks use.
+     * @returns {string} - the channel name, empty for the default channel.
+     */
+    currentChannel () {
+        return this.channel;
+    }
+
+    /**
+     * Receive only the channels.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.NAMES - comma separated channel names, empty to receive all channels.
+     */
+    subscribeChannels (args) {
+        const channels = Cast.toString(args.NAMES)
+            .split(',')
+            .map(channel => channel.trim())
+            .filter(channel => channel !== '');
+        this.mesh.subscribeChannels(channels);
     }
 
     /**
@@ -287,9 +745,9 @@ class MeshBlocks {
      */
     setSharedVar (args) {
         const key = String(args.KEY).trim();
-        const value = Cast.toString(args.VALUE);
+        const value = args.VALUE;
         try {
-            this.mesh.setSharedVar(key, value);
+            this.mesh.setSharedVar(key, value, this.channel);
         } catch (e) {
             return `Failed to set "${key}" to "${value}": ${e}`;
         }
@@ -297,382 +755,2793 @@ class MeshBlocks {
     }
 
     /**
-     * Return the last event type.
-     * @return {string} - the last event type.
+     * Find the list by name in the target or the stage.
+     * @param {string} name - the name of the list.
+     * @param {Target} target - the target to look up.
+     * @returns {?Variable} - the list variable.
      */
-    lastSharedEventType () {
-        const event = this.processingSharedEvent;
-        return (event && event.eventType) || '';
+    findList (name, target) {
+        return target.lookupVariableByNameAndType(String(name), 'list');
     }
 
     /**
-     * Return the last event data.
-     * @return {string} - the last event data.
+     * Set the value of the key to the items of the list.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.KEY - the key.
+     * @param {string} args.LIST - the name of the list.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the result of sharing the list.
      */
-    lastSharedEventData () {
-        const event = this.processingSharedEvent;
-        return (event && event.eventData) || '';
+    setSharedVarToList (args, util) {
+        const key = String(args.KEY).trim();
+        const list = this.findList(args.LIST, util.target);
+        if (!list) {
+            return `List "${args.LIST}" is not found`;
+        }
+        try {
+            this.mesh.setSharedVar(key, list.value.slice(), this.channel);
+        } catch (e) {
+            return `Failed to set "${key}" to list "${list.name}": ${e}`;
+        }
+        return `Set "${key}" to list "${list.name}"`;
     }
 
     /**
-     * Send the event.
+     * Replace the items of the list with the value of the key.
+     * The value which is not an array is added as an item.
      * @param {object} args - arguments for the block.
-     * @param {string} args.TYPE - the event type.
-     * @param {string} args.DATA - the event data.
-     * @return {Promise<string>} - resolve with the result of sending the event.
+     * @param {string} args.KEY - the key.
+     * @param {string} args.LIST - the name of the list.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string|undefined} - the error message.
      */
-    dispatchSharedEvent (args) {
-        const type = String(args.TYPE).trim();
-        const data = Cast.toString(args.DATA);
-        try {
-            this.mesh.dispatchSharedEvent(type, data);
-        } catch (e) {
-            return `Failed to dispatch event "${type}": ${e}`;
+    copySharedVarToList (args, util) {
+        const key = String(args.KEY).trim();
+        const list = this.findList(args.LIST, util.target);
+        if (!list) {
+            return `List "${args.LIST}" is not found`;
         }
+        list.value = toScratchList(this.mesh.sharedVar(key, this.channel));
+        list._monitorUpToDate = false;
     }
 
     /**
-     * Handle the shared event.
+     * Replace the items of the list with all keys of the shared variables.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.LIST - the name of the list.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string|undefined} - the error message.
      */
-    onSharedEvent () {
-        this.runtime.startHats('xcxMesh_whenSharedEventReceived');
+    copySharedVarKeysToList (args, util) {
+        const list = this.findList(args.LIST, util.target);
+        if (!list) {
+            return `List "${args.LIST}" is not found`;
+        }
+        list.value = this.mesh.sharedVarKeyList(this.channel);
+        list._monitorUpToDate = false;
     }
 
     /**
-     * Start the shared event processing.
-     * This is called when the project is started.
-     * This gets a next event from the mesh and process it then repeat.
-     * This is called only once.
+     * Sync the Scratch variable with the key.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.VAR - the name of the variable.
+     * @param {string} args.KEY - the key.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the result of binding the variable.
      */
-    startSharedEventProcessing () {
-        const blocks = this;
-        const nextEvent = () => {
-            const event = blocks.mesh.nextSharedEvent();
-            if (event) {
-                this.processingSharedEvent = event;
-                blocks.processSharedEvent(event, nextEvent);
-            } else {
-                setTimeout(nextEvent, this.sharedEventPollingInterval);
-            }
-        };
-        setTimeout(nextEvent, 0);
+    bindVariable (args, util) {
+        const key = String(args.KEY).trim();
+        try {
+            this.bindings.bind(util.target, Cast.toString(args.VAR), '', key, this.channel);
+        } catch (e) {
+            return `Failed to sync variable "${args.VAR}" as "${key}": ${e}`;
+        }
+        return `Sync variable "${args.VAR}" as "${key}"`;
     }
 
     /**
-     * Process the shared event with the callback.
-     * The callback will be called after the all started threads are finished.
-     * @param {object} event - the shared event.
-     * @param {Function} onCompletion - the callback function.
+     * Sync the Scratch list with the key.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.LIST - the name of the list.
+     * @param {string} args.KEY - the key.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the result of binding the list.
      */
-    processSharedEvent (event, onCompletion) {
-        // Have we run before, starting threads?
-        if (!event.startedThreads) {
-            // No - start hats for this broadcast.
-            event.startedThreads = this.runtime.startHats('xcxMesh_whenSharedEventReceived');
-            if (event.startedThreads.length === 0) {
-                // Nothing was started.
-                return;
-            }
+    bindList (args, util) {
+        const key = String(args.KEY).trim();
+        try {
+            this.bindings.bind(util.target, Cast.toString(args.LIST), 'list', key, this.channel);
+        } catch (e) {
+            return `Failed to sync list "${args.LIST}" as "${key}": ${e}`;
         }
-        // We've run before; check if the wait is still going on.
-        const waiting = event.startedThreads
-            .some(thread => this.runtime.threads.indexOf(thread) !== -1);
-        if (waiting) {
-            setTimeout(() => {
-                this.processSharedEvent(event, onCompletion);
-            }, this.eventCompletionCheckInterval);
-        } else {
-            onCompletion();
+        return `Sync list "${args.LIST}" as "${key}"`;
+    }
+
+    /**
+     * Stop syncing the Scratch variables and lists with the key.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.KEY - the key.
+     * @return {string} - the result of unbinding.
+     */
+    unbindSharedVar (args) {
+        const key = String(args.KEY).trim();
+        if (!this.bindings.unbind(key, this.channel)) {
+            return `"${key}" is not synced`;
         }
+        return `Stopped syncing "${key}"`;
     }
 
     /**
-     * Return all shared variable keys as comma separated string.
-     * @returns {string} - comma separated keys.
+     * Replicate the sprite to the other peers.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.KEY - the key of the sprite.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the result of replicating.
      */
-    sharedVarKeys () {
-        return this.mesh.sharedVarKeys();
+    replicateSprite (args, util) {
+        const key = String(args.KEY).trim();
+        try {
+            this.replicator.replicate(util.target, key, this.channel);
+        } catch (e) {
+            return `Failed to replicate as "${key}": ${e}`;
+        }
+        return `Replicate as "${key}"`;
     }
 
     /**
-     * @returns {object} metadata for this extension and its blocks.
+     * Stop replicating the sprite.
+     * @param {object} args - arguments for the block.
+     * @param {object} util - utility object provided by the runtime.
      */
-    getInfo () {
-        setupTranslations();
-        return {
-            id: MeshBlocks.EXTENSION_ID,
-            name: MeshBlocks.EXTENSION_NAME,
-            extensionURL: MeshBlocks.extensionURL,
-            blockIconURI: blockIcon,
-            showStatusButton: false,
-            blocks: [
+    stopReplicatingSprite (args, util) {
+        this.replicator.stop(util.target);
+    }
+
+    /**
+     * Set the number of the sprite states which are sent in a second.
+     * @param {object} args - arguments for the block.
+     * @param {number} args.RATE - number of the states in a second.
+     */
+    setReplicationRate (args) {
+        this.replicator.setSendRate(Cast.toNumber(args.RATE));
+    }
+
+    /**
+     * Send the costume of the target to the sprite on the other peers.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.COSTUME - the name of the costume.
+     * @param {string} args.SPRITE - the name of the sprite to add the costume to.
+     * @param {string} args.ID - the remote ID, empty for all peers.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {Promise<string>} - a promise which resolves with the result after sending.
+     */
+    async sendCostume (args, util) {
+        const name = Cast.toString(args.COSTUME);
+        try {
+            await this.sendMedia(costumeMedia(util.target, name), args.SPRITE, args.ID);
+        } catch (e) {
+            return `Failed to send costume "${name}": ${e}`;
+        }
+        return `Sent costume "${name}"`;
+    }
+
+    /**
+     * Send the sound of the target to the sprite on the other peers.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.SOUND - the name of the sound.
+     * @param {string} args.SPRITE - the name of the sprite to add the sound to.
+     * @param {string} args.ID - the remote ID, empty for all peers.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {Promise<string>} - a promise which resolves with the result after sending.
+     */
+    async sendSound (args, util) {
+        const name = Cast.toString(args.SOUND);
+        try {
+            await this.sendMedia(soundMedia(util.target, name), args.SPRITE, args.ID);
+        } catch (e) {
+            return `Failed to send sound "${name}": ${e}`;
+        }
+        return `Sent sound "${name}"`;
+    }
+
+    /**
+     * Send a snapshot of the stage to the sprite on the other peers as a costume.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.SPRITE - the name of the sprite to add the costume to.
+     * @param {string} args.ID - the remote ID, empty for all peers.
+     * @return {Promise<string>} - a promise which resolves with the result after sending.
+     */
+    async sendStageSnapshot (args) {
+        try {
+            await this.sendMedia(await stageSnapshot(this.runtime), args.SPRITE, args.ID);
+        } catch (e) {
+            return `Failed to send stage snapshot: ${e}`;
+        }
+        return 'Sent stage snapshot';
+    }
+
+    /**
+     * Send media in the current channel.
+     * @param {{meta: object, bytes: Uint8Array}} media - the media to send.
+     * @param {string} sprite - the name of the sprite to add the media to.
+     * @param {string} remoteID - the remote ID, empty for all peers.
+     * @returns {Promise<string>} - a promise which resolves with the transfer ID after sending.
+     */
+    sendMedia (media, sprite, remoteID) {
+        const meta = Object.assign({sprite: Cast.toString(sprite).trim()}, media.meta);
+        return this.mesh.sendPayload(String(remoteID).trim(), meta, media.bytes, this.channel);
+    }
+
+    /**
+     * Return whether the metadata of a payload is of media.
+     * @param {object} meta - the metadata of the payload.
+     * @returns {boolean} - true if the payload is a costume or a sound.
+     */
+    isMedia (meta) {
+        return !!meta && (meta.kind === COSTUME_MEDIA || meta.kind === SOUND_MEDIA);
+    }
+
+    /**
+     * Add the received media to the sprite and start the hats.
+     * @param {object} event - 'payloadReceived' mesh event.
+     * @returns {Promise<void>} - a promise which resolves after the hats started.
+     */
+    receiveMedia (event) {
+        const meta = event.data;
+        return addMedia(this.runtime, meta.sprite, meta, event.bytes)
+            .then(
+                name => this.notifyMediaReceived(meta, event.sender, name, ''),
+                e => this.notifyMediaReceived(meta, event.sender, '', e.message)
+            );
+    }
+
+    /**
+     * Remember the received media and start the hats.
+     * @param {object} meta - the metadata of the media.
+     * @param {string} sender - the ID of the sender.
+     * @param {string} name - the name of the added costume or sound, empty if it failed.
+     * @param {string} error - the reason of the failure, empty if it was added.
+     */
+    notifyMediaReceived (meta, sender, name, error) {
+        this.lastReceivedMedia = {
+            type: 'mediaReceived',
+            kind: meta.kind,
+            sprite: meta.sprite || '',
+            sender: sender || '',
+            name: name,
+            error: error
+        };
+        this.startHatsWithMeshEvent('xcxMesh_whenMediaReceived', this.lastReceivedMedia);
+    }
+
+    /**
+     * Return the field of the media which started the thread, or which arrived last.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.FIELD - the field: 'name', 'kind', 'sprite', 'sender' or 'error'.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the value of the field.
+     */
+    receivedMedia (args, util) {
+        const event = this.threadMeshEvents.get(util.thread);
+        const media = (event && event.type === 'mediaReceived') ? event : this.lastReceivedMedia;
+        if (!media) return '';
+        const field = Cast.toString(args.FIELD);
+        return Object.prototype.hasOwnProperty.call(media, field) && field !== 'type' ? media[field] : '';
+    }
+
+    /**
+     * Return the progress of the media which is being sent or received last.
+     * @return {number} - the progress in percent.
+     */
+    mediaTransferProgress () {
+        const progress = this.lastMediaProgress;
+        if (!progress) return 0;
+        if (progress.total === 0) return 100;
+        return Math.floor((progress.loaded / progress.total) * 100);
+    }
+
+    /**
+     * Delete the key.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.KEY - the key.
+     * @return {string} - the result of deleting the key.
+     */
+    deleteSharedVar (args) {
+        const key = String(args.KEY).trim();
+        try {
+            this.mesh.deleteSharedVar(key, this.channel);
+        } catch (e) {
+            return `Failed to delete "${key}": ${e}`;
+        }
+        return `Deleted "${key}"`;
+    }
+
+    /**
+     * Delete all keys.
+     * @return {string} - the result of deleting the keys.
+     */
+    clearSharedVars () {
+        try {
+            this.mesh.clearSharedVars(this.channel);
+        } catch (e) {
+            return `Failed to clear shared variables: ${e}`;
+        }
+        return 'Cleared shared variables';
+    }
+
+    /**
+     * Return whether the thread was started by a change of the key by another peer.
+     * The writes of this peer do not start it.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.KEY - the key.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {boolean} - true if the value of the key changed.
+     */
+    whenSharedVarChanged (args, util) {
+        const event = this.threadMeshEvents.get(util.thread);
+        return !!event &&
+            event.type === 'sharedVarChanged' &&
+            this.isCurrentChannel(event.channel) &&
+            event.data === String(args.KEY).trim();
+    }
+
+    /**
+     * Return the ID of the peer which changed the key last.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.KEY - the key.
+     * @return {string} - the ID of the peer.
+     */
+    sharedVarSender (args) {
+        const key = String(args.KEY).trim();
+        return this.mesh.sharedVarSender(key, this.channel);
+    }
+
+    /**
+     * Make this peer the host of shared variables.
+     * @returns {string|undefined} - the error message.
+     */
+    becomeVarHost () {
+        try {
+            this.mesh.becomeVarHost();
+        } catch (e) {
+            return `Failed to become host: ${e}`;
+        }
+    }
+
+    /**
+     * Send writes of shared variables to the host.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.ID - the ID of the host, empty to let everyone write.
+     */
+    useVarHost (args) {
+        this.mesh.useVarHost(String(args.ID).trim());
+    }
+
+    /**
+     * Return the ID of the host of shared variables.
+     * @return {string} - the ID of the host, empty if everyone writes.
+     */
+    varHostID () {
+        return this.mesh.varHostID || '';
+    }
+
+    /**
+     * Validate the write which a client requested to this host by the hats.
+     * The write is accepted unless a started thread rejected it.
+     * The writes are validated one at a time, because the hat does not start while it checks an earlier write.
+     * @param {{key: string, value: any, sender: string}} write - the requested write.
+     * @return {Promise<string|null>} - resolve with the reason of rejection, or null to accept.
+     */
+    validateSharedVarWrite (write) {
+        this.writeValidation = this.writeValidation
+            .then(() => this._validateSharedVarWrite(write));
+        return this.writeValidation;
+    }
+
+    /**
+     * Start the hats for the write request and wait for their threads.
+     * @param {{key: string, value: any, sender: string}} write - the requested write.
+     * @return {Promise<string|null>} - resolve with the reason of rejection, or null to accept.
+     * @private
+     */
+    _validateSharedVarWrite (write) {
+        const event = {
+            type: 'sharedVarWriteRequested',
+            data: write.key,
+            write: write,
+            rejection: null
+        };
+        const threads = this.startHatsWithMeshEvent('xcxMesh_whenSharedVarWriteRequested', event);
+        return new Promise(resolve => {
+            const check = () => {
+                const waiting = threads.some(thread => this.runtime.threads.indexOf(thread) !== -1);
+                if (waiting) {
+                    setTimeout(check, this.eventCompletionCheckInterval);
+                } else {
+                    resolve(event.rejection);
+                }
+            };
+            check();
+        });
+    }
+
+    /**
+     * Return the write request which started the thread.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {object|null} - the mesh event of the write request.
+     */
+    threadWriteRequest (util) {
+        const event = this.threadMeshEvents.get(util.thread);
+        if (!event || event.type !== 'sharedVarWriteRequested') return null;
+        return event;
+    }
+
+    /**
+     * Return whether the thread was started by a write request of the key.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.KEY - the key.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {boolean} - true if a client requested to write the key.
+     */
+    whenSharedVarWriteRequested (args, util) {
+        const event = this.threadWriteRequest(util);
+        return !!event &&
+            this.isCurrentChannel(event.write.channel) &&
+            event.data === String(args.KEY).trim();
+    }
+
+    /**
+     * Return the value which the client requested to write.
+     * @param {object} args - arguments for the block.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string|number|boolean} - the requested value.
+     */
+    requestedValue (args, util) {
+        const event = this.threadWriteRequest(util);
+        return toScratchValue(event && event.write.value);
+    }
+
+    /**
+     * Return the ID of the client which requested the write.
+     * @param {object} args - arguments for the block.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the ID of the writer.
+     */
+    writeRequester (args, util) {
+        const event = this.threadWriteRequest(util);
+        return (event && event.write.sender) || '';
+    }
+
+    /**
+     * Reject the write request which started the thread.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.REASON - the reason to tell the writer.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string|undefined} - the error message.
+     */
+    rejectSharedVarWrite (args, util) {
+        const event = this.threadWriteRequest(util);
+        if (!event) {
+            return 'Reject only in "when write to [KEY] requested"';
+        }
+        event.rejection = Cast.toString(args.REASON) || 'rejected';
+    }
+
+    /**
+     * Return whether the thread was started by a rejection of the write of the key.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.KEY - the key.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {boolean} - true if the host rejected the write.
+     */
+    whenSharedVarRejected (args, util) {
+        const event = this.threadMeshEvents.get(util.thread);
+        return !!event &&
+            event.type === 'sharedVarRejected' &&
+            this.isCurrentChannel(event.channel) &&
+            event.data === String(args.KEY).trim();
+    }
+
+    /**
+     * Return the reason why the host rejected the write.
+     * @param {object} args - arguments for the block.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the reason.
+     */
+    rejectionReason (args, util) {
+        const event = this.threadMeshEvents.get(util.thread);
+        if (!event || event.type !== 'sharedVarRejected') return '';
+        return event.reason || '';
+    }
+
+    /**
+     * Return whether the thread was started by a conflict of the key.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.KEY - the key.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {boolean} - true if concurrent writes of the key were resolved.
+     */
+    whenSharedVarConflicts (args, util) {
+        const event = this.threadMeshEvents.get(util.thread);
+        return !!event &&
+            event.type === 'sharedVarConflict' &&
+            this.isCurrentChannel(event.channel) &&
+            event.data === String(args.KEY).trim();
+    }
+
+    /**
+     * Return the shared event which started the thread, or the last event.
+     * Threads of the events handled in parallel have their own events.
+     * @param {object} [util] - utility object provided by the runtime.
+     * @returns {?object} - the shared event.
+     */
+    sharedEventOf (util) {
+        const event = util && util.thread && this.threadMeshEvents.get(util.thread);
+        if (event && (event.type === 'event' || event.type === 'direct')) return event;
+        return this.processingSharedEvent;
+    }
+
+    /**
+     * Return the last event type.
+     * @param {object} args - arguments for the block.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the last event type.
+     */
+    lastSharedEventType (args, util) {
+        const event = this.sharedEventOf(util);
+        return (event && event.eventType) || '';
+    }
+
+    /**
+     * Return the last event data.
+     * @param {object} args - arguments for the block.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the last event data.
+     */
+    lastSharedEventData (args, util) {
+        const event = this.sharedEventOf(util);
+        return toScratchValue(event && event.eventData);
+    }
+
+    /**
+     * Return the time when the last event was sent.
+     * @param {object} args - arguments for the block.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {number} - milliseconds since 1970 by the clock of the sender.
+     */
+    lastSharedEventTime (args, util) {
+        const event = this.sharedEventOf(util);
+        return (event && event.time) || 0;
+    }
+
+    /**
+     * Return the value at the path in the last event data.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.PATH - the path like 'a.b[0]'.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string|number|boolean} - the value at the path.
+     */
+    lastSharedEventDataAtPath (args, util) {
+        const event = this.sharedEventOf(util);
+        return toScratchValue(valueAtPath(event && event.eventData, args.PATH));
+    }
+
+    /**
+     * Set the policy of the event queue when events arrive faster than they are processed.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.POLICY - 'unbounded', 'dropOldest', 'dropNewest' or 'coalesce'.
+     * @param {number} args.LENGTH - the max number of waiting events for the drop policies.
+     * @return {string} - the result of setting the policy.
+     */
+    setEventQueuePolicy (args) {
+        try {
+            this.mesh.setEventQueuePolicy(Cast.toString(args.POLICY), Cast.toNumber(args.LENGTH));
+        } catch (e) {
+            return `Failed to set event queue policy: ${e}`;
+        }
+        return `Event queue policy: ${this.mesh.eventQueue.policy}`;
+    }
+
+    /**
+     * Return the number of the events which are waiting to be processed.
+     * @return {number} - the number of the events.
+     */
+    eventQueueLength () {
+        return this.mesh.eventQueue.length;
+    }
+
+    /**
+     * Return the number of the events which were dropped by the queue policy or came too late.
+     * @return {number} - the number of the events.
+     */
+    droppedEventCount () {
+        return this.mesh.eventQueue.droppedCount;
+    }
+
+    /**
+     * Return the number of the events which were sent but never arrived.
+     * @return {number} - the number of the events.
+     */
+    missedEventCount () {
+        return this.mesh.eventQueue.missedCount;
+    }
+
+    /**
+     * Send the event.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.TYPE - the event type.
+     * @param {string} args.DATA - the event data.
+     * @return {Promise<string>} - resolve with the result of sending the event.
+     */
+    dispatchSharedEvent (args) {
+        const type = String(args.TYPE).trim();
+        const data = args.DATA;
+        try {
+            this.mesh.dispatchSharedEvent(type, data, this.channel);
+        } catch (e) {
+            return `Failed to dispatch event "${type}": ${e}`;
+        }
+    }
+
+    /**
+     * Send the event and wait until the peers finished it.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.TYPE - the event type.
+     * @param {string} args.DATA - the event data.
+     * @return {Promise<string|undefined>} - resolve with the error message when it failed.
+     */
+    dispatchSharedEventAndWait (args) {
+        const type = String(args.TYPE).trim();
+        const data = args.DATA;
+        return this.mesh.dispatchSharedEventAndWait(type, data, this.channel, this.eventWaitQuorum)
+            .then(completed => {
+                this.completedPeerIDs = completed;
+            })
+            .catch(e => `Failed to dispatch event "${type}": ${e}`);
+    }
+
+    /**
+     * Set the peers and the time to wait for in dispatch and wait.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.QUORUM - the number of the peers, or 'all'.
+     * @param {number} args.SECONDS - the timeout in seconds.
+     */
+    setEventWait (args) {
+        const quorum = Cast.toNumber(args.QUORUM);
+        this.eventWaitQuorum = quorum > 0 ? Math.floor(quorum) : 0;
+        const seconds = Cast.toNumber(args.SECONDS);
+        this.mesh.eventWaitTimeout = Math.max(0, seconds) * 1000;
+    }
+
+    /**
+     * Return the number of the peers which finished the last event of dispatch and wait.
+     * @return {number} - the number of the peers.
+     */
+    completedPeerCount () {
+        return this.completedPeerIDs.length;
+    }
+
+    /**
+     * Send the event to a peer.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.TYPE - the event type.
+     * @param {string} args.DATA - the event data.
+     * @param {string} args.ID - the ID of the target peer.
+     * @return {string|undefined} - the error message.
+     */
+    dispatchDirectEvent (args) {
+        const type = String(args.TYPE).trim();
+        const data = args.DATA;
+        const remoteID = String(args.ID).trim();
+        try {
+            this.mesh.dispatchDirectEvent(remoteID, type, data);
+        } catch (e) {
+            return `Failed to send event "${type}" to "${remoteID}": ${e}`;
+        }
+    }
+
+    /**
+     * Return the channel of the last event.
+     * @param {object} args - arguments for the block.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the channel name, empty for the default channel.
+     */
+    lastSharedEventChannel (args, util) {
+        const event = this.sharedEventOf(util);
+        return (event && event.channel) || '';
+    }
+
+    /**
+     * Return the sender of the last event.
+     * @param {object} args - arguments for the block.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the ID of the sender.
+     */
+    lastSharedEventSender (args, util) {
+        const event = this.sharedEventOf(util);
+        return (event && event.sender) || '';
+    }
+
+    /**
+     * Return whether the last event was sent to this peer only.
+     * @param {object} args - arguments for the block.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {boolean} - true if the event was direct.
+     */
+    isLastSharedEventDirect (args, util) {
+        const event = this.sharedEventOf(util);
+        return !!event && event.type === 'direct';
+    }
+
+    /**
+     * Handle the shared event.
+     */
+    onSharedEvent () {
+        this.runtime.startHats('xcxMesh_whenSharedEventReceived');
+    }
+
+    /**
+     * Start the shared event processing.
+     * This is called when the project is started.
+     * This gets a next event from the mesh and process it then repeat.
+     * This is called only once.
+     */
+    startSharedEventProcessing () {
+        const blocks = this;
+        const nextEvent = () => {
+            if (blocks.eventHandlingMode === 'concurrent') {
+                blocks.startConcurrentEvents();
+                setTimeout(nextEvent, this.sharedEventPollingInterval);
+                return;
+            }
+            const event = blocks.mesh.nextSharedEvent();
+            if (event) {
+                this.processingSharedEvent = event;
+                blocks.processSharedEvent(event, () => {
+                    blocks.mesh.acknowledgeSharedEvent(event);
+                    nextEvent();
+                });
+            } else {
+                setTimeout(nextEvent, this.sharedEventPollingInterval);
+            }
+        };
+        setTimeout(nextEvent, 0);
+    }
+
+    /**
+     * Start threads for the waiting events without waiting for the other threads.
+     * The reporters of the event report the event of their thread, so the scripts for different events run at once.
+     * A script which is still running for an earlier event runs again in another thread for the new one.
+     * Events wait in the queue while the number of the running threads is at the max.
+     */
+    startConcurrentEvents () {
+        this.eventThreads = this.eventThreads
+            .filter(thread => this.runtime.threads.indexOf(thread) !== -1);
+        while (this.eventThreads.length < this.maxEventThreads) {
+            const event = this.mesh.nextSharedEvent();
+            if (!event) return;
+            this.processingSharedEvent = event;
+            const started = this.startSharedEventThreads(event);
+            this.eventThreads = this.eventThreads.concat(started);
+            if (event.ack) {
+                // Wait for the threads of this event only, to tell the sender when they finished.
+                event.startedThreads = started;
+                this.processSharedEvent(event, () => this.mesh.acknowledgeSharedEvent(event));
+            }
+        }
+    }
+
+    /**
+     * Set how the events are handled.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.MODE - 'sequential' or 'concurrent'.
+     */
+    setEventHandling (args) {
+        const mode = Cast.toString(args.MODE);
+        if (mode !== 'sequential' && mode !== 'concurrent') return;
+        this.eventHandlingMode = mode;
+    }
+
+    /**
+     * Start the hats for the shared event.
+     * The hats for a type start only when the type of the event matches, ignoring case like broadcasts.
+     * @param {object} event - the shared event.
+     * @returns {Array<Thread>} - the started threads.
+     */
+    startSharedEventHats (event) {
+        return this.startHatsWithMeshEvent('xcxMesh_whenSharedEventReceived', event)
+            .concat(this.startHatsWithMeshEvent(
+                'xcxMesh_whenSharedEventTypeReceived',
+                event,
+                {[EVENT_TYPE_MENU]: Cast.toString(event.eventType)}
+            ));
+    }
+
+    /**
+     * Start a new thread of each hat for the shared event, even when the script is running for another event.
+     * The hats are matched like the runtime starts them, but the threads for earlier events keep running,
+     * which the runtime does not do for the hats, so the handlers of the events run at once.
+     * @param {object} event - the shared event.
+     * @returns {Array<Thread>} - the started threads.
+     */
+    startSharedEventThreads (event) {
+        const eventType = Cast.toString(event.eventType).toUpperCase();
+        const threads = [];
+        const startScripts = (opcode, matches) => {
+            this.runtime.allScriptsByOpcodeDo(opcode, (script, target) => {
+                if (!matches(script.fieldsOfInputs)) return;
+                const thread = this.runtime._pushThread(script.blockId, target);
+                this.threadMeshEvents.set(thread, event);
+                threads.push(thread);
+            });
+        };
+        startScripts('xcxMesh_whenSharedEventReceived', () => true);
+        startScripts('xcxMesh_whenSharedEventTypeReceived', fields =>
+            !!fields[EVENT_TYPE_MENU] && fields[EVENT_TYPE_MENU].value === eventType);
+        return threads;
+    }
+
+    /**
+     * Process the shared event with the callback.
+     * The callback will be called after the all started threads are finished.
+     * @param {object} event - the shared event.
+     * @param {Function} onCompletion - the callback function.
+     */
+    processSharedEvent (event, onCompletion) {
+        // Have we run before, starting threads?
+        if (!event.startedThreads) {
+            // No - start hats for this broadcast.
+            event.startedThreads = this.startSharedEventHats(event);
+            if (event.startedThreads.length === 0) {
+                // Nothing was started. Go on to the next event, which may match other hats.
+                onCompletion();
+                return;
+            }
+        }
+        // We've run before; check if the wait is still going on.
+        const waiting = event.startedThreads
+            .some(thread => this.runtime.threads.indexOf(thread) !== -1);
+        if (waiting) {
+            setTimeout(() => {
+                this.processSharedEvent(event, onCompletion);
+            }, this.eventCompletionCheckInterval);
+        } else {
+            onCompletion();
+        }
+    }
+
+    /**
+     * Answer the request after the earlier requests of the same question.
+     * The hat does not start while its script answers an earlier request, so the requests wait in turn.
+     * @param {object} event - the mesh event of the request.
+     */
+    processRequest (event) {
+        const question = String(event.data.question);
+        const previous = this.requestAnswers.get(question) || Promise.resolve();
+        const answered = previous.then(() => this.answerRequest(event));
+        this.requestAnswers.set(question, answered);
+        answered.then(() => {
+            if (this.requestAnswers.get(question) === answered) {
+                this.requestAnswers.delete(question);
+            }
+        });
+    }
+
+    /**
+     * Start hats for the request and reply when nobody replied.
+     * The asker does not need to wait until the timeout when no hat answers the question.
+     * @param {object} event - the mesh event of the request.
+     * @return {Promise} - resolve when the started threads finished.
+     */
+    answerRequest (event) {
+        const threads = this.startHatsWithMeshEvent('xcxMesh_whenAsked', event);
+        return new Promise(resolve => {
+            const check = () => {
+                const waiting = threads.some(thread => this.runtime.threads.indexOf(thread) !== -1);
+                if (waiting) {
+                    setTimeout(check, this.eventCompletionCheckInterval);
+                    return;
+                }
+                if (!event.replied) {
+                    event.replied = true;
+                    this.mesh.reply(event.data, null, `No reply for "${event.data.question}"`);
+                }
+                resolve();
+            };
+            check();
+        });
+    }
+
+    /**
+     * Ask the peer and wait for the reply.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.ID - the ID of the peer to ask.
+     * @param {string} args.QUESTION - the question.
+     * @param {string} args.DATA - the data for the question.
+     * @return {Promise<string|number|boolean>} - resolve with the reply, or empty when it timed out.
+     */
+    askAndWait (args) {
+        const remoteID = String(args.ID).trim();
+        const question = String(args.QUESTION).trim();
+        return this.mesh.request(remoteID, question, args.DATA)
+            .then(reply => toScratchValue(reply))
+            .catch(() => '');
+    }
+
+    /**
+     * Set the time to wait for a reply.
+     * @param {object} args - arguments for the block.
+     * @param {number} args.SECONDS - the timeout in seconds.
+     */
+    setAskTimeout (args) {
+        const seconds = Cast.toNumber(args.SECONDS);
+        this.mesh.requestTimeout = Math.max(0, seconds) * 1000;
+    }
+
+    /**
+     * Return the request which started the thread.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {object|null} - the mesh event of the request.
+     */
+    threadRequest (util) {
+        const event = this.threadMeshEvents.get(util.thread);
+        if (!event || event.type !== 'requestReceived') return null;
+        return event;
+    }
+
+    /**
+     * Return whether the thread was started by the question.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.QUESTION - the question.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {boolean} - true if the question was asked.
+     */
+    whenAsked (args, util) {
+        const event = this.threadRequest(util);
+        return !!event && event.data.question === String(args.QUESTION).trim();
+    }
+
+    /**
+     * Reply to the request which started the thread.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.DATA - the reply data.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string|undefined} - the error message.
+     */
+    replyToQuestion (args, util) {
+        const event = this.threadRequest(util);
+        if (!event) {
+            return 'Reply only in "when asked"';
+        }
+        if (event.replied) {
+            return `Already replied to "${event.data.question}"`;
+        }
+        event.replied = true;
+        try {
+            this.mesh.reply(event.data, args.DATA);
+        } catch (e) {
+            return `Failed to reply to "${event.data.question}": ${e}`;
+        }
+    }
+
+    /**
+     * Return the data of the request which started the thread.
+     * @param {object} args - arguments for the block.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string|number|boolean} - the data of the question.
+     */
+    askedData (args, util) {
+        const event = this.threadRequest(util);
+        return toScratchValue(event && event.data.data);
+    }
+
+    /**
+     * Return the ID of the peer which asked the request of the thread.
+     * @param {object} args - arguments for the block.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the ID of the asker.
+     */
+    askerID (args, util) {
+        const event = this.threadRequest(util);
+        return (event && event.data.sender) || '';
+    }
+
+    /**
+     * Return all shared variable keys as comma separated string.
+     * @returns {string} - comma separated keys.
+     */
+    sharedVarKeys () {
+        return this.mesh.sharedVarKeys(this.channel);
+    }
+
+    /**
+     * Return menu items of the variables in the editing target and the stage.
+     * @returns {Array<string>} - names of the variables.
+     */
+    getVariableMenu () {
+        const names = new Set();
+        [this.runtime.getTargetForStage(), this.runtime.getEditingTarget()]
+            .filter(target => !!target)
+            .forEach(target => {
+                Object.values(target.variables)
+                    .filter(variable => variable.type === '' && variable.name !== BINDINGS_VARIABLE_NAME)
+                    .forEach(variable => names.add(variable.name));
+            });
+        if (names.size === 0) return [''];
+        return Array.from(names).sort();
+    }
+
+    /**
+     * Return menu items of the event types which were received or are used in the project.
+     * The types in the project are taken from the event blocks of all sprites.
+     * @returns {Array<string>} - event types.
+     */
+    getEventTypeMenu () {
+        const types = new Set(this.mesh.seenEventTypes);
+        this.runtime.targets
+            .filter(target => target.isOriginal)
+            .forEach(target => {
+                this._scriptBlocksDo(target.blocks, block => {
+                    if (block.opcode === `${EXTENSION_ID}_menu_${EVENT_TYPE_MENU}`) {
+                        types.add(block.fields[EVENT_TYPE_MENU].value);
+                        return;
+                    }
+                    if (block.opcode !== 'xcxMesh_dispatchSharedEvent' &&
+                        block.opcode !== 'xcxMesh_dispatchDirectEvent') return;
+                    const input = block.inputs.TYPE && target.blocks.getBlock(block.inputs.TYPE.block);
+                    if (input && input.fields.TEXT) {
+                        types.add(input.fields.TEXT.value);
+                    }
+                });
+            });
+        types.delete('');
+        if (types.size === 0) return ['event'];
+        return Array.from(types).sort();
+    }
+
+    /**
+     * Call the function for every block in the scripts of the blocks container.
+     * It walks from the top blocks through the next blocks and the inputs, including branches and shadows.
+     * @param {Blocks} blocks - blocks container of a target
+     * @param {function} callback - function to call with each block
+     */
+    _scriptBlocksDo (blocks, callback) {
+        const visited = new Set();
+        const stack = blocks.getScripts().slice();
+        while (stack.length > 0) {
+            const blockId = stack.pop();
+            if (!blockId || visited.has(blockId)) continue;
+            visited.add(blockId);
+            const block = blocks.getBlock(blockId);
+            if (!block) continue;
+            callback(block);
+            stack.push(block.next);
+            Object.values(block.inputs || {}).forEach(input => {
+                stack.push(input.block, input.shadow);
+            });
+        }
+    }
+
+    /**
+     * Return menu items of the costumes of the editing target.
+     * @returns {Array<string>} - names of the costumes.
+     */
+    getCostumeMenu () {
+        const target = this.runtime.getEditingTarget();
+        if (!target || target.getCostumes().length === 0) return [''];
+        return target.getCostumes().map(costume => costume.name);
+    }
+
+    /**
+     * Return menu items of the sounds of the editing target.
+     * @returns {Array<string>} - names of the sounds.
+     */
+    getSoundMenu () {
+        const target = this.runtime.getEditingTarget();
+        if (!target || target.getSounds().length === 0) return [''];
+        return target.getSounds().map(sound => sound.name);
+    }
+
+    /**
+     * Return menu items of the lists in the editing target and the stage.
+     * @returns {Array<string>} - names of the lists.
+     */
+    getListMenu () {
+        const names = new Set();
+        [this.runtime.getTargetForStage(), this.runtime.getEditingTarget()]
+            .filter(target => !!target)
+            .forEach(target => {
+                Object.values(target.variables)
+                    .filter(variable => variable.type === 'list')
+                    .forEach(variable => names.add(variable.name));
+            });
+        if (names.size === 0) return [''];
+        return Array.from(names).sort();
+    }
+
+    /**
+     * @returns {object} metadata for this extension and its blocks.
+     */
+    getInfo () {
+        setupTranslations();
+        return {
+            id: MeshBlocks.EXTENSION_ID,
+            name: MeshBlocks.EXTENSION_NAME,
+            extensionURL: MeshBlocks.extensionURL,
+            blockIconURI: blockIcon,
+            showStatusButton: false,
+            blocks: [
+                {
+                    opcode: 'openPeer',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.openPeer',
+                        default: 'open peer [ID]'
+                    }),
+                    arguments: {
+                        ID: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.openPeer.defaultID',
+                                default: 'myID'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'myID',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMesh.myID',
+                        default: 'my ID'
+                    })
+                },
+                {
+                    opcode: 'isPeerOpen',
+                    blockType: BlockType.BOOLEAN,
+                    text: formatMessage({
+                        id: 'xcxMesh.isPeerOpen',
+                        default: 'peer is open'
+                    })
+                },
+                {
+                    opcode: 'closePeer',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.closePeer',
+                        default: 'close peer'
+                    })
+                },
+                {
+                    opcode: 'setPeerServer',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.setPeerServer',
+                        default: 'set peer server to [SERVER]'
+                    }),
+                    arguments: {
+                        SERVER: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'https://0.peerjs.com'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setICEServers',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.setICEServers',
+                        default: 'set ICE servers to [SERVERS]'
+                    }),
+                    arguments: {
+                        SERVERS: {
+                            type: ArgumentType.STRING,
+                            defaultValue: ' '
+                        }
+                    }
+                },
+                {
+                    opcode: 'setPeerJSSources',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.setPeerJSSources',
+                        default: 'set PeerJS sources to [SOURCES]'
+                    }),
+                    arguments: {
+                        SOURCES: {
+                            type: ArgumentType.STRING,
+                            defaultValue: DEFAULT_SOURCES.join(', ')
+                        }
+                    }
+                },
+                {
+                    opcode: 'setPassphrase',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.setPassphrase',
+                        default: 'set passphrase to [PASSPHRASE]'
+                    }),
+                    arguments: {
+                        PASSPHRASE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: ''
+                        }
+                    }
+                },
+                {
+                    opcode: 'setConnectionPolicy',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.setConnectionPolicy',
+                        default: 'set connection policy to [POLICY]'
+                    }),
+                    arguments: {
+                        POLICY: {
+                            type: ArgumentType.STRING,
+                            menu: 'connectionPolicyMenu',
+                            defaultValue: 'all'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setPolicyIDs',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.setPolicyIDs',
+                        default: 'set policy list to [IDS]'
+                    }),
+                    arguments: {
+                        IDS: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.setPolicyIDs.defaultIDs',
+                                default: 'remoteID1,remoteID2'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'setMaxPeers',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.setMaxPeers',
+                        default: 'set max peers to [COUNT]'
+                    }),
+                    arguments: {
+                        COUNT: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 8
+                        }
+                    }
+                },
+                {
+                    opcode: 'setAutoReconnect',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.setAutoReconnect',
+                        default: 'turn auto reconnect [STATE]'
+                    }),
+                    arguments: {
+                        STATE: {
+                            type: ArgumentType.STRING,
+                            menu: 'onOffMenu',
+                            defaultValue: 'on'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setReconnectPolicy',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.setReconnectPolicy',
+                        default: 'set reconnect retries to [RETRIES] from [DELAY] seconds'
+                    }),
+                    arguments: {
+                        RETRIES: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 5
+                        },
+                        DELAY: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        }
+                    }
+                },
+                {
+                    opcode: 'reconnectState',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMesh.reconnectState',
+                        default: 'reconnect state'
+                    })
+                },
+                '---',
+                {
+                    opcode: 'openDataConnection',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.openDataConnection',
+                        default: 'open connection to [ID]'
+                    }),
+                    arguments: {
+                        ID: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.openDataConnection.defaultID',
+                                default: 'remoteID'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'isDataConnectionOpen',
+                    blockType: BlockType.BOOLEAN,
+                    text: formatMessage({
+                        id: 'xcxMesh.isDataConnectionOpen',
+                        default: 'connection to [ID] is open'
+                    }),
+                    arguments: {
+                        ID: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.isDataConnectionOpen.defaultID',
+                                default: 'remoteID'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'closeDataConnection',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.closeDataConnection',
+                        default: 'close connection to [ID]'
+                    }),
+                    arguments: {
+                        ID: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.closeDataConnection.defaultID',
+                                default: 'remoteID'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'whenDataConnectionRequested',
+                    blockType: BlockType.EVENT,
+                    isEdgeActivated: false,
+                    text: formatMessage({
+                        id: 'xcxMesh.whenDataConnectionRequested',
+                        default: 'when connection requested'
+                    })
+                },
+                {
+                    opcode: 'acceptDataConnection',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.acceptDataConnection',
+                        default: 'accept [ID]'
+                    }),
+                    arguments: {
+                        ID: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.acceptDataConnection.defaultID',
+                                default: 'remoteID'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'rejectDataConnection',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.rejectDataConnection',
+                        default: 'reject [ID]'
+                    }),
+                    arguments: {
+                        ID: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.rejectDataConnection.defaultID',
+                                default: 'remoteID'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'pendingDataConnectionIDs',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMesh.pendingDataConnectionIDs',
+                        default: 'connection requests'
+                    })
+                },
+                {
+                    opcode: 'whenDataConnectionOpened',
+                    blockType: BlockType.EVENT,
+                    isEdgeActivated: false,
+                    text: formatMessage({
+                        id: 'xcxMesh.whenDataConnectionOpened',
+                        default: 'when connection opened'
+                    })
+                },
+                {
+                    opcode: 'whenDataConnectionClosed',
+                    blockType: BlockType.EVENT,
+                    isEdgeActivated: false,
+                    text: formatMessage({
+                        id: 'xcxMesh.whenDataConnectionClosed',
+                        default: 'when connection closed'
+                    })
+                },
+                {
+                    opcode: 'whenDataConnectionError',
+                    blockType: BlockType.EVENT,
+                    isEdgeActivated: false,
+                    text: formatMessage({
+                        id: 'xcxMesh.whenDataConnectionError',
+                        default: 'when connection error'
+                    })
+                },
+                {
+                    opcode: 'whenPeerDisconnected',
+                    blockType: BlockType.EVENT,
+                    isEdgeActivated: false,
+                    text: formatMessage({
+                        id: 'xcxMesh.whenPeerDisconnected',
+                        default: 'when peer disconnected from server'
+                    })
+                },
+                {
+                    opcode: 'whenPeerReconnected',
+                    blockType: BlockType.EVENT,
+                    isEdgeActivated: false,
+                    text: formatMessage({
+                        id: 'xcxMesh.whenPeerReconnected',
+                        default: 'when peer reconnected to server'
+                    })
+                },
+                {
+                    opcode: 'connectionEventPeerID',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMesh.connectionEventPeerID',
+                        default: 'peer of connection event'
+                    })
+                },
+                {
+                    opcode: 'connectionEventError',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMesh.connectionEventError',
+                        default: 'error of connection event'
+                    })
+                },
+                {
+                    opcode: 'dataConnectionIDAt',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMesh.dataConnectionIDAt',
+                        default: 'connection ID at [CONNECTION_INDEX]'
+                    }),
+                    arguments: {
+                        CONNECTION_INDEX: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        }
+                    }
+                },
+                {
+                    opcode: 'dataConnectionCount',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMesh.dataConnectionCount',
+                        default: 'connection count'
+                    })
+                },
+                {
+                    opcode: 'latency',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMesh.latency',
+                        default: 'latency to [ID]'
+                    }),
+                    arguments: {
+                        ID: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.latency.defaultID',
+                                default: 'remoteID'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'setHeartbeat',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.setHeartbeat',
+                        default: 'send heartbeat every [SECONDS] seconds and drop after [MISSES] misses'
+                    }),
+                    arguments: {
+                        SECONDS: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 2
+                        },
+                        MISSES: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 3
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'joinRoom',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.joinRoom',
+                        default: 'join room [NAME]'
+                    }),
+                    arguments: {
+                        NAME: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.joinRoom.defaultName',
+                                default: 'room'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'leaveRoom',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.leaveRoom',
+                        default: 'leave room'
+                    })
+                },
+                {
+                    opcode: 'roomMembers',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMesh.roomMembers',
+                        default: 'room members'
+                    })
+                },
+                '---',
+                {
+                    opcode: 'isLeader',
+                    blockType: BlockType.BOOLEAN,
+                    text: formatMessage({
+                        id: 'xcxMesh.isLeader',
+                        default: 'am I leader'
+                    })
+                },
+                {
+                    opcode: 'leaderID',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMesh.leaderID',
+                        default: 'leader ID'
+                    })
+                },
+                {
+                    opcode: 'whenLeaderChanged',
+                    blockType: BlockType.EVENT,
+                    isEdgeActivated: false,
+                    text: formatMessage({
+                        id: 'xcxMesh.whenLeaderChanged',
+                        default: 'when leader changes'
+                    })
+                },
+                '---',
+                {
+                    opcode: 'setMyPresence',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.setMyPresence',
+                        default: 'set my [FIELD] to [VALUE]'
+                    }),
+                    arguments: {
+                        FIELD: {
+                            type: ArgumentType.STRING,
+                            menu: 'presenceFieldMenu',
+                            defaultValue: 'name'
+                        },
+                        VALUE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.setMyPresence.defaultValue',
+                                default: 'player'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'peerPresence',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMesh.peerPresence',
+                        default: '[FIELD] of peer [ID]'
+                    }),
+                    arguments: {
+                        FIELD: {
+                            type: ArgumentType.STRING,
+                            menu: 'presenceFieldMenu',
+                            defaultValue: 'name'
+                        },
+                        ID: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.peerPresence.defaultID',
+                                default: 'remoteID'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'whenPeerUpdatesPresence',
+                    blockType: BlockType.HAT,
+                    isEdgeActivated: false,
+                    text: formatMessage({
+                        id: 'xcxMesh.whenPeerUpdatesPresence',
+                        default: 'when peer [ID] updates presence'
+                    }),
+                    arguments: {
+                        ID: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.whenPeerUpdatesPresence.defaultID',
+                                default: 'remoteID'
+                            })
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'useChannel',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.useChannel',
+                        default: 'use channel [NAME]'
+                    }),
+                    arguments: {
+                        NAME: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.useChannel.defaultName',
+                                default: 'channel'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'currentChannel',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMesh.currentChannel',
+                        default: 'channel'
+                    })
+                },
+                {
+                    opcode: 'subscribeChannels',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.subscribeChannels',
+                        default: 'receive only channels [NAMES]'
+                    }),
+                    arguments: {
+                        NAMES: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.subscribeChannels.defaultNames',
+                                default: 'channel1,channel2'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'setSharedVar',
+                    blockType: BlockType.COMMAND,
+                    blockAllThreads: false,
+                    text: formatMessage({
+                        id: 'xcxMesh.setSharedVar',
+                        default: 'set value of [KEY] to [VALUE]'
+                    }),
+                    arguments: {
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.setSharedVar.defaultKey',
+                                default: 'key'
+                            })
+                        },
+                        VALUE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.setSharedVar.defaultValue',
+                                default: 'value'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'sharedVar',
+                    blockType: BlockType.REPORTER,
+                    blockAllThreads: false,
+                    text: formatMessage({
+                        id: 'xcxMesh.sharedVar',
+                        default: 'value of [KEY]'
+                    }),
+                    arguments: {
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.sharedVar.defaultKey',
+                                default: 'key'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'sharedVarAtPath',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMesh.sharedVarAtPath',
+                        default: '[PATH] of value [KEY]'
+                    }),
+                    arguments: {
+                        PATH: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'x'
+                        },
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.sharedVarAtPath.defaultKey',
+                                default: 'key'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'setSharedVarToList',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.setSharedVarToList',
+                        default: 'set value of [KEY] to list [LIST]'
+                    }),
+                    arguments: {
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.setSharedVarToList.defaultKey',
+                                default: 'key'
+                            })
+                        },
+                        LIST: {
+                            type: ArgumentType.STRING,
+                            menu: 'listMenu'
+                        }
+                    }
+                },
+                {
+                    opcode: 'copySharedVarToList',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.copySharedVarToList',
+                        default: 'set list [LIST] to value of [KEY]'
+                    }),
+                    arguments: {
+                        LIST: {
+                            type: ArgumentType.STRING,
+                            menu: 'listMenu'
+                        },
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.copySharedVarToList.defaultKey',
+                                default: 'key'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'sharedVarKeys',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMesh.sharedVarKeys',
+                        default: 'all shared variable keys'
+                    })
+                },
+                {
+                    opcode: 'copySharedVarKeysToList',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.copySharedVarKeysToList',
+                        default: 'set list [LIST] to all shared variable keys'
+                    }),
+                    arguments: {
+                        LIST: {
+                            type: ArgumentType.STRING,
+                            menu: 'listMenu'
+                        }
+                    }
+                },
+                {
+                    opcode: 'bindVariable',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.bindVariable',
+                        default: 'sync variable [VAR] as [KEY]'
+                    }),
+                    arguments: {
+                        VAR: {
+                            type: ArgumentType.STRING,
+                            menu: 'variableMenu'
+                        },
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.bindVariable.defaultKey',
+                                default: 'key'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'bindList',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.bindList',
+                        default: 'sync list [LIST] as [KEY]'
+                    }),
+                    arguments: {
+                        LIST: {
+                            type: ArgumentType.STRING,
+                            menu: 'listMenu'
+                        },
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.bindList.defaultKey',
+                                default: 'key'
+                            })
+                        }
+                    }
+                },
                 {
-                    opcode: 'openPeer',
+                    opcode: 'unbindSharedVar',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxMesh.openPeer',
-                        default: 'open peer [ID]'
+                        id: 'xcxMesh.unbindSharedVar',
+                        default: 'stop syncing [KEY]'
                     }),
                     arguments: {
-                        ID: {
+                        KEY: {
                             type: ArgumentType.STRING,
                             defaultValue: formatMessage({
-                                id: 'xcxMesh.openPeer.defaultID',
-                                default: 'myID'
+                                id: 'xcxMesh.unbindSharedVar.defaultKey',
+                                default: 'key'
                             })
                         }
                     }
                 },
                 {
-                    opcode: 'myID',
+                    opcode: 'replicateSprite',
+                    blockType: BlockType.COMMAND,
+                    filter: [TargetType.SPRITE],
+                    text: formatMessage({
+                        id: 'xcxMesh.replicateSprite',
+                        default: 'replicate this sprite as [KEY]'
+                    }),
+                    arguments: {
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.replicateSprite.defaultKey',
+                                default: 'player'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'stopReplicatingSprite',
+                    blockType: BlockType.COMMAND,
+                    filter: [TargetType.SPRITE],
+                    text: formatMessage({
+                        id: 'xcxMesh.stopReplicatingSprite',
+                        default: 'stop replicating this sprite'
+                    })
+                },
+                {
+                    opcode: 'setReplicationRate',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.setReplicationRate',
+                        default: 'set replication rate to [RATE] per second'
+                    }),
+                    arguments: {
+                        RATE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 10
+                        }
+                    }
+                },
+                {
+                    opcode: 'sendCostume',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.sendCostume',
+                        default: 'send costume [COSTUME] to sprite [SPRITE] of [ID]'
+                    }),
+                    arguments: {
+                        COSTUME: {
+                            type: ArgumentType.STRING,
+                            menu: 'costumeMenu'
+                        },
+                        SPRITE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'Sprite1'
+                        },
+                        ID: {
+                            type: ArgumentType.STRING,
+                            defaultValue: ' '
+                        }
+                    }
+                },
+                {
+                    opcode: 'sendSound',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.sendSound',
+                        default: 'send sound [SOUND] to sprite [SPRITE] of [ID]'
+                    }),
+                    arguments: {
+                        SOUND: {
+                            type: ArgumentType.STRING,
+                            menu: 'soundMenu'
+                        },
+                        SPRITE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'Sprite1'
+                        },
+                        ID: {
+                            type: ArgumentType.STRING,
+                            defaultValue: ' '
+                        }
+                    }
+                },
+                {
+                    opcode: 'sendStageSnapshot',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.sendStageSnapshot',
+                        default: 'send stage snapshot to sprite [SPRITE] of [ID]'
+                    }),
+                    arguments: {
+                        SPRITE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'Sprite1'
+                        },
+                        ID: {
+                            type: ArgumentType.STRING,
+                            defaultValue: ' '
+                        }
+                    }
+                },
+                {
+                    opcode: 'whenMediaReceived',
+                    blockType: BlockType.EVENT,
+                    isEdgeActivated: false,
+                    text: formatMessage({
+                        id: 'xcxMesh.whenMediaReceived',
+                        default: 'when media arrives'
+                    })
+                },
+                {
+                    opcode: 'receivedMedia',
                     blockType: BlockType.REPORTER,
                     disableMonitor: true,
                     text: formatMessage({
-                        id: 'xcxMesh.myID',
-                        default: 'my ID'
+                        id: 'xcxMesh.receivedMedia',
+                        default: '[FIELD] of arrived media'
+                    }),
+                    arguments: {
+                        FIELD: {
+                            type: ArgumentType.STRING,
+                            menu: 'mediaFieldMenu',
+                            defaultValue: 'name'
+                        }
+                    }
+                },
+                {
+                    opcode: 'mediaTransferProgress',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMesh.mediaTransferProgress',
+                        default: 'media transfer progress'
                     })
                 },
                 {
-                    opcode: 'isPeerOpen',
-                    blockType: BlockType.BOOLEAN,
+                    opcode: 'deleteSharedVar',
+                    blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxMesh.isPeerOpen',
-                        default: 'peer is open'
+                        id: 'xcxMesh.deleteSharedVar',
+                        default: 'delete [KEY]'
+                    }),
+                    arguments: {
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.deleteSharedVar.defaultKey',
+                                default: 'key'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'clearSharedVars',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.clearSharedVars',
+                        default: 'clear all shared vars'
                     })
                 },
                 {
-                    opcode: 'closePeer',
+                    opcode: 'whenSharedVarChanged',
+                    blockType: BlockType.HAT,
+                    isEdgeActivated: false,
+                    text: formatMessage({
+                        id: 'xcxMesh.whenSharedVarChanged',
+                        default: 'when [KEY] is changed by another peer'
+                    }),
+                    arguments: {
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.whenSharedVarChanged.defaultKey',
+                                default: 'key'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'sharedVarSender',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMesh.sharedVarSender',
+                        default: '[KEY] changed by'
+                    }),
+                    arguments: {
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.sharedVarSender.defaultKey',
+                                default: 'key'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'whenSharedVarConflicts',
+                    blockType: BlockType.HAT,
+                    isEdgeActivated: false,
+                    text: formatMessage({
+                        id: 'xcxMesh.whenSharedVarConflicts',
+                        default: 'when [KEY] conflicts'
+                    }),
+                    arguments: {
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.whenSharedVarConflicts.defaultKey',
+                                default: 'key'
+                            })
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'becomeVarHost',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxMesh.closePeer',
-                        default: 'close peer'
+                        id: 'xcxMesh.becomeVarHost',
+                        default: 'become host'
                     })
                 },
                 {
-                    opcode: 'setPeerServer',
+                    opcode: 'useVarHost',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxMesh.setPeerServer',
-                        default: 'set peer server to [SERVER]'
+                        id: 'xcxMesh.useVarHost',
+                        default: 'use host [ID]'
                     }),
                     arguments: {
-                        SERVER: {
+                        ID: {
                             type: ArgumentType.STRING,
-                            defaultValue: 'https://0.peerjs.com'
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.useVarHost.defaultID',
+                                default: 'remoteID'
+                            })
                         }
                     }
                 },
                 {
-                    opcode: 'setICEServers',
+                    opcode: 'varHostID',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMesh.varHostID',
+                        default: 'host ID'
+                    })
+                },
+                {
+                    opcode: 'whenSharedVarWriteRequested',
+                    blockType: BlockType.HAT,
+                    isEdgeActivated: false,
+                    text: formatMessage({
+                        id: 'xcxMesh.whenSharedVarWriteRequested',
+                        default: 'when write to [KEY] requested'
+                    }),
+                    arguments: {
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.whenSharedVarWriteRequested.defaultKey',
+                                default: 'key'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'requestedValue',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMesh.requestedValue',
+                        default: 'requested value'
+                    })
+                },
+                {
+                    opcode: 'writeRequester',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMesh.writeRequester',
+                        default: 'requester of write'
+                    })
+                },
+                {
+                    opcode: 'rejectSharedVarWrite',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxMesh.setICEServers',
-                        default: 'set ICE servers to [SERVERS]'
+                        id: 'xcxMesh.rejectSharedVarWrite',
+                        default: 'reject write because [REASON]'
                     }),
                     arguments: {
-                        SERVERS: {
+                        REASON: {
                             type: ArgumentType.STRING,
-                            defaultValue: ' '
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.rejectSharedVarWrite.defaultReason',
+                                default: 'not allowed'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'whenSharedVarRejected',
+                    blockType: BlockType.HAT,
+                    isEdgeActivated: false,
+                    text: formatMessage({
+                        id: 'xcxMesh.whenSharedVarRejected',
+                        default: 'when write to [KEY] rejected'
+                    }),
+                    arguments: {
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.whenSharedVarRejected.defaultKey',
+                                default: 'key'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'rejectionReason',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMesh.rejectionReason',
+                        default: 'reason of rejection'
+                    })
+                },
+                '---',
+                {
+                    opcode: 'dispatchSharedEvent',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxMesh.dispatchSharedEvent',
+                        default: 'dispatch event [TYPE] with [DATA]'
+                    }),
+                    arguments: {
+                        TYPE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.dispatchSharedEvent.defaultEvent',
+                                default: 'event'
+                            })
+                        },
+                        DATA: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.dispatchSharedEvent.defaultData',
+                                default: 'data'
+                            })
                         }
                     }
                 },
-                '---',
                 {
-                    opcode: 'openDataConnection',
+                    opcode: 'dispatchSharedEventAndWait',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxMesh.openDataConnection',
-                        default: 'open connection to [ID]'
+                        id: 'xcxMesh.dispatchSharedEventAndWait',
+                        default: 'dispatch event [TYPE] with [DATA] and wait'
                     }),
                     arguments: {
-                        ID: {
+                        TYPE: {
                             type: ArgumentType.STRING,
                             defaultValue: formatMessage({
-                                id: 'xcxMesh.openDataConnection.defaultID',
-                                default: 'remoteID'
+                                id: 'xcxMesh.dispatchSharedEventAndWait.defaultEvent',
+                                default: 'event'
+                            })
+                        },
+                        DATA: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.dispatchSharedEventAndWait.defaultData',
+                                default: 'data'
                             })
                         }
                     }
                 },
                 {
-                    opcode: 'isDataConnectionOpen',
-                    blockType: BlockType.BOOLEAN,
+                    opcode: 'setEventWait',
+                    blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxMesh.isDataConnectionOpen',
-                        default: 'connection to [ID] is open'
+                        id: 'xcxMesh.setEventWait',
+                        default: 'wait for [QUORUM] peers up to [SECONDS] seconds'
                     }),
                     arguments: {
-                        ID: {
+                        QUORUM: {
                             type: ArgumentType.STRING,
-                            defaultValue: formatMessage({
-                                id: 'xcxMesh.isDataConnectionOpen.defaultID',
-                                default: 'remoteID'
-                            })
+                            menu: 'quorumMenu',
+                            defaultValue: 'all'
+                        },
+                        SECONDS: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 5
                         }
                     }
                 },
                 {
-                    opcode: 'closeDataConnection',
+                    opcode: 'completedPeerCount',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMesh.completedPeerCount',
+                        default: 'peers which finished'
+                    })
+                },
+                {
+                    opcode: 'dispatchDirectEvent',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxMesh.closeDataConnection',
-                        default: 'close connection to [ID]'
+                        id: 'xcxMesh.dispatchDirectEvent',
+                        default: 'send event [TYPE] with [DATA] to [ID]'
                     }),
                     arguments: {
+                        TYPE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.dispatchDirectEvent.defaultEvent',
+                                default: 'event'
+                            })
+                        },
+                        DATA: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.dispatchDirectEvent.defaultData',
+                                default: 'data'
+                            })
+                        },
                         ID: {
                             type: ArgumentType.STRING,
                             defaultValue: formatMessage({
-                                id: 'xcxMesh.closeDataConnection.defaultID',
+                                id: 'xcxMesh.dispatchDirectEvent.defaultID',
                                 default: 'remoteID'
                             })
                         }
                     }
                 },
                 {
-                    opcode: 'whenDataConnectionRequested',
+                    opcode: 'whenSharedEventReceived',
                     blockType: BlockType.EVENT,
                     isEdgeActivated: false,
+                    shouldRestartExistingThreads: true,
                     text: formatMessage({
-                        id: 'xcxMesh.whenDataConnectionRequested',
-                        default: 'when connection requested'
+                        id: 'xcxMesh.whenSharedEventReceived',
+                        default: 'when event received'
                     })
                 },
                 {
-                    opcode: 'dataConnectionIDAt',
+                    opcode: 'whenSharedEventTypeReceived',
+                    blockType: BlockType.EVENT,
+                    isEdgeActivated: false,
+                    shouldRestartExistingThreads: true,
+                    text: formatMessage({
+                        id: 'xcxMesh.whenSharedEventTypeReceived',
+                        default: 'when event [TYPE] received'
+                    }),
+                    arguments: {
+                        TYPE: {
+                            type: ArgumentType.STRING,
+                            menu: 'eventTypeMenu',
+                            defaultValue: 'event'
+                        }
+                    }
+                },
+                {
+                    opcode: 'lastSharedEventType',
                     blockType: BlockType.REPORTER,
                     disableMonitor: true,
                     text: formatMessage({
-                        id: 'xcxMesh.dataConnectionIDAt',
-                        default: 'connection ID at [CONNECTION_INDEX]'
+                        id: 'xcxMesh.lastSharedEventType',
+                        default: 'event type'
                     }),
                     arguments: {
-                        CONNECTION_INDEX: {
-                            type: ArgumentType.NUMBER,
-                            defaultValue: 1
-                        }
                     }
                 },
                 {
-                    opcode: 'dataConnectionCount',
+                    opcode: 'lastSharedEventData',
                     blockType: BlockType.REPORTER,
                     disableMonitor: true,
                     text: formatMessage({
-                        id: 'xcxMesh.dataConnectionCount',
-                        default: 'connection count'
+                        id: 'xcxMesh.lastSharedEventData',
+                        default: 'event data'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'lastSharedEventChannel',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMesh.lastSharedEventChannel',
+                        default: 'channel of event'
                     })
                 },
-                '---',
                 {
-                    opcode: 'setSharedVar',
+                    opcode: 'lastSharedEventSender',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMesh.lastSharedEventSender',
+                        default: 'sender of event'
+                    })
+                },
+                {
+                    opcode: 'lastSharedEventTime',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMesh.lastSharedEventTime',
+                        default: 'time of event'
+                    })
+                },
+                {
+                    opcode: 'isLastSharedEventDirect',
+                    blockType: BlockType.BOOLEAN,
+                    text: formatMessage({
+                        id: 'xcxMesh.isLastSharedEventDirect',
+                        default: 'event was direct'
+                    })
+                },
+                {
+                    opcode: 'lastSharedEventDataAtPath',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMesh.lastSharedEventDataAtPath',
+                        default: '[PATH] of event data'
+                    }),
+                    arguments: {
+                        PATH: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'x'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setEventQueuePolicy',
                     blockType: BlockType.COMMAND,
-                    blockAllThreads: false,
                     text: formatMessage({
-                        id: 'xcxMesh.setSharedVar',
-                        default: 'set value of [KEY] to [VALUE]'
+                        id: 'xcxMesh.setEventQueuePolicy',
+                        default: 'set event queue to [POLICY] max [LENGTH]'
                     }),
                     arguments: {
-                        KEY: {
+                        POLICY: {
                             type: ArgumentType.STRING,
-                            defaultValue: formatMessage({
-                                id: 'xcxMesh.setSharedVar.defaultKey',
-                                default: 'key'
-                            })
+                            menu: 'eventQueuePolicyMenu',
+                            defaultValue: 'dropOldest'
                         },
-                        VALUE: {
-                            type: ArgumentType.STRING,
-                            defaultValue: formatMessage({
-                                id: 'xcxMesh.setSharedVar.defaultValue',
-                                default: 'value'
-                            })
+                        LENGTH: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 10
                         }
                     }
                 },
                 {
-                    opcode: 'sharedVar',
-                    blockType: BlockType.REPORTER,
-                    blockAllThreads: false,
+                    opcode: 'setEventHandling',
+                    blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxMesh.sharedVar',
-                        default: 'value of [KEY]'
+                        id: 'xcxMesh.setEventHandling',
+                        default: 'handle events [MODE]'
                     }),
                     arguments: {
-                        KEY: {
+                        MODE: {
                             type: ArgumentType.STRING,
-                            defaultValue: formatMessage({
-                                id: 'xcxMesh.sharedVar.defaultKey',
-                                default: 'key'
-                            })
+                            menu: 'eventHandlingMenu',
+                            defaultValue: 'concurrent'
                         }
                     }
                 },
                 {
-                    opcode: 'sharedVarKeys',
+                    opcode: 'eventQueueLength',
                     blockType: BlockType.REPORTER,
-                    disableMonitor: true,
                     text: formatMessage({
-                        id: 'xcxMesh.sharedVarKeys',
-                        default: 'all shared variable keys'
+                        id: 'xcxMesh.eventQueueLength',
+                        default: 'events in queue'
+                    })
+                },
+                {
+                    opcode: 'droppedEventCount',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMesh.droppedEventCount',
+                        default: 'dropped events'
+                    })
+                },
+                {
+                    opcode: 'missedEventCount',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxMesh.missedEventCount',
+                        default: 'missed events'
                     })
                 },
                 '---',
                 {
-                    opcode: 'dispatchSharedEvent',
-                    blockType: BlockType.COMMAND,
+                    opcode: 'askAndWait',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
                     text: formatMessage({
-                        id: 'xcxMesh.dispatchSharedEvent',
-                        default: 'dispatch event [TYPE] with [DATA]'
+                        id: 'xcxMesh.askAndWait',
+                        default: 'ask [ID] [QUESTION] with [DATA] and wait'
                     }),
                     arguments: {
-                        TYPE: {
+                        ID: {
                             type: ArgumentType.STRING,
                             defaultValue: formatMessage({
-                                id: 'xcxMesh.dispatchSharedEvent.defaultEvent',
-                                default: 'event'
+                                id: 'xcxMesh.askAndWait.defaultID',
+                                default: 'remoteID'
+                            })
+                        },
+                        QUESTION: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.askAndWait.defaultQuestion',
+                                default: 'question'
                             })
                         },
                         DATA: {
                             type: ArgumentType.STRING,
                             defaultValue: formatMessage({
-                                id: 'xcxMesh.dispatchSharedEvent.defaultData',
+                                id: 'xcxMesh.askAndWait.defaultData',
                                 default: 'data'
                             })
                         }
                     }
                 },
                 {
-                    opcode: 'whenSharedEventReceived',
-                    blockType: BlockType.EVENT,
-                    isEdgeActivated: false,
-                    shouldRestartExistingThreads: true,
+                    opcode: 'setAskTimeout',
+                    blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxMesh.whenSharedEventReceived',
-                        default: 'when event received'
-                    })
+                        id: 'xcxMesh.setAskTimeout',
+                        default: 'set ask timeout to [SECONDS] seconds'
+                    }),
+                    arguments: {
+                        SECONDS: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 5
+                        }
+                    }
                 },
                 {
-                    opcode: 'lastSharedEventType',
-                    blockType: BlockType.REPORTER,
-                    disableMonitor: true,
+                    opcode: 'whenAsked',
+                    blockType: BlockType.HAT,
+                    isEdgeActivated: false,
                     text: formatMessage({
-                        id: 'xcxMesh.lastSharedEventType',
-                        default: 'event type'
+                        id: 'xcxMesh.whenAsked',
+                        default: 'when asked [QUESTION]'
                     }),
                     arguments: {
+                        QUESTION: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.whenAsked.defaultQuestion',
+                                default: 'question'
+                            })
+                        }
                     }
                 },
                 {
-                    opcode: 'lastSharedEventData',
+                    opcode: 'askedData',
                     blockType: BlockType.REPORTER,
                     disableMonitor: true,
                     text: formatMessage({
-                        id: 'xcxMesh.lastSharedEventData',
-                        default: 'event data'
+                        id: 'xcxMesh.askedData',
+                        default: 'asked data'
+                    })
+                },
+                {
+                    opcode: 'askerID',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxMesh.askerID',
+                        default: 'asker'
+                    })
+                },
+                {
+                    opcode: 'replyToQuestion',
+                    blockType: BlockType.COMMAND,
+                    isTerminal: true,
+                    text: formatMessage({
+                        id: 'xcxMesh.replyToQuestion',
+                        default: 'reply [DATA]'
                     }),
                     arguments: {
+                        DATA: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxMesh.replyToQuestion.defaultData',
+                                default: 'answer'
+                            })
+                        }
                     }
                 }
             ],
             menus: {
+                costumeMenu: {
+                    acceptReporters: true,
+                    items: 'getCostumeMenu'
+                },
+                soundMenu: {
+                    acceptReporters: true,
+                    items: 'getSoundMenu'
+                },
+                eventTypeMenu: {
+                    acceptReporters: false,
+                    items: 'getEventTypeMenu'
+                },
+                quorumMenu: {
+                    acceptReporters: true,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMesh.quorumMenu.all',
+                                default: 'all'
+                            }),
+                            value: 'all'
+                        },
+                        '1',
+                        '2',
+                        '3'
+                    ]
+                },
+                eventHandlingMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMesh.eventHandlingMenu.sequential',
+                                default: 'one at a time'
+                            }),
+                            value: 'sequential'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMesh.eventHandlingMenu.concurrent',
+                                default: 'in parallel'
+                            }),
+                            value: 'concurrent'
+                        }
+                    ]
+                },
+                eventQueuePolicyMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMesh.eventQueuePolicyMenu.unbounded',
+                                default: 'keep all'
+                            }),
+                            value: 'unbounded'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMesh.eventQueuePolicyMenu.dropOldest',
+                                default: 'drop oldest'
+                            }),
+                            value: 'dropOldest'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMesh.eventQueuePolicyMenu.dropNewest',
+                                default: 'drop newest'
+                            }),
+                            value: 'dropNewest'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMesh.eventQueuePolicyMenu.coalesce',
+                                default: 'latest of each type'
+                            }),
+                            value: 'coalesce'
+                        }
+                    ]
+                },
+                mediaFieldMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMesh.mediaFieldMenu.name',
+                                default: 'name'
+                            }),
+                            value: 'name'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMesh.mediaFieldMenu.kind',
+                                default: 'kind'
+                            }),
+                            value: 'kind'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMesh.mediaFieldMenu.sprite',
+                                default: 'sprite'
+                            }),
+                            value: 'sprite'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMesh.mediaFieldMenu.sender',
+                                default: 'sender'
+                            }),
+                            value: 'sender'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMesh.mediaFieldMenu.error',
+                                default: 'error'
+                            }),
+                            value: 'error'
+                        }
+                    ]
+                },
+                listMenu: {
+                    acceptReporters: true,
+                    items: 'getListMenu'
+                },
+                variableMenu: {
+                    acceptReporters: true,
+                    items: 'getVariableMenu'
+                },
+                onOffMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMesh.onOffMenu.on',
+                                default: 'on'
+                            }),
+                            value: 'on'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMesh.onOffMenu.off',
+                                default: 'off'
+                            }),
+                            value: 'off'
+                        }
+                    ]
+                },
+                connectionPolicyMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMesh.connectionPolicyMenu.all',
+                                default: 'accept all'
+                            }),
+                            value: 'all'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMesh.connectionPolicyMenu.ask',
+                                default: 'ask'
+                            }),
+                            value: 'ask'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMesh.connectionPolicyMenu.allow',
+                                default: 'allow list'
+                            }),
+                            value: 'allow'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMesh.connectionPolicyMenu.deny',
+                                default: 'deny list'
+                            }),
+                            value: 'deny'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMesh.connectionPolicyMenu.max',
+                                default: 'max peers'
+                            }),
+                            value: 'max'
+                        }
+                    ]
+                },
+                presenceFieldMenu: {
+                    acceptReporters: true,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxMesh.presenceFieldMenu.name',
+                                default: 'name'
+                            }),
+                            value: 'name'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxMesh.presenceFieldMenu.joinTime',
+                                default: 'join time'
+                            }),
+                            value: 'joinTime'
+                        }
+                    ]
+                }
             }
         };
     }
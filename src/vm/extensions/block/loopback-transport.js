@@ -0,0 +1,211 @@
+import Transport from './transport';
+import Emitter from './emitter';
+
+/**
+ * Create an error which has a type like errors of PeerJS.
+ * @param {string} type - error type
+ * @param {string} message - error message
+ * @returns {Error} error
+ */
+const transportError = function (type, message) {
+    const error = new Error(message);
+    error.type = type;
+    return error;
+};
+
+/**
+ * Data connection between two loopback peers.
+ */
+class LoopbackDataConnection extends Emitter {
+    /**
+     * Create a data connection.
+     * @param {LoopbackPeer} owner - peer which owns this connection
+     * @param {string} remotePeerID - ID of the remote peer
+     */
+    constructor (owner, remotePeerID) {
+        super();
+        /** @type {LoopbackPeer} peer which owns this connection */
+        this.owner = owner;
+        /** @type {string} ID of the remote peer */
+        this.peer = remotePeerID;
+        /** @type {boolean} true if the connection is open */
+        this.open = false;
+        /** @type {LoopbackDataConnection|null} the other end of this connection */
+        this.remote = null;
+    }
+
+    /**
+     * Send data to the other end asynchronously.
+     * The data is cloned as it is serialized on a real channel.
+     * @param {any} data - data to send
+     */
+    send (data) {
+        if (!this.open) {
+            this.emit('error', transportError('not-open-yet', 'Connection is not open'));
+            return;
+        }
+        const copy = structuredClone(data);
+        const remote = this.remote;
+        setTimeout(() => {
+            if (remote.open) {
+                remote.emit('data', copy);
+            }
+        });
+    }
+
+    /**
+     * Close both ends of this connection.
+     */
+    close () {
+        if (!this.open) return;
+        this.open = false;
+        this.owner.connections.delete(this);
+        this.emit('close');
+        const remote = this.remote;
+        // Data which was sent before closing arrives at the other end first.
+        setTimeout(() => {
+            if (!remote.open) return;
+            remote.open = false;
+            remote.owner.connections.delete(remote);
+            remote.emit('close');
+        });
+    }
+}
+
+/**
+ * Peer on a loopback network.
+ */
+class LoopbackPeer extends Emitter {
+    /**
+     * Create a peer and start signaling.
+     * @param {LoopbackTransport} network - network which the peer joins
+     * @param {string} id - ID of the peer
+     */
+    constructor (network, id) {
+        super();
+        /** @type {LoopbackTransport} network which the peer joins */
+        this.network = network;
+        /** @type {string} ID of the peer */
+        this.id = id;
+        /** @type {boolean} true if the peer is not signaling */
+        this.disconnected = true;
+        /** @type {boolean} true if the peer was destroyed */
+        this.destroyed = false;
+        /** @type {Set<LoopbackDataConnection>} open connections of this peer */
+        this.connections = new Set();
+        setTimeout(() => this._signal());
+    }
+
+    /**
+     * Register this peer to the network.
+     * @private
+     */
+    _signal () {
+        if (this.destroyed) return;
+        if (this.network.peers.has(this.id)) {
+            this.emit('error', transportError('unavailable-id', `ID "${this.id}" is taken`));
+            return;
+        }
+        this.network.peers.set(this.id, this);
+        this.disconnected = false;
+        this.emit('open', this.id);
+    }
+
+    /**
+     * Connect to a remote peer.
+     * @param {string} peerID - ID of the remote peer
+     * @returns {LoopbackDataConnection} data connection
+     */
+    connect (peerID) {
+        const local = new LoopbackDataConnection(this, peerID);
+        setTimeout(() => {
+            const target = this.network.peers.get(peerID);
+            if (this.disconnected || !target) {
+                local.emit('error', transportError('peer-unavailable', `Could not connect to peer ${peerID}`));
+                return;
+            }
+            const remote = new LoopbackDataConnection(target, this.id);
+            local.remote = remote;
+            remote.remote = local;
+            target.emit('connection', remote);
+            setTimeout(() => {
+                local.open = true;
+                remote.open = true;
+                this.connections.add(local);
+                target.connections.add(remote);
+                local.emit('open');
+                remote.emit('open');
+            });
+        });
+        return local;
+    }
+
+    /**
+     * Stop signaling but keep the open connections.
+     */
+    disconnect () {
+        if (this.disconnected) return;
+        this.disconnected = true;
+        if (this.network.peers.get(this.id) === this) {
+            this.network.peers.delete(this.id);
+        }
+        this.emit('disconnected', this.id);
+    }
+
+    /**
+     * Start signaling again with the same ID.
+     */
+    reconnect () {
+        if (this.destroyed) {
+            throw new Error('This peer cannot reconnect because it was destroyed');
+        }
+        if (!this.disconnected) return;
+        setTimeout(() => this._signal());
+    }
+
+    /**
+     * Close all connections and leave the network.
+     */
+    destroy () {
+        if (this.destroyed) return;
+        Array.from(this.connections).forEach(connection => connection.close());
+        this.disconnect();
+        this.destroyed = true;
+        this.emit('close');
+    }
+}
+
+/**
+ * Transport which connects peers in the same process without network.
+ * Mesh instances which share a LoopbackTransport instance can connect each other.
+ */
+class LoopbackTransport extends Transport {
+    constructor () {
+        super();
+        /** @type {Map<string, LoopbackPeer>} peers which are signaling on this network */
+        this.peers = new Map();
+    }
+
+    /**
+     * Name of this transport to show to the user.
+     * @type {string}
+     */
+    get name () {
+        return 'loopback';
+    }
+
+    /**
+     * Create a peer on this network.
+     * @param {string} peerID - ID of the peer
+     * @returns {LoopbackPeer} peer
+     */
+    createPeer (peerID) {
+        return new LoopbackPeer(this, peerID);
+    }
+}
+
+export {
+    LoopbackTransport as default,
+    LoopbackPeer,
+    LoopbackDataConnection
+};
@@ -0,0 +1,260 @@
+import {fromBase64} from './secure-channel';
+
+/**
+ * Kind of the media which is added as a costume.
+ * @type {string}
+ */
+const COSTUME_MEDIA = 'costume';
+
+/**
+ * Kind of the media which is added as a sound.
+ * @type {string}
+ */
+const SOUND_MEDIA = 'sound';
+
+/**
+ * Name of the costume which is made from a stage snapshot.
+ * @type {string}
+ */
+const SNAPSHOT_NAME = 'snapshot';
+
+/**
+ * Width of the stage in Scratch units.
+ * @type {number}
+ */
+const STAGE_WIDTH = 480;
+
+/**
+ * Get the width of a PNG image from its header.
+ * @param {Uint8Array} bytes - PNG image
+ * @returns {number} width in pixels
+ */
+const pngWidth = function (bytes) {
+    return ((bytes[16] << 24) | (bytes[17] << 16) | (bytes[18] << 8) | bytes[19]) >>> 0;
+};
+
+/**
+ * Get a costume of the target as media to send.
+ * @param {Target} target - Stage or sprite which has the costume
+ * @param {string} name - Name of the costume
+ * @returns {{meta: object, bytes: Uint8Array}} Metadata and data of the costume
+ */
+const costumeMedia = function (target, name) {
+    const costume = target.getCostumes().find(item => item.name === name);
+    if (!costume || !costume.asset) {
+        throw new Error(`Costume "${name}" is not found`);
+    }
+    return {
+        meta: {
+            kind: COSTUME_MEDIA,
+            name: costume.name,
+            dataFormat: costume.dataFormat,
+            bitmapResolution: costume.bitmapResolution || 1,
+            rotationCenterX: costume.rotationCenterX,
+            rotationCenterY: costume.rotationCenterY
+        },
+        bytes: costume.asset.data
+    };
+};
+
+/**
+ * Get a sound of the target as media to send.
+ * @param {Target} target - Stage or sprite which has the sound
+ * @param {string} name - Name of the sound
+ * @returns {{meta: object, bytes: Uint8Array}} Metadata and data of the sound
+ */
+const soundMedia = function (target, name) {
+    const sound = target.getSounds().find(item => item.name === name);
+    if (!sound || !sound.asset) {
+        throw new Error(`Sound "${name}" is not found`);
+    }
+    return {
+        meta: {
+            kind: SOUND_MEDIA,
+            name: sound.name,
+            dataFormat: sound.dataFormat,
+            rate: sound.rate,
+            sampleCount: sound.sampleCount
+        },
+        bytes: sound.asset.data
+    };
+};
+
+/**
+ * Take a snapshot of the stage as media to send.
+ * The snapshot is a PNG image which fits the stage when it is added as a costume.
+ * @param {Runtime} runtime - Scratch runtime which has the renderer
+ * @returns {Promise<{meta: object, bytes: Uint8Array}>} Promise that resolves with the snapshot
+ */
+const stageSnapshot = function (runtime) {
+    const renderer = runtime.renderer;
+    if (!renderer || !renderer.requestSnapshot) {
+        return Promise.reject(new Error('Renderer is not available'));
+    }
+    return new Promise(resolve => renderer.requestSnapshot(resolve))
+        .then(dataURL => {
+            const bytes = fromBase64(dataURL.slice(dataURL.indexOf(',') + 1));
+            return {
+                meta: {
+                    kind: COSTUME_MEDIA,
+                    name: SNAPSHOT_NAME,
+                    dataFormat: 'png',
+                    bitmapResolution: pngWidth(bytes) >= STAGE_WIDTH * 2 ? 2 : 1
+                },
+                bytes: bytes
+            };
+        });
+};
+
+/**
+ * Find the stage or a sprite by name.
+ * @param {Runtime} runtime - Scratch runtime
+ * @param {string} name - Name of the stage or the sprite
+ * @returns {?Target} Original target, null if it was not found
+ */
+const findTarget = function (runtime, name) {
+    const stage = runtime.getTargetForStage();
+    if (stage && stage.getName() === name) return stage;
+    return runtime.getSpriteTargetByName(name) || null;
+};
+
+/**
+ * Decode a bitmap image to draw by the renderer.
+ * @param {Uint8Array} bytes - Image data
+ * @param {string} dataFormat - Format like 'png' or 'jpg'
+ * @returns {Promise<ImageBitmap>} Promise that resolves with the image
+ */
+const decodeBitmap = function (bytes, dataFormat) {
+    const type = `image/${dataFormat === 'jpg' ? 'jpeg' : dataFormat}`;
+    return createImageBitmap(new Blob([bytes], {type: type}));
+};
+
+/**
+ * Add an image as a costume of the target.
+ * @param {Runtime} runtime - Scratch runtime which has the storage and the renderer
+ * @param {Target} target - Target to add the costume to
+ * @param {object} meta - Metadata of the costume
+ * @param {Uint8Array} bytes - Image data
+ * @returns {Promise<string>} Promise that resolves with the name of the added costume
+ */
+const addCostume = async function (runtime, target, meta, bytes) {
+    const storage = runtime.storage;
+    const vector = meta.dataFormat === 'svg';
+    const asset = storage.createAsset(
+        vector ? storage.AssetType.ImageVector : storage.AssetType.ImageBitmap,
+        meta.dataFormat,
+        bytes,
+        null,
+        true // generate md5
+    );
+    const resolution = vector ? 1 : (meta.bitmapResolution || 1);
+    const costume = {
+        name: String(meta.name),
+        dataFormat: meta.dataFormat,
+        asset: asset,
+        assetId: asset.assetId,
+        md5: `${asset.assetId}.${meta.dataFormat}`,
+        bitmapResolution: resolution
+    };
+    let rotationCenter;
+    if (typeof meta.rotationCenterX === 'number' && typeof meta.rotationCenterY === 'number') {
+        costume.rotationCenterX = meta.rotationCenterX;
+        costume.rotationCenterY = meta.rotationCenterY;
+        rotationCenter = [meta.rotationCenterX / resolution, meta.rotationCenterY / resolution];
+    }
+    const renderer = runtime.renderer;
+    if (renderer) {
+        costume.skinId = vector ?
+            renderer.createSVGSkin(asset.decodeText(), rotationCenter) :
+            renderer.createBitmapSkin(await decodeBitmap(bytes, meta.dataFormat), resolution, rotationCenter);
+        const size = renderer.getSkinSize(costume.skinId);
+        costume.size = [size[0] * resolution, size[1] * resolution];
+        if (!rotationCenter) {
+            const center = renderer.getSkinRotationCenter(costume.skinId);
+            costume.rotationCenterX = center[0] * resolution;
+            costume.rotationCenterY = center[1] * resolution;
+        }
+    }
+    // The name is changed to an unused one by the target.
+    target.addCostume(costume);
+    return costume.name;
+};
+
+/**
+ * Add a sound to the target.
+ * @param {Runtime} runtime - Scratch runtime which has the storage and the audio engine
+ * @param {Target} target - Target to add the sound to
+ * @param {object} meta - Metadata of the sound
+ * @param {Uint8Array} bytes - Sound data
+ * @returns {Promise<string>} Promise that resolves with the name of the added sound
+ */
+const addSound = async function (runtime, target, meta, bytes) {
+    const storage = runtime.storage;
+    const asset = storage.createAsset(
+        storage.AssetType.Sound,
+        meta.dataFormat,
+        bytes,
+        null,
+        true // generate md5
+    );
+    const sound = {
+        name: String(meta.name),
+        dataFormat: meta.dataFormat,
+        format: '',
+        asset: asset,
+        assetId: asset.assetId,
+        md5: `${asset.assetId}.${meta.dataFormat}`,
+        rate: meta.rate,
+        sampleCount: meta.sampleCount
+    };
+    if (runtime.audioEngine) {
+        const soundPlayer = await runtime.audioEngine.decodeSoundPlayer(Object.assign({}, sound, {data: asset.data}));
+        sound.soundId = soundPlayer.id;
+        sound.rate = soundPlayer.buffer.sampleRate;
+        sound.sampleCount = soundPlayer.buffer.length;
+        if (target.sprite.soundBank) {
+            target.sprite.soundBank.addSoundPlayer(soundPlayer);
+        }
+    }
+    // The name is changed to an unused one by the target.
+    target.addSound(sound);
+    return sound.name;
+};
+
+/**
+ * Add received media as a costume or a sound of the stage or a sprite.
+ * The name of the media may be changed to an unused name in the target.
+ * @param {Runtime} runtime - Scratch runtime which has the targets
+ * @param {string} targetName - Name of the stage or the sprite
+ * @param {object} meta - Metadata of the media
+ * @param {Uint8Array} bytes - Data of the media
+ * @returns {Promise<string>} Promise that resolves with the name of the added costume or sound
+ */
+const addMedia = async function (runtime, targetName, meta, bytes) {
+    const target = findTarget(runtime, targetName);
+    if (!target) {
+        throw new Error(`Sprite "${targetName}" is not found`);
+    }
+    if (!runtime.storage) {
+        throw new Error('Storage is not available');
+    }
+    let added;
+    if (meta.kind === COSTUME_MEDIA) {
+        added = await addCostume(runtime, target, meta, bytes);
+    } else if (meta.kind === SOUND_MEDIA) {
+        added = await addSound(runtime, target, meta, bytes);
+    } else {
+        throw new Error(`Unknown media "${meta.kind}"`);
+    }
+    runtime.requestTargetsUpdate(target);
+    return added;
+};
+
+export {
+    addMedia,
+    costumeMedia,
+    soundMedia,
+    stageSnapshot,
+    COSTUME_MEDIA,
+    SOUND_MEDIA
+};
@@ -1,31 +1,48 @@
-/** @type {any} Peer from PeerJS library */
-let Peer;
-(async () => {
-    ({Peer} = await import(
-        /* webpackIgnore: true */
-        'https://cdn.jsdelivr.net/npm/peerjs@1.5.4/+esm'
-    ));
-})();
+import PeerJSTransport from './peerjs-transport';
+import Room from './room';
+import Reconnector from './reconnector';
+import Election from './election';
+import PayloadTransfer from './payload';
+import EventQueue from './event-queue';
+import {authenticate} from './secure-channel';
+import {ClockOrder, incrementClock, mergeClocks, compareClocks, compareWrites} from './version-vector';
 
 /**
- * Encode a Mesh ID to a PeerJS ID
- * @param {string} meshID - Mesh ID
- * @returns {string} PeerJS ID
+ * Key of the reconnector for the signaling of the peer
+ * @type {string}
  */
-const encodeToPeerID = function (meshID) {
-    return `0${btoa(encodeURIComponent(meshID))}0`
-        .replace(/[=]/g, '0equal0');
-};
+const PEER_RECONNECT_KEY = '';
 
 /**
- * Decode a PeerJS ID to a Mesh ID
- * @param {string} peerID - PeerJS ID
- * @returns {string} Mesh ID
+ * Separator between the channel and the key of a shared variable in the map
+ * @type {string}
  */
-const decodeFromPeerID = function (peerID) {
-    return decodeURIComponent(atob(peerID.slice(1, -1)
-        .replace(/0equal0/g, '=')));
-};
+const CHANNEL_SEPARATOR = '\u001f';
+
+/**
+ * Get the key of a shared variable in the map of all channels
+ * The variables of the default channel are stored with their own keys.
+ * @param {string} channel - Channel name, empty for the default channel
+ * @param {string} key - Variable name
+ * @returns {string} Key in the map
+ */
+const channelKey = (channel, key) => (channel ? `${channel}${CHANNEL_SEPARATOR}${key}` : key);
+
+/**
+ * Get the variable name from the key in the map of all channels
+ * @param {string} storedKey - Key in the map
+ * @param {string} channel - Channel name, empty for the default channel
+ * @returns {string} Variable name
+ */
+const keyInChannel = (storedKey, channel) => (channel ? storedKey.slice(channel.length + 1) : storedKey);
+
+/**
+ * Check if two values of shared variables are the same
+ * @param {any} a - Value
+ * @param {any} b - Value
+ * @returns {boolean} True if they have the same content
+ */
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
 
 /**
  * Class representing a mesh network of peer connections
@@ -33,10 +50,15 @@ const decodeFromPeerID = function (peerID) {
 class Mesh {
     /**
      * Create a Mesh instance
+     * @param {Transport} [transport] - Transport to connect peers, PeerJS is used if omitted
      */
-    constructor () {
-        /** @type {Peer|null} PeerJS instance */
+    constructor (transport) {
+        /** @type {Transport} Transport to connect peers */
+        this.transport = transport || new PeerJSTransport();
+        /** @type {Peer|null} Peer instance of the transport */
         this.peer = null;
+        /** @type {number} Count of the opening and closing of the peer, to find an opening which was overtaken */
+        this.peerGeneration = 0;
         /** @type {string|null} PeerJS server host */
         this.peerServer = null;
         /** @type {string} ICE servers configuration */
@@ -47,14 +69,98 @@ class Mesh {
         this.connections = new Map();
         /** @type {Array<Function>} Event listener callback */
         this.eventListeners = [];
-        /** @type {Map<string, any>} Map of shared variables */
+        /** @type {Map<string, {value: any, sender: string, time: number, clock: object}>} Map of shared variables */
         this.sharedVars = new Map();
-        /** @type {Array<{sender: string, time: number, type: string, data: any}>} Shared event buffer */
-        this.sharedEventBuffer = [];
-        /** @type {number} Length of the shared event buffer */
-        this.sharedEventBufferLength = 10;
-        /** @type {number} Index of the last shared event processed */
-        this.sharedEventIndex = 0;
+        /** @type {EventQueue} Queue of the shared events which are waiting to be processed */
+        this.eventQueue = new EventQueue(this);
+        /** @type {Map<string, number>} Sequence number of the last event sent to each channel or target */
+        this.eventSequences = new Map();
+        /** @type {Set<string>} Types of the shared events which were received */
+        this.seenEventTypes = new Set();
+        /** @type {string} Random session ID to make message IDs unique when the same ID is reused */
+        this.session = Math.random().toString(36)
+            .substring(2, 10);
+        /** @type {number} Sequence number of the last message sent by this peer */
+        this.messageSequence = 0;
+        /** @type {Set<string>} IDs of the messages which were already received */
+        this.seenMessageIDs = new Set();
+        /** @type {number} Max number of message IDs to remember */
+        this.seenMessageIDsLength = 1000;
+        /** @type {Room|null} Room which this peer joined */
+        this.room = null;
+        /** @type {Map<string, string>} Neighbor ID to reach each peer, learned from received messages */
+        this.routes = new Map();
+        /** @type {Map<string, {resolve: Function, reject: Function, timer: number}>} Requests waiting for replies */
+        this.pendingRequests = new Map();
+        /** @type {number} Milliseconds to wait for a reply */
+        this.requestTimeout = 5000;
+        /**
+         * Events waiting for the peers to finish them, by the event ID
+         * @type {Map<string, {expected: Array<string>, quorum: number, completed: Set<string>,
+         *     resolve: Function, timer: number}>}
+         */
+        this.pendingEventWaits = new Map();
+        /** @type {number} Milliseconds to wait for the peers to finish an event */
+        this.eventWaitTimeout = 5000;
+        /** @type {object} Presence record of this peer: display name, join time and custom fields */
+        this.presence = {name: '', joinTime: 0};
+        /** @type {Map<string, object>} Presence records of the remote peers */
+        this.presences = new Map();
+        /** @type {Reconnector} Retrier of lost connections */
+        this.reconnector = new Reconnector(this);
+        /** @type {Set<string>} Remote IDs which this peer dialed and re-dials when they are lost */
+        this.dialedIDs = new Set();
+        /** @type {number} Milliseconds between heartbeats */
+        this.heartbeatInterval = 2000;
+        /** @type {number} Number of heartbeats in a row without reply to drop the connection */
+        this.heartbeatMaxMisses = 3;
+        /** @type {?number} Timer of heartbeats */
+        this.heartbeatTimer = null;
+        /** @type {Map<string, {pingTime: ?number, misses: number, latency: ?number}>} Liveness of the connections */
+        this.liveness = new Map();
+        /** @type {?string} Mesh ID of the host which has the authority of shared variables, null if everyone writes */
+        this.varHostID = null;
+        /** @type {boolean} True if the host moves with the leader, after the host was lost */
+        this.varHostFollowsLeader = false;
+        /**
+         * Validator of the writes which the clients requested to the host.
+         * It returns a reason to reject the write, or a falsy value to accept it, or a promise of them.
+         * @type {?function({key: string, value: any, sender: string}): (string|Promise<string>)}
+         */
+        this.sharedVarWriteValidator = null;
+        /** @type {Election} Election of the leader among the connected peers */
+        this.election = new Election(this);
+        /** @type {?string} Passphrase which the peers must share, null to connect without it */
+        this.passphrase = null;
+        /** @type {number} Milliseconds to give up proving the passphrase */
+        this.authTimeout = 10000;
+        /** @type {string} Policy for incoming connections: 'all', 'ask', 'allow', 'deny' or 'max' */
+        this.connectionPolicy = 'all';
+        /** @type {Set<string>} Remote IDs of the allow list or the deny list */
+        this.policyIDs = new Set();
+        /** @type {number} Max number of connections for the 'max' policy */
+        this.maxPeers = 8;
+        /**
+         * Incoming connections waiting for approval
+         * @type {Map<string, {accept: Function, reject: Function, timer: number}>}
+         */
+        this.pendingConnections = new Map();
+        /** @type {number} Milliseconds to refuse a pending connection which was not approved */
+        this.pendingTimeout = 30000;
+        /** @type {?Set<string>} Channels which this peer subscribes to, null for all channels */
+        this.subscriptions = null;
+        /** @type {Map<string, ?Set<string>>} Channels which each connected peer subscribes to */
+        this.remoteSubscriptions = new Map();
+        /** @type {PayloadTransfer} Transfer of binary payloads in chunks */
+        this.payloads = new PayloadTransfer(this);
+    }
+
+    /**
+     * Shared events which are waiting to be processed
+     * @type {Array<{sender: string, time: number, type: string, eventType: string, eventData: any}>}
+     */
+    get sharedEventBuffer () {
+        return this.eventQueue.events;
     }
 
     /**
@@ -78,6 +184,27 @@ class Mesh {
         }
     }
 
+    /**
+     * Call all listeners with the Mesh event
+     * @param {object} event - Mesh event
+     * @private
+     */
+    _dispatchMeshEvent (event) {
+        this.eventListeners.forEach(listener => {
+            listener(event);
+        });
+    }
+
+    /**
+     * Set the transport to connect peers.
+     * The current peer is closed because it belongs to the previous transport.
+     * @param {Transport} transport - Transport to connect peers
+     */
+    setTransport (transport) {
+        this.closePeer();
+        this.transport = transport;
+    }
+
     /**
      * Set PeerJS server host
      * @param {string} server - PeerJS server host
@@ -95,16 +222,40 @@ class Mesh {
             servers = `[${servers}]`;
         }
         const serversData = JSON.parse(servers);
-        this.ICEServers = serversData;
+        this.iceServers = serversData;
+    }
+
+    /**
+     * Make options to create a peer with the current server settings
+     * @returns {object} Options for the peer
+     */
+    peerOptions () {
+        const options = {
+            config: {
+                iceServers: this.iceServers ? this.iceServers : []
+            }
+        };
+        if (this.peerServer) {
+            const url = new URL(this.peerServer);
+            options.host = url.hostname;
+            options.port = url.port || (url.protocol === 'https:' ? 443 : 80);
+            options.path = url.pathname;
+            if (options.path.endsWith('/')) {
+                options.path = options.path.slice(0, -1);
+            }
+            options.secure = url.protocol === 'https:';
+        }
+        return options;
     }
 
     /**
      * Open a peer connection.
      * If the connection is already open with the same ID, return the existing instance.
+     * It rejects when the peer was closed or opened again while the transport was loading.
      * @param {string} localID - Local Mesh ID
      * @returns {Promise<Peer>} Promise that resolves with the PeerJS instance
      */
-    openPeer (localID) {
+    async openPeer (localID) {
         if (localID === '') {
             localID = `mesh-${Math.random().toString(36)
                 .substring(2, 6)}`;
@@ -115,59 +266,112 @@ class Mesh {
             }
             this.closePeer();
         }
+        const generation = ++this.peerGeneration;
+        await this.transport.load();
+        if (generation !== this.peerGeneration) {
+            throw new Error('Opening the peer was cancelled');
+        }
         return new Promise((resolve, reject) => {
-            const options = {
-                config: {
-                    iceServers: this.iceServers ? this.iceServers : []
-                }
-            };
-            if (this.peerServer) {
-                const url = new URL(this.peerServer);
-                options.host = url.hostname;
-                options.port = url.port || (url.protocol === 'https:' ? 443 : 80);
-                options.path = url.pathname;
-                if (options.path.endsWith('/')) {
-                    options.path = options.path.slice(0, -1);
+            const peer = this.transport.createPeer(this.transport.encodeID(localID), this.peerOptions());
+            this.peer = peer;
+            peer.on('open', peerID => {
+                if (this.id) {
+                    // Opened again after reconnecting to the signaling server.
+                    this._dispatchMeshEvent({
+                        type: 'peerReconnected',
+                        data: this.id
+                    });
+                    this.sendSyncRequest();
+                    return;
                 }
-                options.secure = url.protocol === 'https:';
-            }
-            this.peer = new Peer(encodeToPeerID(localID), options);
-            this.peer.on('open', peerID => {
-                this.id = decodeFromPeerID(peerID);
-                this.peer.on('connection', requested => {
-                    const remoteID = decodeFromPeerID(requested.peer);
+                this.id = this.transport.decodeID(peerID);
+                this.presence.joinTime = Date.now();
+                this._startHeartbeat();
+                this.election.start();
+                this._dispatchMeshEvent({
+                    type: 'peerOpened',
+                    data: this.id
+                });
+                peer.on('connection', requested => {
+                    const remoteID = this.transport.decodeID(requested.peer);
                     requested.on('open', () => {
-                        const onSyncAnswer = data => {
-                            if (data.type === 'control' && data.command === 'syncAnswer') {
-                                data.vars.forEach(([key, value]) => {
-                                    this.setSharedVar(key, value);
-                                });
-                                requested.off('data', onSyncAnswer);
-                                this._setupDataConnection(requested, remoteID);
-                                this._registerDataConnection(requested, remoteID);
-                                this.eventListeners.forEach(listener => {
-                                    listener(
-                                        {
+                        let approved = false;
+                        this._secureDataConnection(requested, true)
+                            .then(connection => this._admitDataConnection(connection, remoteID)
+                                .then(result => {
+                                    approved = result;
+                                    return connection;
+                                }, err => {
+                                    connection.send({
+                                        sender: this.id,
+                                        time: Date.now(),
+                                        type: 'control',
+                                        command: 'rejected',
+                                        reason: err.message
+                                    });
+                                    throw err;
+                                }))
+                            .then(connection => {
+                                const onSyncAnswer = data => {
+                                    if (data.type === 'control' && data.command === 'syncAnswer') {
+                                        this._applyRemoteSubscriptions(remoteID, data.channels);
+                                        this._applySyncedVars(data.vars);
+                                        this._applyPresence(remoteID, data.presence);
+                                        this._applySyncedVarHost(data.varHost);
+                                        connection.off('data', onSyncAnswer);
+                                        this._setupDataConnection(connection, remoteID);
+                                        this._registerDataConnection(connection, remoteID);
+                                        this._sendChannelVars(connection, remoteID);
+                                        this._dispatchMeshEvent({
                                             type: 'dataConnectionRequested',
-                                            data: remoteID
+                                            data: remoteID,
+                                            approved: approved
                                         });
+                                    }
+                                };
+                                connection.on('data', onSyncAnswer);
+                                const syncRequest = {
+                                    sender: this.id,
+                                    time: Date.now(),
+                                    type: 'control',
+                                    command: 'syncRequest',
+                                    // The channels of the remote peer are not known yet.
+                                    vars: Array.from(this.sharedVars).filter(([, entry]) => !entry.channel),
+                                    presence: this.presence,
+                                    varHost: this.varHostID,
+                                    channels: this._subscriptionList()
+                                };
+                                connection.send(syncRequest);
+                            })
+                            .catch(err => {
+                                requested.close();
+                                this._dispatchMeshEvent({
+                                    type: 'dataConnectionError',
+                                    data: remoteID,
+                                    error: err
                                 });
-                            }
-                        };
-                        requested.on('data', onSyncAnswer);
-                        const syncRequest = {
-                            sender: this.id,
-                            time: Date.now(),
-                            type: 'control',
-                            command: 'syncRequest',
-                            vars: Array.from(this.sharedVars)
-                        };
-                        requested.send(syncRequest);
+                            });
                     });
                 });
-                resolve(this.peer);
+                resolve(peer);
+            });
+            peer.on('disconnected', () => {
+                if (this.peer !== peer) return;
+                this._dispatchMeshEvent({
+                    type: 'peerDisconnected',
+                    data: this.id
+                });
+                this.reconnector.schedule(PEER_RECONNECT_KEY, () => this._reconnectPeer());
             });
-            this.peer.on('error', err => {
+            peer.on('error', err => {
+                if (this.id && err.type === 'peer-unavailable') {
+                    // Failed to connect to a remote peer, the local peer is still available.
+                    return;
+                }
+                if (this.id && this.reconnector.enabled && peer.disconnected) {
+                    // The reconnector retries signaling.
+                    return;
+                }
                 this.closePeer();
                 reject(err);
             });
@@ -178,18 +382,139 @@ class Mesh {
      * Close the peer connection and all data channels
      */
     closePeer () {
+        this.peerGeneration++;
+        this.leaveRoom();
+        this._rejectPendingRequests(new Error('Peer closed'));
+        Array.from(this.pendingEventWaits.keys()).forEach(eventID => this._settleEventWait(eventID));
+        this.reconnector.cancelAll();
+        this.dialedIDs.clear();
+        this._stopHeartbeat();
+        this.election.stop();
+        this.payloads.reset();
+        this.eventQueue.clearStreams();
+        this.varHostID = null;
+        this.varHostFollowsLeader = false;
+        Array.from(this.pendingConnections.keys())
+            .forEach(remoteID => this._settlePendingConnection(remoteID, new Error('Peer closed')));
+
         // Close all data channels first
         for (const connection of this.connections.values()) {
             connection.close();
         }
         this.connections.clear();
+        this.presences.clear();
+        this.remoteSubscriptions.clear();
 
         // Destroy the peer connection
         if (this.peer) {
-            this.peer.destroy();
+            const peer = this.peer;
             this.peer = null;
             this.id = null;
+            peer.destroy();
+        }
+    }
+
+    /**
+     * Reconnect the peer to the signaling server with the same ID
+     * @returns {Promise<void>} Promise that resolves when the peer opened again
+     * @private
+     */
+    _reconnectPeer () {
+        const peer = this.peer;
+        if (!peer || !peer.disconnected) return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            const listeners = {
+                open: () => {
+                    peer.off('open', listeners.open);
+                    peer.off('error', listeners.error);
+                    resolve();
+                },
+                error: err => {
+                    peer.off('open', listeners.open);
+                    peer.off('error', listeners.error);
+                    reject(err);
+                }
+            };
+            peer.on('open', listeners.open);
+            peer.on('error', listeners.error);
+            try {
+                peer.reconnect();
+            } catch (err) {
+                listeners.error(err);
+            }
+        });
+    }
+
+    /**
+     * Turn on or off the automatic reconnection
+     * When it is off, the retries in progress are stopped.
+     * @param {boolean} enabled - True to reconnect lost connections
+     */
+    setAutoReconnect (enabled) {
+        this.reconnector.enabled = !!enabled;
+        if (!enabled) {
+            this.reconnector.cancelAll();
+        }
+    }
+
+    /**
+     * Set the retry policy of the automatic reconnection
+     * @param {number} maxRetries - Max number of attempts for a lost connection
+     * @param {number} baseDelay - Milliseconds to wait before the first attempt, doubled each attempt
+     */
+    setReconnectPolicy (maxRetries, baseDelay) {
+        this.reconnector.maxRetries = Math.max(1, Math.floor(maxRetries));
+        this.reconnector.baseDelay = Math.max(0, baseDelay);
+    }
+
+    /**
+     * Get the state of the automatic reconnection
+     * @returns {string} 'off', 'idle', 'reconnecting' or 'failed'
+     */
+    reconnectState () {
+        return this.reconnector.state;
+    }
+
+    /**
+     * Join a room and connect to its members
+     * @param {string} name - Room name
+     * @returns {Promise<void>} Promise that resolves when the member list was received
+     */
+    joinRoom (name) {
+        if (!this.isPeerOpen()) {
+            return Promise.reject(new Error('Peer not open'));
+        }
+        if (!name || name === '') {
+            return Promise.reject(new Error('Room name not set'));
+        }
+        if (this.room && this.room.name === name) {
+            return Promise.resolve();
         }
+        this.leaveRoom();
+        this.room = new Room(this, name);
+        return this.room.join()
+            .catch(err => {
+                this.leaveRoom();
+                throw err;
+            });
+    }
+
+    /**
+     * Leave the current room
+     * Data connections to the members are kept.
+     */
+    leaveRoom () {
+        if (!this.room) return;
+        this.room.leave();
+        this.room = null;
+    }
+
+    /**
+     * Get the members of the current room
+     * @returns {Array<string>} Mesh IDs of the members including this peer
+     */
+    roomMembers () {
+        return this.room ? this.room.members.slice() : [];
     }
 
     /**
@@ -207,57 +532,217 @@ class Mesh {
      */
     _setupDataConnection (connection, remoteID) {
         connection.on('data', data => {
-            if (data.type === 'var') {
-                if (this.sharedVars.get(data.key) !== data.value) {
-                    this.connections.forEach(conn => {
-                        if (conn !== connection) {
-                            conn.send(data);
-                        }
-                    });
-                    this.sharedVars.set(data.key, data.value);
+            if ('target' in data) {
+                this._routeDirectMessage(data, connection, remoteID);
+            } else if (data.type === 'var') {
+                if (this.varHostID && data.sender !== this.varHostID) {
+                    // Only the host writes in host-authoritative mode.
+                    return;
                 }
+                this._applySharedVar(data, connection);
             } else if (data.type === 'event') {
-                if (data.sender === this.id) return;
-                const received = this.sharedEventBuffer.length > 0 &&
-                    this.sharedEventBuffer
-                        .every(event =>
-                            event.sender === data.sender &&
-                        event.time === data.time &&
-                        event.type === data.type &&
-                        event.eventType === data.eventType &&
-                        event.eventData === data.eventData
-                        );
-                if (!received) {
-                    this.connections.forEach(conn => {
-                        if (conn !== connection) {
-                            conn.send(data);
-                        }
-                    });
-                    this.onSharedEvent(data);
+                if (!this._relayFloodedMessage(data, connection, remoteID)) return;
+                if (!this.isSubscribed(data.channel)) return;
+                this.onSharedEvent(data);
+            } else if (data.type === 'payload') {
+                if (!this._relayFloodedMessage(data, connection, remoteID)) return;
+                if (!this.isSubscribed(data.channel)) return;
+                this.payloads.receive(data);
+            } else if (data.type === 'presence') {
+                if (!this._relayFloodedMessage(data, connection, remoteID)) return;
+                this._applyPresence(data.sender, data.presence);
+            } else if (data.type === 'varHost') {
+                if (!this._relayFloodedMessage(data, connection, remoteID)) return;
+                if (data.followLeader) {
+                    this._followLeaderAsVarHost();
+                } else {
+                    this.varHostFollowsLeader = false;
+                    this.varHostID = data.hostID;
                 }
+            } else if (data.type === 'leader') {
+                if (!this._relayFloodedMessage(data, connection, remoteID)) return;
+                this.election.receive(data);
+            } else if (data.type === 'control') {
+                this._receiveControlMessage(data, connection, remoteID);
             }
         });
         connection.on('close', () => {
-            this.eventListeners.forEach(listener => {
-                listener(
-                    {
-                        type: 'dataConnectionClosed',
-                        data: remoteID
-                    });
-            });
+            if (this.connections.get(remoteID) === connection) {
+                this.connections.delete(remoteID);
+                this.liveness.delete(remoteID);
+                this.remoteSubscriptions.delete(remoteID);
+            }
+            this._onDataConnectionLost(remoteID);
         });
         connection.on('error', err => {
-            this.eventListeners.forEach(listener => {
-                listener(
-                    {
-                        type: 'dataConnectionError',
-                        data: remoteID,
-                        error: err
-                    });
+            this._dispatchMeshEvent({
+                type: 'dataConnectionError',
+                data: remoteID,
+                error: err
+            });
+        });
+    }
+
+    /**
+     * Notify that a data connection was closed and re-dial it if this peer opened it
+     * @param {string} remoteID - Remote Mesh ID
+     * @private
+     */
+    _onDataConnectionLost (remoteID) {
+        // The presence record is exchanged again in the handshake when the peer comes back.
+        this.presences.delete(remoteID);
+        this._dispatchMeshEvent({
+            type: 'dataConnectionClosed',
+            data: remoteID
+        });
+        // The election takes over first when the host was the leader, so the new host is the new leader.
+        this.election.onDisconnected(remoteID);
+        if (this.peer && remoteID === this.varHostID) {
+            this._migrateVarHost();
+        }
+        if (this.peer && this.dialedIDs.has(remoteID)) {
+            this.reconnector.schedule(remoteID, () => this.openDataConnection(remoteID));
+        }
+    }
+
+    /**
+     * Handle a control message on an established data connection
+     * @param {object} data - 'control' message
+     * @param {DataConnection} connection - Connection which the message came from
+     * @param {string} remoteID - Remote Mesh ID
+     * @private
+     */
+    _receiveControlMessage (data, connection, remoteID) {
+        if (data.command === 'syncRequest') {
+            this._applySyncedVars(data.vars);
+            connection.send({
+                sender: this.id,
+                time: Date.now(),
+                type: 'control',
+                command: 'syncAnswer',
+                vars: this._sharedVarsFor(remoteID)
+            });
+        } else if (data.command === 'syncAnswer') {
+            this._applySyncedVars(data.vars);
+        } else if (data.command === 'subscribe') {
+            this._applyRemoteSubscriptions(remoteID, data.channels);
+            // Send the variables of the channels which the remote peer started to subscribe to.
+            connection.send({
+                sender: this.id,
+                time: Date.now(),
+                type: 'control',
+                command: 'syncAnswer',
+                vars: this._sharedVarsFor(remoteID)
+            });
+        } else if (data.command === 'bye') {
+            // The remote peer closed the connection on purpose.
+            this.dialedIDs.delete(remoteID);
+        } else if (data.command === 'ping') {
+            connection.send({
+                sender: this.id,
+                time: Date.now(),
+                type: 'control',
+                command: 'pong',
+                pingTime: data.time
+            });
+        } else if (data.command === 'pong') {
+            const state = this.liveness.get(remoteID);
+            if (!state || state.pingTime !== data.pingTime) return;
+            state.latency = Date.now() - data.pingTime;
+            state.pingTime = null;
+            state.misses = 0;
+        }
+    }
+
+    /**
+     * Start sending heartbeats to the connected peers
+     * @private
+     */
+    _startHeartbeat () {
+        this._stopHeartbeat();
+        this.heartbeatTimer = setInterval(() => this._beat(), this.heartbeatInterval);
+    }
+
+    /**
+     * Stop sending heartbeats
+     * @private
+     */
+    _stopHeartbeat () {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        this.liveness.clear();
+    }
+
+    /**
+     * Count the missed replies and ping all connected peers.
+     * A peer which missed the max heartbeats in a row is regarded as dead and its connection is dropped.
+     * @private
+     */
+    _beat () {
+        Array.from(this.connections).forEach(([remoteID, connection]) => {
+            let state = this.liveness.get(remoteID);
+            if (!state) {
+                state = {pingTime: null, misses: 0, latency: null};
+                this.liveness.set(remoteID, state);
+            }
+            if (state.pingTime !== null) {
+                state.misses++;
+                if (state.misses >= this.heartbeatMaxMisses) {
+                    this._dropDeadConnection(remoteID, connection);
+                    return;
+                }
+            }
+            state.pingTime = Date.now();
+            connection.send({
+                sender: this.id,
+                time: state.pingTime,
+                type: 'control',
+                command: 'ping'
             });
         });
     }
 
+    /**
+     * Remove a connection whose peer stopped replying
+     * @param {string} remoteID - Remote Mesh ID
+     * @param {DataConnection} connection - Connection to the peer
+     * @private
+     */
+    _dropDeadConnection (remoteID, connection) {
+        this.connections.delete(remoteID);
+        this.liveness.delete(remoteID);
+        this.remoteSubscriptions.delete(remoteID);
+        if (connection.open) {
+            // The close handler notifies the loss.
+            connection.close();
+        } else {
+            this._onDataConnectionLost(remoteID);
+        }
+    }
+
+    /**
+     * Get the round-trip time of the last heartbeat to a peer
+     * @param {string} remoteID - Remote Mesh ID
+     * @returns {number|null} Milliseconds, or null if it is not measured yet
+     */
+    latency (remoteID) {
+        const state = this.liveness.get(remoteID);
+        return state ? state.latency : null;
+    }
+
+    /**
+     * Set the timing of the heartbeats
+     * @param {number} interval - Milliseconds between heartbeats
+     * @param {number} maxMisses - Number of heartbeats in a row without reply to drop the connection
+     */
+    setHeartbeat (interval, maxMisses) {
+        this.heartbeatInterval = Math.max(100, interval);
+        this.heartbeatMaxMisses = Math.max(1, Math.floor(maxMisses));
+        if (this.heartbeatTimer) {
+            this._startHeartbeat();
+        }
+    }
+
     /**
      * Register a data connection
      * @param {DataConnection} connection - PeerJS DataConnection instance
@@ -266,6 +751,7 @@ class Mesh {
      */
     _registerDataConnection (connection, remoteID) {
         this.connections.set(remoteID, connection);
+        this.election.onConnected();
     }
 
     /**
@@ -282,36 +768,54 @@ class Mesh {
         if (conn && conn.open) {
             return Promise.resolve(conn);
         }
-        const newConnection = this.peer.connect(encodeToPeerID(remoteID));
+        const newConnection = this.peer.connect(this.transport.encodeID(remoteID));
         return new Promise((resolve, reject) => {
             newConnection.on('open', () => {
-                const onSyncRequest = data => {
-                    if (data.type === 'control' && data.command === 'syncRequest') {
-                        data.vars.forEach(([key, value]) => {
-                            this.setSharedVar(key, value);
-                        });
-                        const syncAnswer = {
-                            sender: this.id,
-                            time: Date.now(),
-                            type: 'control',
-                            command: 'syncAnswer',
-                            vars: Array.from(this.sharedVars)
-                        };
-                        newConnection.send(syncAnswer);
-                        newConnection.off('data', onSyncRequest);
-                        this._setupDataConnection(newConnection, remoteID);
-                        this._registerDataConnection(newConnection, remoteID);
-                        this.eventListeners.forEach(listener => {
-                            listener(
-                                {
+                this._secureDataConnection(newConnection, false)
+                    .then(connection => {
+                        const onSyncRequest = data => {
+                            if (data.type === 'control' && data.command === 'challenge') {
+                                // The remote peer requires a passphrase which this peer does not have.
+                                connection.off('data', onSyncRequest);
+                                newConnection.close();
+                                reject(new Error('Passphrase required'));
+                            } else if (data.type === 'control' && data.command === 'rejected') {
+                                connection.off('data', onSyncRequest);
+                                newConnection.close();
+                                reject(new Error(`Rejected by "${remoteID}": ${data.reason}`));
+                            } else if (data.type === 'control' && data.command === 'syncRequest') {
+                                this._applyRemoteSubscriptions(remoteID, data.channels);
+                                this._applySyncedVars(data.vars);
+                                this._applyPresence(remoteID, data.presence);
+                                this._applySyncedVarHost(data.varHost);
+                                const syncAnswer = {
+                                    sender: this.id,
+                                    time: Date.now(),
+                                    type: 'control',
+                                    command: 'syncAnswer',
+                                    vars: this._sharedVarsFor(remoteID),
+                                    presence: this.presence,
+                                    varHost: this.varHostID,
+                                    channels: this._subscriptionList()
+                                };
+                                connection.send(syncAnswer);
+                                connection.off('data', onSyncRequest);
+                                this._setupDataConnection(connection, remoteID);
+                                this._registerDataConnection(connection, remoteID);
+                                this.dialedIDs.add(remoteID);
+                                this._dispatchMeshEvent({
                                     type: 'dataConnectionOpened',
                                     data: remoteID
                                 });
-                        });
-                        resolve(newConnection);
-                    }
-                };
-                newConnection.on('data', onSyncRequest);
+                                resolve(connection);
+                            }
+                        };
+                        connection.on('data', onSyncRequest);
+                    })
+                    .catch(err => {
+                        newConnection.close();
+                        reject(err);
+                    });
             });
             newConnection.on('error', err => {
                 reject(err);
@@ -319,6 +823,144 @@ class Mesh {
         });
     }
 
+    /**
+     * Decide whether to accept an incoming connection by the connection policy
+     * With the 'ask' policy, the connection is held until acceptDataConnection() or rejectDataConnection().
+     * @param {DataConnection} connection - Incoming connection
+     * @param {string} remoteID - Remote Mesh ID
+     * @returns {Promise<boolean>} Promise that resolves with true if it was approved by asking,
+     *     or rejects with the reason to refuse
+     * @private
+     */
+    _admitDataConnection (connection, remoteID) {
+        switch (this.connectionPolicy) {
+        case 'ask':
+            return new Promise((resolve, reject) => {
+                this._settlePendingConnection(remoteID, new Error('Requested again'));
+                const timer = setTimeout(() => {
+                    this._settlePendingConnection(remoteID, new Error('No answer'));
+                }, this.pendingTimeout);
+                this.pendingConnections.set(remoteID, {
+                    accept: () => resolve(true),
+                    reject: reject,
+                    timer: timer
+                });
+                connection.on('close', () => this._settlePendingConnection(remoteID, new Error('Closed')));
+                this._dispatchMeshEvent({
+                    type: 'dataConnectionPending',
+                    data: remoteID
+                });
+            });
+        case 'allow':
+            if (!this.policyIDs.has(remoteID)) return Promise.reject(new Error('Not allowed'));
+            break;
+        case 'deny':
+            if (this.policyIDs.has(remoteID)) return Promise.reject(new Error('Denied'));
+            break;
+        case 'max':
+            if (this.connections.size >= this.maxPeers) return Promise.reject(new Error('Too many peers'));
+            break;
+        }
+        return Promise.resolve(false);
+    }
+
+    /**
+     * Finish waiting for the approval of an incoming connection
+     * @param {string} remoteID - Remote Mesh ID
+     * @param {?Error} err - Reason to refuse, or null to accept
+     * @returns {boolean} True if the connection was pending
+     * @private
+     */
+    _settlePendingConnection (remoteID, err) {
+        const pending = this.pendingConnections.get(remoteID);
+        if (!pending) return false;
+        this.pendingConnections.delete(remoteID);
+        clearTimeout(pending.timer);
+        if (err) {
+            pending.reject(err);
+        } else {
+            pending.accept();
+        }
+        return true;
+    }
+
+    /**
+     * Set the policy for incoming connections
+     * @param {string} policy - 'all' to accept all, 'ask' to hold them for approval,
+     *     'allow' to accept the IDs in the list, 'deny' to refuse the IDs in the list,
+     *     or 'max' to accept up to the max number of peers
+     */
+    setConnectionPolicy (policy) {
+        if (!['all', 'ask', 'allow', 'deny', 'max'].includes(policy)) {
+            throw new Error(`Unknown connection policy "${policy}"`);
+        }
+        this.connectionPolicy = policy;
+    }
+
+    /**
+     * Set the list of IDs for the allow list or the deny list
+     * @param {Array<string>} remoteIDs - Remote Mesh IDs
+     */
+    setPolicyIDs (remoteIDs) {
+        this.policyIDs = new Set(remoteIDs);
+    }
+
+    /**
+     * Set the max number of connections for the 'max' policy
+     * @param {number} maxPeers - Max number of connections
+     */
+    setMaxPeers (maxPeers) {
+        this.maxPeers = Math.max(0, Math.floor(maxPeers));
+    }
+
+    /**
+     * Accept an incoming connection which is waiting for approval
+     * @param {string} remoteID - Remote Mesh ID
+     * @returns {boolean} True if the connection was pending
+     */
+    acceptDataConnection (remoteID) {
+        return this._settlePendingConnection(remoteID, null);
+    }
+
+    /**
+     * Refuse an incoming connection which is waiting for approval
+     * @param {string} remoteID - Remote Mesh ID
+     * @returns {boolean} True if the connection was pending
+     */
+    rejectDataConnection (remoteID) {
+        return this._settlePendingConnection(remoteID, new Error('Rejected'));
+    }
+
+    /**
+     * Get the IDs of the incoming connections which are waiting for approval
+     * @returns {Array<string>} Remote Mesh IDs
+     */
+    pendingDataConnectionIDs () {
+        return Array.from(this.pendingConnections.keys());
+    }
+
+    /**
+     * Set the passphrase which the peers must share to connect
+     * Connections which are opened after this prove the passphrase to each other before exchanging
+     * any shared variables, and encrypt their payloads. Open connections are kept as they are.
+     * @param {string} passphrase - Shared secret, empty to connect without a passphrase
+     */
+    setPassphrase (passphrase) {
+        this.passphrase = passphrase || null;
+    }
+
+    /**
+     * Prove the passphrase on a new connection and protect it, if a passphrase was set
+     * @param {DataConnection} connection - Open connection
+     * @param {boolean} accepting - True on the peer which accepted the connection
+     * @returns {Promise<DataConnection>} Promise that resolves with the connection to use
+     * @private
+     */
+    _secureDataConnection (connection, accepting) {
+        if (!this.passphrase) return Promise.resolve(connection);
+        return authenticate(connection, this.passphrase, accepting, this.authTimeout);
+    }
+
     /**
      * Get an existing data connection
      * @param {string} remoteID - Remote Mesh ID
@@ -343,11 +985,22 @@ class Mesh {
      * @param {string} remoteID - Remote peer ID
      */
     closeDataConnection (remoteID) {
+        this.dialedIDs.delete(remoteID);
+        this.reconnector.cancel(remoteID);
         const conn = this.connections.get(remoteID);
         if (conn) {
             if (conn.open) {
+                conn.send({
+                    sender: this.id,
+                    time: Date.now(),
+                    type: 'control',
+                    command: 'bye'
+                });
                 conn.close();
             }
+            this.connections.delete(remoteID);
+            this.liveness.delete(remoteID);
+            this.remoteSubscriptions.delete(remoteID);
         }
     }
 
@@ -368,99 +1021,963 @@ class Mesh {
         return this.connections.size;
     }
 
+    /**
+     * Exchange shared variables with all connected peers again
+     * Used after reconnecting to catch up with the writes which were missed.
+     */
     sendSyncRequest () {
+        this.connections.forEach((connection, remoteID) => {
+            connection.send({
+                sender: this.id,
+                time: Date.now(),
+                type: 'control',
+                command: 'syncRequest',
+                vars: this._sharedVarsFor(remoteID)
+            });
+        });
+    }
+
+    /**
+     * Check if this peer subscribes to the channel
+     * The default channel is always subscribed.
+     * @param {string} [channel] - Channel name, empty for the default channel
+     * @returns {boolean} True if messages of the channel are received
+     */
+    isSubscribed (channel) {
+        return !channel || !this.subscriptions || this.subscriptions.has(channel);
+    }
+
+    /**
+     * Receive only the channels, and tell it to the connected peers
+     * so that they stop forwarding the messages of the other channels to this peer.
+     * @param {Array<string>} channels - Channel names, empty to receive all channels
+     */
+    subscribeChannels (channels) {
+        const names = channels.filter(channel => channel && channel !== '');
+        this.subscriptions = names.length > 0 ? new Set(names) : null;
         const data = {
             sender: this.id,
             time: Date.now(),
             type: 'control',
-            command: 'syncRequest',
-            vars: Object.fromEntries(this.sharedVars)
+            command: 'subscribe',
+            channels: this._subscriptionList()
         };
-        for (const connection of this.connections.values()) {
-            connection.send(data);
-        }
+        this.connections.forEach(conn => conn.send(data));
     }
 
     /**
-     * Get shared variable
-     * @param {string} key - Variable name
-     * @returns {any} Variable value
+     * Get the channels which this peer subscribes to for the messages
+     * @returns {?Array<string>} Channel names, null for all channels
+     * @private
      */
-    sharedVar (key) {
-        return this.sharedVars.get(key);
+    _subscriptionList () {
+        return this.subscriptions ? Array.from(this.subscriptions) : null;
     }
 
     /**
-     * Set shared variable
-     * @param {string} key - Variable name
-     * @param {any} value - Variable value
+     * Remember the channels which a connected peer subscribes to
+     * @param {string} remoteID - Remote Mesh ID
+     * @param {?Array<string>} channels - Channel names, null for all channels
+     * @private
      */
-    setSharedVar (key, value) {
-        const data = {
-            sender: this.id,
-            time: Date.now(),
-            type: 'var',
-            key: key,
-            value: value
-        };
-        for (const connection of this.connections.values()) {
-            connection.send(data);
-        }
-        this.sharedVars.set(key, value);
+    _applyRemoteSubscriptions (remoteID, channels) {
+        this.remoteSubscriptions.set(remoteID, Array.isArray(channels) ? new Set(channels) : null);
     }
 
     /**
-     * Get first shared event of the buffer
-     * @returns {object|undefined} Shared event object
+     * Check if a connected peer subscribes to the channel
+     * @param {string} remoteID - Remote Mesh ID
+     * @param {string} [channel] - Channel name, empty for the default channel
+     * @returns {boolean} True if messages of the channel should be sent to the peer
+     * @private
      */
-    nextSharedEvent () {
-        if (this.sharedEventBuffer.length <= this.sharedEventIndex) return;
-        const event = this.sharedEventBuffer[this.sharedEventIndex];
-        this.sharedEventIndex++;
-        return event;
+    _isRemoteSubscribed (remoteID, channel) {
+        if (!channel) return true;
+        const channels = this.remoteSubscriptions.get(remoteID);
+        return !channels || channels.has(channel);
     }
 
     /**
-     * Handle incoming shared events
-     * @param {object} event - Shared event object
+     * Get the shared variables which a connected peer subscribes to
+     * @param {string} remoteID - Remote Mesh ID
+     * @returns {Array<Array>} Pairs of key and entry of shared variables
+     * @private
      */
-    onSharedEvent (event) {
-        this.sharedEventBuffer.push(event);
-        if (this.sharedEventBuffer.length > this.sharedEventBufferLength) {
-            this.sharedEventBuffer.shift();
-            this.sharedEventIndex--;
-            if (this.sharedEventIndex < 0) {
-                this.sharedEventIndex = 0;
-            }
-        }
+    _sharedVarsFor (remoteID) {
+        return Array.from(this.sharedVars)
+            .filter(([, entry]) => this._isRemoteSubscribed(remoteID, entry.channel));
     }
 
     /**
-     * Dispatch a shared event
-     * @param {string} type - Event type
-     * @param {any} data - Event data
+     * Send the variables of the channels which a newly connected peer subscribes to
+     * @param {DataConnection} connection - Connection to the peer
+     * @param {string} remoteID - Remote Mesh ID
+     * @private
      */
-    dispatchSharedEvent (type, data) {
-        const event = {
+    _sendChannelVars (connection, remoteID) {
+        const vars = this._sharedVarsFor(remoteID).filter(([, entry]) => entry.channel);
+        if (vars.length === 0) return;
+        connection.send({
             sender: this.id,
             time: Date.now(),
-            type: 'event',
-            eventType: type,
-            eventData: data
-        };
-        for (const connection of this.connections.values()) {
-            connection
-                .send(event);
-        }
+            type: 'control',
+            command: 'syncAnswer',
+            vars: vars
+        });
+    }
+
+    /**
+     * Send a message of the channel to the connected peers which subscribe to it
+     * @param {object} data - Message to send
+     * @param {string} [channel] - Channel name, empty for the default channel
+     * @param {DataConnection} [source] - Connection which the message came from, not to send back
+     * @private
+     */
+    _sendToSubscribers (data, channel, source) {
+        this.connections.forEach((conn, remoteID) => {
+            if (conn !== source && this._isRemoteSubscribed(remoteID, channel)) {
+                conn.send(data);
+            }
+        });
+    }
+
+    /**
+     * Get shared variable
+     * @param {string} key - Variable name
+     * @param {string} [channel] - Channel name, empty for the default channel
+     * @returns {any} Variable value
+     */
+    sharedVar (key, channel) {
+        const entry = this.sharedVars.get(channelKey(channel, key));
+        if (!entry || entry.deleted) return;
+        return entry.value;
+    }
+
+    /**
+     * Get the peer which wrote the shared variable last
+     * @param {string} key - Variable name
+     * @param {string} [channel] - Channel name, empty for the default channel
+     * @returns {string} Mesh ID of the writer, empty if it was never written
+     */
+    sharedVarSender (key, channel) {
+        const entry = this.sharedVars.get(channelKey(channel, key));
+        return entry ? entry.sender : '';
+    }
+
+    /**
+     * Set shared variable
+     * In host-authoritative mode, a client sends the write to the host and the value changes
+     * when the host accepted it.
+     * @param {string} key - Variable name
+     * @param {any} value - Variable value
+     * @param {string} [channel] - Channel name, empty for the default channel
+     */
+    setSharedVar (key, value, channel) {
+        this._requestSharedVarWrite(key, value, channel, false);
+    }
+
+    /**
+     * Delete shared variable
+     * A tombstone is kept for the key and sent to all peers,
+     * so that the sync handshake with a peer which still has the value does not restore it.
+     * @param {string} key - Variable name
+     * @param {string} [channel] - Channel name, empty for the default channel
+     */
+    deleteSharedVar (key, channel) {
+        this._requestSharedVarWrite(key, null, channel, true);
+    }
+
+    /**
+     * Delete all shared variables of the channel
+     * @param {string} [channel] - Channel name, empty for the default channel
+     */
+    clearSharedVars (channel) {
+        this.sharedVarKeyList(channel).forEach(key => this.deleteSharedVar(key, channel));
+    }
+
+    /**
+     * Write shared variable, or send the write to the host in host-authoritative mode
+     * @param {string} key - Variable name
+     * @param {any} value - Variable value
+     * @param {string} [channel] - Channel name, empty for the default channel
+     * @param {boolean} deleted - True to delete the variable
+     * @private
+     */
+    _requestSharedVarWrite (key, value, channel, deleted) {
+        if (this.varHostID && this.varHostID !== this.id) {
+            this.sendDirectMessage({
+                type: 'varWrite',
+                target: this.varHostID,
+                key: key,
+                value: value,
+                channel: channel || '',
+                deleted: deleted
+            });
+            return;
+        }
+        this._writeSharedVar(key, value, channel, deleted);
+    }
+
+    /**
+     * Write shared variable and send it to all peers
+     * The write is stamped with a version vector and a time which is later than the current value,
+     * so it wins against all writes which this peer has seen.
+     * @param {string} key - Variable name
+     * @param {any} value - Variable value
+     * @param {string} [channel] - Channel name, empty for the default channel
+     * @param {boolean} [deleted] - True to write a tombstone
+     * @private
+     */
+    _writeSharedVar (key, value, channel, deleted) {
+        const storedKey = channelKey(channel, key);
+        const current = this.sharedVars.get(storedKey);
+        const entry = {
+            value: deleted ? null : value,
+            sender: this.id,
+            time: Math.max(Date.now(), current ? current.time + 1 : 0),
+            clock: incrementClock(current ? current.clock : {}, this.id),
+            channel: channel || ''
+        };
+        if (deleted) entry.deleted = true;
+        this.sharedVars.set(storedKey, entry);
+        const data = Object.assign({type: 'var', key: key}, entry);
+        this._sendToSubscribers(data, entry.channel);
+    }
+
+    /**
+     * Notify that a write from a remote peer changed the value of a shared variable
+     * Nothing is notified when the value is the same as before.
+     * @param {string} key - Variable name
+     * @param {object} [previous] - Entry before the write
+     * @param {object} entry - Entry after the write
+     * @private
+     */
+    _notifySharedVarChange (key, previous, entry) {
+        const wasDeleted = !previous || !!previous.deleted;
+        const deleted = !!entry.deleted;
+        if (wasDeleted && deleted) return;
+        if (!wasDeleted && !deleted && isSameValue(previous.value, entry.value)) return;
+        this._dispatchMeshEvent({
+            type: 'sharedVarChanged',
+            data: key,
+            channel: entry.channel,
+            value: deleted ? null : entry.value,
+            sender: entry.sender,
+            deleted: deleted
+        });
+    }
+
+    /**
+     * Merge a write of a shared variable from a remote peer.
+     * A write which was not known yet is forwarded to the other connections.
+     * Concurrent writes are resolved by last-writer-wins with sender tie-break,
+     * so every peer converges on the same value.
+     * @param {object} data - 'var' message
+     * @param {DataConnection} [source] - Connection which the message came from
+     * @private
+     */
+    _applySharedVar (data, source) {
+        const channel = data.channel || '';
+        if (!this.isSubscribed(channel)) return;
+        const storedKey = channelKey(channel, data.key);
+        const incoming = {
+            value: data.value,
+            sender: data.sender,
+            time: data.time,
+            clock: data.clock || {},
+            channel: channel
+        };
+        if (data.deleted) incoming.deleted = true;
+        const current = this.sharedVars.get(storedKey);
+        const order = current ? compareClocks(incoming.clock, current.clock) : ClockOrder.AFTER;
+        if (order === ClockOrder.BEFORE) return;
+        if (order === ClockOrder.EQUAL && compareWrites(incoming, current) === 0) return;
+        if (order === ClockOrder.AFTER) {
+            this.sharedVars.set(storedKey, incoming);
+        } else {
+            // Concurrent writes or the same version with different values.
+            const winner = compareWrites(incoming, current) > 0 ? incoming : current;
+            const loser = (winner === incoming) ? current : incoming;
+            this.sharedVars.set(storedKey, Object.assign({}, winner, {
+                clock: mergeClocks(incoming.clock, current.clock)
+            }));
+            this._dispatchMeshEvent({
+                type: 'sharedVarConflict',
+                data: data.key,
+                channel: channel,
+                value: winner.value,
+                lostValue: loser.value
+            });
+        }
+        this._notifySharedVarChange(data.key, current, this.sharedVars.get(storedKey));
+        this._sendToSubscribers(data, channel, source);
+    }
+
+    /**
+     * Merge shared variables which came with sync handshake.
+     * @param {Array<Array>} vars - Pairs of key and entry of shared variables
+     * @private
+     */
+    _applySyncedVars (vars) {
+        vars.forEach(([storedKey, entry]) => {
+            const key = keyInChannel(storedKey, entry.channel);
+            this._applySharedVar(Object.assign({type: 'var', key: key}, entry));
+        });
+    }
+
+    /**
+     * Take the first shared event of the queue
+     * @returns {object|undefined} Shared event object
+     */
+    nextSharedEvent () {
+        return this.eventQueue.next();
+    }
+
+    /**
+     * Handle incoming shared events
+     * The events of each sender are queued in the order they were sent.
+     * @param {object} event - Shared event object
+     */
+    onSharedEvent (event) {
+        this.seenEventTypes.add(String(event.eventType));
+        this.eventQueue.receive(event);
+    }
+
+    /**
+     * Set the policy of the shared event queue when events arrive faster than they are processed
+     * @param {string} policy - 'unbounded', 'dropOldest', 'dropNewest' or 'coalesce'
+     * @param {number} [maxLength] - Max number of waiting events for the drop policies
+     */
+    setEventQueuePolicy (policy, maxLength) {
+        this.eventQueue.setPolicy(policy, maxLength);
+    }
+
+    /**
+     * Count up the sequence number of the events sent to the channel or the target
+     * @param {string} stream - Channel name, or '>' and the target ID for direct events
+     * @returns {number} New sequence number
+     * @private
+     */
+    _nextEventSequence (stream) {
+        const sequence = (this.eventSequences.get(stream) || 0) + 1;
+        this.eventSequences.set(stream, sequence);
+        return sequence;
+    }
+
+    /**
+     * Dispatch a shared event
+     * @param {string} type - Event type
+     * @param {any} data - Event data
+     * @param {string} [channel] - Channel name, empty for the default channel
+     */
+    dispatchSharedEvent (type, data, channel) {
+        this._sendSharedEvent(this._makeSharedEvent(type, data, channel));
+    }
+
+    /**
+     * Dispatch a shared event and wait until the peers finished its hats
+     * All the peers which are reachable for the channel at the dispatch are waited for, unless a quorum is set.
+     * It does not fail when the time ran out, the result tells which peers finished in time.
+     * @param {string} type - Event type
+     * @param {any} data - Event data
+     * @param {string} [channel] - Channel name, empty for the default channel
+     * @param {number} [quorum] - Number of the peers to wait for, 0 for all peers
+     * @returns {Promise<Array<string>>} Promise that resolves with the Mesh IDs of the peers which finished
+     */
+    dispatchSharedEventAndWait (type, data, channel, quorum) {
+        const event = this._makeSharedEvent(type, data, channel);
+        event.ack = true;
+        const wait = {
+            expected: this.reachablePeerIDs(channel),
+            quorum: quorum > 0 ? quorum : 0,
+            completed: new Set(),
+            resolve: null,
+            timer: null
+        };
+        const done = new Promise(resolve => {
+            wait.resolve = resolve;
+        });
+        wait.timer = setTimeout(() => this._settleEventWait(event.id), this.eventWaitTimeout);
+        this.pendingEventWaits.set(event.id, wait);
+        this._sendSharedEvent(event);
+        this._checkEventWait(event.id);
+        return done;
+    }
+
+    /**
+     * Make a shared event sent by this peer
+     * @param {string} type - Event type
+     * @param {any} data - Event data
+     * @param {string} [channel] - Channel name, empty for the default channel
+     * @returns {object} Shared event object
+     * @private
+     */
+    _makeSharedEvent (type, data, channel) {
+        const sequence = this._nextMessageSequence();
+        return {
+            id: this._messageID(sequence),
+            seq: sequence,
+            sender: this.id,
+            time: Date.now(),
+            type: 'event',
+            eventType: type,
+            eventData: data,
+            eventSeq: this._nextEventSequence(channel || ''),
+            channel: channel || ''
+        };
+    }
+
+    /**
+     * Send a shared event to the subscribers and process it in this peer too
+     * @param {object} event - Shared event object
+     * @private
+     */
+    _sendSharedEvent (event) {
+        this._markMessageSeen(event.id);
+        this._sendToSubscribers(event, event.channel);
         this.onSharedEvent(event);
     }
 
     /**
-     * Get all shared variable keys joined with comma
+     * Tell the sender of the event that the hats of this peer finished it
+     * Only the events which the sender is waiting for are acknowledged.
+     * @param {object} event - Shared event which was processed
+     */
+    acknowledgeSharedEvent (event) {
+        if (!event.ack || !this.id || event.sender === this.id) return;
+        this.sendDirectMessage({
+            type: 'eventAck',
+            target: event.sender,
+            eventID: event.id
+        });
+    }
+
+    /**
+     * Get the peers which a message to the channel reaches
+     * They are the connected peers which subscribe to the channel and the peers whose messages came through them.
+     * A peer which left behind another peer is still counted, so waiting for it ends by the timeout.
+     * @param {string} [channel] - Channel name, empty for the default channel
+     * @returns {Array<string>} Mesh IDs of the peers
+     */
+    reachablePeerIDs (channel) {
+        const neighbors = Array.from(this.connections.keys())
+            .filter(remoteID => this.connections.get(remoteID).open && this._isRemoteSubscribed(remoteID, channel));
+        const others = Array.from(this.routes.keys())
+            .filter(remoteID => !this.connections.has(remoteID) && neighbors.includes(this.routes.get(remoteID)));
+        return neighbors.concat(others);
+    }
+
+    /**
+     * Count the acknowledgement of a peer for the event which this peer is waiting for
+     * @param {object} data - 'eventAck' message
+     * @private
+     */
+    _receiveEventAck (data) {
+        const wait = this.pendingEventWaits.get(data.eventID);
+        if (!wait) return;
+        wait.completed.add(data.sender);
+        this._checkEventWait(data.eventID);
+    }
+
+    /**
+     * Finish waiting for the event when enough peers finished it
+     * @param {string} eventID - Message ID of the event
+     * @private
+     */
+    _checkEventWait (eventID) {
+        const wait = this.pendingEventWaits.get(eventID);
+        if (!wait) return;
+        const enough = wait.quorum > 0 ?
+            wait.completed.size >= wait.quorum :
+            wait.expected.every(remoteID => wait.completed.has(remoteID));
+        if (enough) {
+            this._settleEventWait(eventID);
+        }
+    }
+
+    /**
+     * Stop waiting for the event and resolve with the peers which finished it
+     * @param {string} eventID - Message ID of the event
+     * @private
+     */
+    _settleEventWait (eventID) {
+        const wait = this.pendingEventWaits.get(eventID);
+        if (!wait) return;
+        clearTimeout(wait.timer);
+        this.pendingEventWaits.delete(eventID);
+        wait.resolve(Array.from(wait.completed));
+    }
+
+    /**
+     * Send a binary payload like a costume or a sound in chunks
+     * @param {string} remoteID - Remote Mesh ID, empty for all peers
+     * @param {object} meta - Metadata of the payload
+     * @param {ArrayBuffer|Uint8Array} bytes - Payload
+     * @param {string} [channel] - Channel name to send to all peers, empty for the default channel
+     * @returns {Promise<string>} Promise that resolves with the transfer ID after all chunks were sent
+     */
+    sendPayload (remoteID, meta, bytes, channel) {
+        return this.payloads.send(remoteID, meta, bytes, channel);
+    }
+
+    /**
+     * Forward a message which is flooded to all peers, if it was not seen yet
+     * A message of a channel is forwarded only to the peers which subscribe to the channel.
+     * @param {object} data - Message which has 'id'
+     * @param {DataConnection} source - Connection which the message came from
+     * @param {string} sourceID - Mesh ID of the neighbor which the message came from
+     * @returns {boolean} True if the message is new for this peer
+     * @private
+     */
+    _relayFloodedMessage (data, source, sourceID) {
+        if (data.sender === this.id) return false;
+        if (!this._markMessageSeen(data.id)) return false;
+        this._learnRoute(data.sender, sourceID);
+        this._sendToSubscribers(data, data.channel, source);
+        return true;
+    }
+
+    /**
+     * Set a field of the presence record of this peer and send the record to all peers
+     * @param {string} field - Field name like 'name'
+     * @param {any} value - Field value
+     */
+    setPresence (field, value) {
+        if (!field || field === '') {
+            throw new Error('Presence field not set');
+        }
+        this.presence = Object.assign({}, this.presence, {[field]: value});
+        if (!this.id) return;
+        const sequence = this._nextMessageSequence();
+        const data = {
+            id: this._messageID(sequence),
+            seq: sequence,
+            sender: this.id,
+            time: Date.now(),
+            type: 'presence',
+            presence: this.presence
+        };
+        this._markMessageSeen(data.id);
+        this.connections.forEach(conn => conn.send(data));
+        this._dispatchMeshEvent({
+            type: 'presenceUpdated',
+            data: this.id
+        });
+    }
+
+    /**
+     * Get a field of the presence record of a peer
+     * @param {string} remoteID - Mesh ID of the peer, this peer is included
+     * @param {string} field - Field name like 'name'
+     * @returns {any} Field value, or undefined if it is not known
+     */
+    peerPresence (remoteID, field) {
+        const presence = (remoteID === this.id) ? this.presence : this.presences.get(remoteID);
+        return presence && presence[field];
+    }
+
+    /**
+     * Store a presence record of a remote peer and notify the update
+     * @param {string} remoteID - Mesh ID of the peer
+     * @param {object} [presence] - Presence record
+     * @private
+     */
+    _applyPresence (remoteID, presence) {
+        if (!presence) return;
+        this.presences.set(remoteID, presence);
+        this._dispatchMeshEvent({
+            type: 'presenceUpdated',
+            data: remoteID
+        });
+    }
+
+    /**
+     * Send an event to a peer
+     * @param {string} remoteID - Mesh ID of the target peer
+     * @param {string} type - Event type
+     * @param {any} data - Event data
+     */
+    dispatchDirectEvent (remoteID, type, data) {
+        if (!remoteID || remoteID === '') {
+            throw new Error('Remote ID not set');
+        }
+        this.sendDirectMessage({
+            type: 'direct',
+            target: remoteID,
+            eventType: type,
+            eventData: data,
+            eventSeq: this._nextEventSequence(`>${remoteID}`)
+        });
+    }
+
+    /**
+     * Send a message to a peer over multi-hop paths
+     * The message is stamped with a message ID, sender and time.
+     * @param {object} message - Message which has 'target' and 'type'
+     * @returns {object} Message which was sent
+     */
+    sendDirectMessage (message) {
+        const sequence = this._nextMessageSequence();
+        const data = Object.assign({
+            id: this._messageID(sequence),
+            seq: sequence,
+            sender: this.id,
+            time: Date.now()
+        }, message);
+        this._markMessageSeen(data.id);
+        if (data.target === this.id) {
+            this._receiveDirectMessage(data);
+        } else {
+            this._forwardDirectMessage(data, null);
+        }
+        return data;
+    }
+
+    /**
+     * Deliver a message for this peer or forward it toward the target
+     * @param {object} data - Message which has 'target'
+     * @param {DataConnection} source - Connection which the message came from
+     * @param {string} sourceID - Mesh ID of the neighbor which the message came from
+     * @private
+     */
+    _routeDirectMessage (data, source, sourceID) {
+        if (!this._markMessageSeen(data.id)) return;
+        this._learnRoute(data.sender, sourceID);
+        if (data.target === this.id) {
+            this._receiveDirectMessage(data);
+        } else {
+            this._forwardDirectMessage(data, source);
+        }
+    }
+
+    /**
+     * Send a message to the target directly, through the learned route, or to all other neighbors
+     * @param {object} data - Message which has 'target'
+     * @param {DataConnection|null} source - Connection which the message came from
+     * @private
+     */
+    _forwardDirectMessage (data, source) {
+        const direct = this.connections.get(data.target);
+        if (direct && direct.open) {
+            direct.send(data);
+            return;
+        }
+        const via = this.connections.get(this.routes.get(data.target));
+        if (via && via.open && via !== source) {
+            via.send(data);
+            return;
+        }
+        this.connections.forEach(conn => {
+            if (conn !== source && conn.open) {
+                conn.send(data);
+            }
+        });
+    }
+
+    /**
+     * Handle a message for this peer
+     * @param {object} data - Message which has 'target'
+     * @private
+     */
+    _receiveDirectMessage (data) {
+        if (data.type === 'direct') {
+            this.onSharedEvent(data);
+        } else if (data.type === 'payload') {
+            this.payloads.receive(data);
+        } else if (data.type === 'request') {
+            this._dispatchMeshEvent({
+                type: 'requestReceived',
+                data: data
+            });
+        } else if (data.type === 'varWrite') {
+            this._hostSharedVarWrite(data);
+        } else if (data.type === 'varRejected') {
+            this._dispatchMeshEvent({
+                type: 'sharedVarRejected',
+                data: data.key,
+                channel: data.channel || '',
+                value: data.value,
+                reason: data.reason
+            });
+        } else if (data.type === 'eventAck') {
+            this._receiveEventAck(data);
+        } else if (data.type === 'reply') {
+            const pending = this.pendingRequests.get(data.requestID);
+            if (!pending) return;
+            this.pendingRequests.delete(data.requestID);
+            clearTimeout(pending.timer);
+            if (data.error) {
+                pending.reject(new Error(data.error));
+            } else {
+                pending.resolve(data.data);
+            }
+        }
+    }
+
+    /**
+     * Check if this peer is the leader of the connected peers
+     * @returns {boolean} True if this peer is the leader
+     */
+    isLeader () {
+        return this.election.isLeader;
+    }
+
+    /**
+     * Get the leader of the connected peers
+     * @returns {string|null} Mesh ID of the leader
+     */
+    leaderID () {
+        return this.election.leaderID;
+    }
+
+    /**
+     * Make this peer the host which has the authority of shared variables
+     * All peers are notified and send their writes to this peer.
+     */
+    becomeVarHost () {
+        if (!this.id) {
+            throw new Error('Peer not open');
+        }
+        this.varHostFollowsLeader = false;
+        this.varHostID = this.id;
+        this._announceVarHost({hostID: this.id});
+    }
+
+    /**
+     * Send the host to all peers
+     * @param {object} fields - 'hostID', or 'followLeader' to let every peer take its leader as the host
+     * @private
+     */
+    _announceVarHost (fields) {
+        const sequence = this._nextMessageSequence();
+        const data = Object.assign({
+            id: this._messageID(sequence),
+            seq: sequence,
+            sender: this.id,
+            time: Date.now(),
+            type: 'varHost'
+        }, fields);
+        this._markMessageSeen(data.id);
+        this.connections.forEach(conn => conn.send(data));
+    }
+
+    /**
+     * Send writes of shared variables to the host
+     * @param {?string} hostID - Mesh ID of the host, empty or null to let everyone write
+     */
+    useVarHost (hostID) {
+        this.varHostFollowsLeader = false;
+        this.varHostID = hostID || null;
+    }
+
+    /**
+     * Take the host which the remote peer uses if this peer has none
+     * @param {?string} hostID - Mesh ID of the host of the remote peer
+     * @private
+     */
+    _applySyncedVarHost (hostID) {
+        if (!hostID || this.varHostID) return;
+        this.varHostID = hostID;
+    }
+
+    /**
+     * Choose a new host after the connection to the host was lost.
+     * The peers which are not connected to the host do not notice the loss,
+     * so this peer tells all peers to take the leader of the election as the host.
+     * All peers converge on the same leader, and the host moves with it while they converge.
+     * @private
+     */
+    _migrateVarHost () {
+        this._followLeaderAsVarHost();
+        this._announceVarHost({followLeader: true});
+    }
+
+    /**
+     * Take the leader of the election as the host from now on
+     * @private
+     */
+    _followLeaderAsVarHost () {
+        this.varHostFollowsLeader = true;
+        this.varHostID = this.election.leaderID;
+    }
+
+    /**
+     * Move the host to the new leader if the host follows the leader
+     * @param {?string} leaderID - Mesh ID of the new leader
+     */
+    onLeaderChanged (leaderID) {
+        if (this.varHostFollowsLeader) {
+            this.varHostID = leaderID;
+        }
+    }
+
+    /**
+     * Validate and apply a write which a client requested to this host
+     * The writer is notified when the write was rejected.
+     * @param {object} data - 'varWrite' message
+     * @private
+     */
+    _hostSharedVarWrite (data) {
+        const reject = reason => {
+            this.sendDirectMessage({
+                type: 'varRejected',
+                target: data.sender,
+                key: data.key,
+                value: data.value,
+                channel: data.channel,
+                reason: reason
+            });
+        };
+        if (this.varHostID !== this.id) {
+            reject('Not the host');
+            return;
+        }
+        const write = {
+            key: data.key,
+            value: data.value,
+            sender: data.sender,
+            channel: data.channel || '',
+            deleted: !!data.deleted
+        };
+        Promise.resolve()
+            .then(() => (this.sharedVarWriteValidator ? this.sharedVarWriteValidator(write) : null))
+            .then(reason => {
+                if (reason) {
+                    reject(String(reason));
+                } else if (this.varHostID === this.id) {
+                    this._writeSharedVar(data.key, data.value, data.channel, data.deleted);
+                } else {
+                    reject('Not the host');
+                }
+            }, err => reject(String(err)));
+    }
+
+    /**
+     * Ask a peer and wait for the reply
+     * @param {string} remoteID - Mesh ID of the peer to ask
+     * @param {string} question - Question which selects the handler on the peer
+     * @param {any} data - Data for the question
+     * @returns {Promise<any>} Promise that resolves with the reply data, or rejects when it timed out
+     */
+    request (remoteID, question, data) {
+        if (!remoteID || remoteID === '') {
+            return Promise.reject(new Error('Remote ID not set'));
+        }
+        return new Promise((resolve, reject) => {
+            const message = this.sendDirectMessage({
+                type: 'request',
+                target: remoteID,
+                question: question,
+                data: data
+            });
+            const timer = setTimeout(() => {
+                this.pendingRequests.delete(message.id);
+                reject(new Error(`No reply from "${remoteID}" in ${this.requestTimeout} ms`));
+            }, this.requestTimeout);
+            this.pendingRequests.set(message.id, {resolve, reject, timer});
+        });
+    }
+
+    /**
+     * Reply to a request
+     * Correlation with the request is kept by the message ID of the request.
+     * @param {object} request - Request message which was received
+     * @param {any} data - Reply data
+     * @param {string} [error] - Error message instead of the data
+     */
+    reply (request, data, error) {
+        const message = {
+            type: 'reply',
+            target: request.sender,
+            requestID: request.id,
+            data: data
+        };
+        if (error) {
+            message.error = error;
+        }
+        this.sendDirectMessage(message);
+    }
+
+    /**
+     * Reject all requests which are waiting for replies
+     * @param {Error} err - Reason
+     * @private
+     */
+    _rejectPendingRequests (err) {
+        this.pendingRequests.forEach(pending => {
+            clearTimeout(pending.timer);
+            pending.reject(err);
+        });
+        this.pendingRequests.clear();
+    }
+
+    /**
+     * Remember the neighbor which the first message from the sender came through
+     * @param {string} sender - Mesh ID of the sender
+     * @param {string} neighborID - Mesh ID of the neighbor
+     * @private
+     */
+    _learnRoute (sender, neighborID) {
+        if (sender === neighborID) return;
+        this.routes.set(sender, neighborID);
+    }
+
+    /**
+     * Count up the sequence number of messages sent by this peer
+     * @returns {number} New sequence number
+     * @private
+     */
+    _nextMessageSequence () {
+        this.messageSequence++;
+        return this.messageSequence;
+    }
+
+    /**
+     * Make a unique ID of a message sent by this peer
+     * @param {number} sequence - Sequence number of the message
+     * @returns {string} Message ID
+     * @private
+     */
+    _messageID (sequence) {
+        return `${this.id}:${this.session}:${sequence}`;
+    }
+
+    /**
+     * Remember the message ID to deliver and forward the message at most once.
+     * The oldest IDs are forgotten when the number of IDs exceeds the limit.
+     * @param {string} messageID - Message ID
+     * @returns {boolean} True if the message was not seen before
+     * @private
+     */
+    _markMessageSeen (messageID) {
+        if (this.seenMessageIDs.has(messageID)) return false;
+        this.seenMessageIDs.add(messageID);
+        if (this.seenMessageIDs.size > this.seenMessageIDsLength) {
+            this.seenMessageIDs.delete(this.seenMessageIDs.values().next().value);
+        }
+        return true;
+    }
+
+    /**
+     * Get all shared variable keys of the channel
+     * Deleted variables are not included.
+     * @param {string} [channel] - Channel name, empty for the default channel
+     * @returns {Array<string>} Keys
+     */
+    sharedVarKeyList (channel) {
+        const name = channel || '';
+        return Array.from(this.sharedVars)
+            .filter(([, entry]) => entry.channel === name && !entry.deleted)
+            .map(([storedKey]) => keyInChannel(storedKey, name));
+    }
+
+    /**
+     * Get all shared variable keys of the channel joined with comma
+     * @param {string} [channel] - Channel name, empty for the default channel
      * @returns {string} Comma separated keys
      */
-    sharedVarKeys () {
-        return Array.from(this.sharedVars.keys()).join(',');
+    sharedVarKeys (channel) {
+        return this.sharedVarKeyList(channel).join(',');
     }
 }
 
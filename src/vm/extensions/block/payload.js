@@ -0,0 +1,316 @@
+import uid from '../../util/uid';
+import {fromBase64, subtleCrypto, toBase64} from './secure-channel';
+
+/**
+ * Get the SHA-256 digest of bytes.
+ * @param {Uint8Array} bytes - bytes
+ * @returns {Promise<string>} hex text of the digest
+ */
+const sha256 = async function (bytes) {
+    const digest = await subtleCrypto().digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+};
+
+/**
+ * Join chunks of bytes.
+ * @param {Array<Uint8Array>} chunks - chunks in order
+ * @returns {Uint8Array} joined bytes
+ */
+const joinChunks = function (chunks) {
+    const bytes = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return bytes;
+};
+
+/**
+ * Decode the bytes of a chunk from a remote peer.
+ * @param {any} data - base64 text of the bytes
+ * @returns {?Uint8Array} bytes, null if it is not base64 text
+ */
+const decodeChunk = function (data) {
+    if (typeof data !== 'string') return null;
+    try {
+        return fromBase64(data);
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Class which transfers binary payloads like costumes and sounds between the peers of a mesh.
+ *
+ * A payload is split into chunks which are sent one by one with a pause,
+ * so a large payload does not block the other messages on the data connections.
+ * Each chunk carries the size, the number of the chunks, the SHA-256 digest and the metadata of the payload,
+ * so the receiver can reassemble it in any order of arrival and check it after reassembly.
+ * A payload to all peers is flooded like shared events and a payload to a peer is routed like direct events.
+ */
+class PayloadTransfer {
+    /**
+     * Create a payload transfer.
+     * @param {Mesh} mesh - Mesh which sends the chunks
+     */
+    constructor (mesh) {
+        /** @type {Mesh} Mesh which sends the chunks */
+        this.mesh = mesh;
+        /** @type {number} Bytes in a chunk */
+        this.chunkSize = 16 * 1024;
+        /** @type {number} Milliseconds between the chunks */
+        this.chunkInterval = 10;
+        /** @type {number} Max bytes of a payload */
+        this.maxSize = 10 * 1024 * 1024;
+        /** @type {number} Milliseconds without chunks to give up receiving a payload */
+        this.receiveTimeout = 30000;
+        /**
+         * Payloads which are being received by the transfer ID
+         * @type {Map<string, {sender: string, meta: object, channel: string, hash: string, size: number,
+         *     count: number, chunks: Map<number, Uint8Array>, loaded: number, failed: boolean, timer: number}>}
+         */
+        this.incoming = new Map();
+        /** @type {Set<string>} Transfer IDs of the payloads which are being sent */
+        this.sending = new Set();
+    }
+
+    /**
+     * Send a payload.
+     * It dispatches 'payloadProgress' events of this peer as the chunks are sent.
+     * @param {string} remoteID - Mesh ID of the receiver, empty for all peers
+     * @param {object} meta - Metadata of the payload like the name and the format
+     * @param {ArrayBuffer|Uint8Array} bytes - Payload
+     * @param {string} [channel] - Channel name to send to all peers, empty for the default channel
+     * @returns {Promise<string>} Promise that resolves with the transfer ID after all chunks were sent
+     */
+    async send (remoteID, meta, bytes, channel) {
+        if (!this.mesh.id) {
+            throw new Error('Peer not open');
+        }
+        const payload = new Uint8Array(bytes);
+        if (payload.length > this.maxSize) {
+            throw new Error(`Payload is larger than ${this.maxSize} bytes`);
+        }
+        const hash = await sha256(payload);
+        const transferID = uid();
+        const count = Math.max(1, Math.ceil(payload.length / this.chunkSize));
+        this.sending.add(transferID);
+        try {
+            for (let index = 0; index < count; index++) {
+                if (index > 0) {
+                    await new Promise(resolve => setTimeout(resolve, this.chunkInterval));
+                }
+                if (!this.sending.has(transferID)) {
+                    throw new Error('Transfer canceled');
+                }
+                const chunk = payload.subarray(index * this.chunkSize, (index + 1) * this.chunkSize);
+                this._sendChunk(remoteID, {
+                    type: 'payload',
+                    transferID: transferID,
+                    index: index,
+                    count: count,
+                    size: payload.length,
+                    hash: hash,
+                    meta: meta,
+                    channel: channel || '',
+                    data: toBase64(chunk)
+                });
+                this._dispatchProgress(transferID, this.mesh.id, meta,
+                    Math.min(payload.length, (index + 1) * this.chunkSize), payload.length);
+            }
+        } finally {
+            this.sending.delete(transferID);
+        }
+        return transferID;
+    }
+
+    /**
+     * Send a chunk to the receiver or flood it to all peers.
+     * @param {string} remoteID - Mesh ID of the receiver, empty for all peers
+     * @param {object} message - 'payload' message
+     * @private
+     */
+    _sendChunk (remoteID, message) {
+        const mesh = this.mesh;
+        if (remoteID) {
+            mesh.sendDirectMessage(Object.assign({target: remoteID}, message));
+            return;
+        }
+        const sequence = mesh._nextMessageSequence();
+        const data = Object.assign({
+            id: mesh._messageID(sequence),
+            seq: sequence,
+            sender: mesh.id,
+            time: Date.now()
+        }, message);
+        mesh._markMessageSeen(data.id);
+        mesh._sendToSubscribers(data, data.channel);
+    }
+
+    /**
+     * Receive a chunk and reassemble the payload when all chunks arrived.
+     * The headers of the chunks come from a remote peer, so they are checked before they are used.
+     * @param {object} data - 'payload' message
+     */
+    receive (data) {
+        let transfer = this.incoming.get(data.transferID);
+        if (!transfer) {
+            transfer = {
+                sender: data.sender,
+                meta: data.meta,
+                channel: data.channel || '',
+                hash: data.hash,
+                size: data.size,
+                count: data.count,
+                chunks: new Map(),
+                loaded: 0,
+                failed: false,
+                timer: null
+            };
+            this.incoming.set(data.transferID, transfer);
+            if (data.size > this.maxSize) {
+                this._fail(data.transferID, transfer, `Payload is larger than ${this.maxSize} bytes`);
+            } else if (!Number.isInteger(data.count) || data.count < 1 || data.count > Math.max(1, this.maxSize)) {
+                // Each chunk but the one of an empty payload has some bytes.
+                this._fail(data.transferID, transfer, 'Invalid chunk');
+            }
+        }
+        this._resetTimer(data.transferID, transfer);
+        if (transfer.failed) return;
+        if (!Number.isInteger(data.index) || data.index < 0 || data.index >= transfer.count) {
+            this._fail(data.transferID, transfer, 'Invalid chunk');
+            return;
+        }
+        if (transfer.chunks.has(data.index)) return;
+        const chunk = decodeChunk(data.data);
+        if (!chunk) {
+            this._fail(data.transferID, transfer, 'Invalid chunk');
+            return;
+        }
+        transfer.loaded += chunk.length;
+        if (transfer.loaded > this.maxSize) {
+            this._fail(data.transferID, transfer, `Payload is larger than ${this.maxSize} bytes`);
+            return;
+        }
+        transfer.chunks.set(data.index, chunk);
+        this._dispatchProgress(data.transferID, transfer.sender, transfer.meta, transfer.loaded, transfer.size);
+        if (transfer.chunks.size === transfer.count) {
+            this._complete(data.transferID, transfer)
+                .catch(err => {
+                    // The digest is not available without WebCrypto, like on a page which is not secure.
+                    if (this.incoming.get(data.transferID) !== transfer) return;
+                    this.incoming.delete(data.transferID);
+                    this._dispatchError(data.transferID, transfer, err.message);
+                });
+        }
+    }
+
+    /**
+     * Check the reassembled payload and notify it.
+     * @param {string} transferID - Transfer ID
+     * @param {object} transfer - Payload which is being received
+     * @returns {Promise<void>} Promise that resolves after the notification
+     * @private
+     */
+    async _complete (transferID, transfer) {
+        clearTimeout(transfer.timer);
+        const bytes = joinChunks(Array.from({length: transfer.count}, (v, index) => transfer.chunks.get(index)));
+        const hash = await sha256(bytes);
+        if (this.incoming.get(transferID) !== transfer) return;
+        this.incoming.delete(transferID);
+        if (bytes.length !== transfer.size || hash !== transfer.hash) {
+            this._dispatchError(transferID, transfer, 'Integrity check failed');
+            return;
+        }
+        this.mesh._dispatchMeshEvent({
+            type: 'payloadReceived',
+            data: transfer.meta,
+            transferID: transferID,
+            sender: transfer.sender,
+            channel: transfer.channel,
+            bytes: bytes
+        });
+    }
+
+    /**
+     * Give up receiving the payload.
+     * The transfer is kept until the timeout to ignore the rest of the chunks.
+     * @param {string} transferID - Transfer ID
+     * @param {object} transfer - Payload which is being received
+     * @param {string} reason - Reason of the failure
+     * @private
+     */
+    _fail (transferID, transfer, reason) {
+        transfer.failed = true;
+        transfer.chunks.clear();
+        this._dispatchError(transferID, transfer, reason);
+    }
+
+    /**
+     * Restart the timer to give up receiving the payload.
+     * @param {string} transferID - Transfer ID
+     * @param {object} transfer - Payload which is being received
+     * @private
+     */
+    _resetTimer (transferID, transfer) {
+        clearTimeout(transfer.timer);
+        transfer.timer = setTimeout(() => {
+            if (this.incoming.get(transferID) !== transfer) return;
+            this.incoming.delete(transferID);
+            if (!transfer.failed) {
+                this._dispatchError(transferID, transfer, 'Timed out');
+            }
+        }, this.receiveTimeout);
+    }
+
+    /**
+     * Notify the progress of a payload.
+     * @param {string} transferID - Transfer ID
+     * @param {string} sender - Mesh ID of the sender
+     * @param {object} meta - Metadata of the payload
+     * @param {number} loaded - Bytes which were sent or received
+     * @param {number} total - Bytes of the payload
+     * @private
+     */
+    _dispatchProgress (transferID, sender, meta, loaded, total) {
+        this.mesh._dispatchMeshEvent({
+            type: 'payloadProgress',
+            data: transferID,
+            sender: sender,
+            meta: meta,
+            loaded: loaded,
+            total: total
+        });
+    }
+
+    /**
+     * Notify the failure of receiving a payload.
+     * @param {string} transferID - Transfer ID
+     * @param {object} transfer - Payload which was being received
+     * @param {string} reason - Reason of the failure
+     * @private
+     */
+    _dispatchError (transferID, transfer, reason) {
+        this.mesh._dispatchMeshEvent({
+            type: 'payloadError',
+            data: transferID,
+            sender: transfer.sender,
+            meta: transfer.meta,
+            error: reason
+        });
+    }
+
+    /**
+     * Cancel all payloads which are being sent or received.
+     */
+    reset () {
+        this.sending.clear();
+        this.incoming.forEach(transfer => clearTimeout(transfer.timer));
+        this.incoming.clear();
+    }
+}
+
+export default PayloadTransfer;
@@ -0,0 +1,133 @@
+/**
+ * Version of PeerJS to load from the CDN.
+ * This should be the same as the version in package.json which is bundled.
+ * @type {string}
+ */
+const PEERJS_VERSION = '1.5.4';
+
+/**
+ * URL of PeerJS on the CDN.
+ * @type {string}
+ */
+const PEERJS_CDN_URL = `https://cdn.jsdelivr.net/npm/peerjs@${PEERJS_VERSION}/+esm`;
+
+/**
+ * File name of PeerJS which is placed next to the extension module by the build.
+ * @type {string}
+ */
+const PEERJS_LOCAL_FILE = 'peerjs.mjs';
+
+/**
+ * Source names which are tried in order by default.
+ * @type {Array<string>}
+ */
+const DEFAULT_SOURCES = ['cdn', 'local', 'bundled'];
+
+/**
+ * Import a module from the URL.
+ * @param {string} url - URL of the module
+ * @returns {Promise<object>} module
+ */
+const importURL = function (url) {
+    return import(/* webpackIgnore: true */ url);
+};
+
+/**
+ * Class to load PeerJS library trying sources in order.
+ *
+ * A source is one of the following names or a URL of an ES module which exports `Peer`.
+ * - 'cdn': PeerJS on jsDelivr
+ * - 'local': 'peerjs.mjs' next to the extension module
+ * - 'bundled': PeerJS bundled in the extension module
+ */
+class PeerJSLoader {
+    /**
+     * Create a loader.
+     * @param {object} [options] - options
+     * @param {Array<string>} [options.sources] - sources to try in order
+     * @param {string|Function} [options.baseURL] - URL of the extension module or function which returns it
+     */
+    constructor (options = {}) {
+        /** @type {Array<string>} sources to try in order */
+        this.sources = options.sources || DEFAULT_SOURCES.slice();
+        /** @type {string|Function} URL of the extension module or function which returns it */
+        this.baseURL = options.baseURL || '';
+        /** @type {any} Peer class which was loaded */
+        this.Peer = null;
+        /** @type {string|null} source which PeerJS was loaded from */
+        this.loadedSource = null;
+        /** @type {Promise<any>|null} loading process */
+        this._loading = null;
+    }
+
+    /**
+     * Set sources to try in order.
+     * This takes effect only while PeerJS is not loaded yet.
+     * @param {Array<string>} sources - source names or URLs
+     */
+    setSources (sources) {
+        if (sources.length === 0) {
+            throw new Error('No PeerJS source');
+        }
+        this.sources = sources;
+    }
+
+    /**
+     * Import PeerJS module from the source.
+     * @param {string} source - source name or URL
+     * @returns {Promise<object>} module of PeerJS
+     * @private
+     */
+    _importFrom (source) {
+        switch (source) {
+        case 'cdn':
+            return importURL(PEERJS_CDN_URL);
+        case 'local': {
+            const baseURL = typeof this.baseURL === 'function' ? this.baseURL() : this.baseURL;
+            return importURL(new URL(PEERJS_LOCAL_FILE, baseURL).href);
+        }
+        case 'bundled':
+            return import('peerjs');
+        default:
+            return importURL(source);
+        }
+    }
+
+    /**
+     * Load PeerJS from the first source which succeeded.
+     * The result is cached and loading is retried only after it failed.
+     * @returns {Promise<any>} resolves with Peer class, or rejects with the reasons of all sources
+     */
+    load () {
+        if (this.Peer) return Promise.resolve(this.Peer);
+        if (this._loading) return this._loading;
+        this._loading = (async () => {
+            const failures = [];
+            for (const source of this.sources) {
+                try {
+                    const module = await this._importFrom(source);
+                    const Peer = module.Peer || (module.default && module.default.Peer);
+                    if (typeof Peer !== 'function') {
+                        throw new Error('Peer is not exported');
+                    }
+                    this.Peer = Peer;
+                    this.loadedSource = source;
+                    return Peer;
+                } catch (e) {
+                    failures.push(`${source}: ${e.message || e}`);
+                }
+            }
+            throw new Error(`Failed to load PeerJS (${failures.join(', ')})`);
+        })();
+        this._loading.catch(() => {
+            this._loading = null;
+        });
+        return this._loading;
+    }
+}
+
+export {
+    PeerJSLoader as default,
+    PEERJS_VERSION,
+    DEFAULT_SOURCES
+};
@@ -0,0 +1,69 @@
+import Transport from './transport';
+import PeerJSLoader from './peerjs-loader';
+
+/**
+ * Transport which uses PeerJS to connect peers with WebRTC.
+ */
+class PeerJSTransport extends Transport {
+    /**
+     * Create a transport.
+     * @param {PeerJSLoader} [loader] - loader of PeerJS library
+     */
+    constructor (loader) {
+        super();
+        /** @type {PeerJSLoader} loader of PeerJS library */
+        this.loader = loader || new PeerJSLoader();
+    }
+
+    /**
+     * Name of this transport to show to the user.
+     * @type {string}
+     */
+    get name () {
+        if (this.loader.loadedSource) {
+            return `PeerJS from ${this.loader.loadedSource}`;
+        }
+        return 'PeerJS';
+    }
+
+    /**
+     * Load PeerJS library from the sources of the loader.
+     * @returns {Promise<void>} resolves when PeerJS is loaded
+     */
+    async load () {
+        await this.loader.load();
+    }
+
+    /**
+     * Create a PeerJS instance.
+     * @param {string} peerID - PeerJS ID
+     * @param {object} options - options for PeerJS
+     * @returns {Peer} PeerJS instance
+     */
+    createPeer (peerID, options) {
+        return new this.loader.Peer(peerID, options);
+    }
+
+    /**
+     * Encode a Mesh ID to a PeerJS ID.
+     * PeerJS accepts only alphanumeric characters, so the ID is encoded with base64.
+     * @param {string} meshID - Mesh ID
+     * @returns {string} PeerJS ID
+     */
+    encodeID (meshID) {
+        return `0${btoa(encodeURIComponent(meshID))}0`
+            .replace(/[=]/g, '0equal0');
+    }
+
+    /**
+     * Decode a PeerJS ID to a Mesh ID.
+     * @param {string} peerID - PeerJS ID
+     * @returns {string} Mesh ID
+     */
+    decodeID (peerID) {
+        return decodeURIComponent(atob(peerID.slice(1, -1)
+            .replace(/0equal0/g, '=')));
+    }
+}
+
+export default PeerJSTransport;
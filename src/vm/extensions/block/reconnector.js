@@ -0,0 +1,165 @@
+/**
+ * State of the automatic reconnection.
+ * @enum {string}
+ */
+const ReconnectState = {
+    OFF: 'off',
+    IDLE: 'idle',
+    RECONNECTING: 'reconnecting',
+    FAILED: 'failed'
+};
+
+/**
+ * Class which retries lost connections of a mesh with exponential backoff and jitter.
+ *
+ * Each retry is identified by a key, like the remote ID of a data connection.
+ * An attempt is an action which returns a promise, and it is retried until it resolves
+ * or the number of attempts reaches the max retries.
+ */
+class Reconnector {
+    /**
+     * Create a reconnector.
+     * @param {Mesh} mesh - Mesh which owns the connections
+     */
+    constructor (mesh) {
+        /** @type {Mesh} Mesh which owns the connections */
+        this.mesh = mesh;
+        /** @type {boolean} True if lost connections are retried */
+        this.enabled = false;
+        /** @type {number} Max number of attempts for a lost connection */
+        this.maxRetries = 5;
+        /** @type {number} Milliseconds to wait before the first attempt */
+        this.baseDelay = 1000;
+        /** @type {number} Max milliseconds to wait between attempts */
+        this.maxDelay = 30000;
+        /** @type {number} Milliseconds to give up an attempt which does not finish */
+        this.attemptTimeout = 10000;
+        /** @type {Map<string, {attempt: number, timer: ?number}>} Retries in progress */
+        this.retries = new Map();
+        /** @type {Set<string>} Keys which were given up */
+        this.failed = new Set();
+    }
+
+    /**
+     * State of the reconnection
+     * @type {ReconnectState}
+     */
+    get state () {
+        if (!this.enabled) return ReconnectState.OFF;
+        if (this.retries.size > 0) return ReconnectState.RECONNECTING;
+        if (this.failed.size > 0) return ReconnectState.FAILED;
+        return ReconnectState.IDLE;
+    }
+
+    /**
+     * Milliseconds to wait before the attempt.
+     * The delay doubles each attempt up to the max delay, and random jitter of up to half of it
+     * avoids that all peers retry at once.
+     * @param {number} attempt - Number of the attempts which were done before
+     * @returns {number} Milliseconds to wait
+     */
+    backoffDelay (attempt) {
+        const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt));
+        return delay * (0.5 + (Math.random() / 2));
+    }
+
+    /**
+     * Start retrying the action.
+     * Nothing is done when it is disabled or the key is already being retried.
+     * @param {string} key - Key of the retry
+     * @param {function(): Promise} action - Action to reconnect
+     */
+    schedule (key, action) {
+        if (!this.enabled || this.retries.has(key)) return;
+        this.failed.delete(key);
+        const retry = {attempt: 0, timer: null};
+        this.retries.set(key, retry);
+        this._next(key, retry, action);
+    }
+
+    /**
+     * Wait the backoff delay then do the next attempt.
+     * @param {string} key - Key of the retry
+     * @param {{attempt: number, timer: ?number}} retry - Retry in progress
+     * @param {function(): Promise} action - Action to reconnect
+     * @private
+     */
+    _next (key, retry, action) {
+        retry.timer = setTimeout(() => {
+            retry.timer = null;
+            retry.attempt++;
+            this._attempt(action)
+                .then(() => {
+                    if (this.retries.get(key) !== retry) return;
+                    this.retries.delete(key);
+                    this.mesh._dispatchMeshEvent({
+                        type: 'reconnected',
+                        data: key
+                    });
+                })
+                .catch(err => {
+                    if (this.retries.get(key) !== retry) return;
+                    if (retry.attempt < this.maxRetries) {
+                        this._next(key, retry, action);
+                        return;
+                    }
+                    this.retries.delete(key);
+                    this.failed.add(key);
+                    this.mesh._dispatchMeshEvent({
+                        type: 'reconnectFailed',
+                        data: key,
+                        error: err
+                    });
+                });
+        }, this.backoffDelay(retry.attempt));
+    }
+
+    /**
+     * Do the action and give up when it does not finish in the timeout.
+     * @param {function(): Promise} action - Action to reconnect
+     * @returns {Promise} Promise of the action
+     * @private
+     */
+    _attempt (action) {
+        let timer = null;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('Reconnection timed out')), this.attemptTimeout);
+        });
+        return Promise.race([Promise.resolve().then(action), timeout])
+            .then(
+                result => {
+                    clearTimeout(timer);
+                    return result;
+                },
+                err => {
+                    clearTimeout(timer);
+                    throw err;
+                });
+    }
+
+    /**
+     * Stop retrying.
+     * @param {string} key - Key of the retry
+     */
+    cancel (key) {
+        const retry = this.retries.get(key);
+        if (retry) {
+            clearTimeout(retry.timer);
+            this.retries.delete(key);
+        }
+        this.failed.delete(key);
+    }
+
+    /**
+     * Stop all retries.
+     */
+    cancelAll () {
+        Array.from(this.retries.keys()).forEach(key => this.cancel(key));
+        this.failed.clear();
+    }
+}
+
+export {
+    Reconnector as default,
+    ReconnectState
+};
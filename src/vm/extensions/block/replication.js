@@ -0,0 +1,419 @@
+/**
+ * Separator between the key and the peer ID in the key of a shared sprite state.
+ * @type {string}
+ */
+const REPLICA_KEY_SEPARATOR = '@';
+
+/**
+ * Key to look up the say bubble of a target in its custom state.
+ * @type {string}
+ */
+const BUBBLE_STATE_KEY = 'Scratch.looks';
+
+/**
+ * Event of the runtime to show a say or think bubble.
+ * @type {string}
+ */
+const SAY_EVENT = 'SAY';
+
+/**
+ * Check if a value of a shared variable is a state of a replicated sprite.
+ * @param {any} value - value of a shared variable
+ * @returns {boolean} true if it is a sprite state
+ */
+const isSpriteState = function (value) {
+    return !!value &&
+        typeof value === 'object' &&
+        typeof value.sprite === 'string' &&
+        typeof value.replicaOf === 'string';
+};
+
+/**
+ * Get the value between two numbers.
+ * @param {number} from - value at the start
+ * @param {number} to - value at the end
+ * @param {number} rate - progress from 0 to 1
+ * @returns {number} value at the progress
+ */
+const lerp = (from, to, rate) => from + ((to - from) * rate);
+
+/**
+ * Get the direction between two directions through the shorter turn.
+ * @param {number} from - direction at the start
+ * @param {number} to - direction at the end
+ * @param {number} rate - progress from 0 to 1
+ * @returns {number} direction at the progress
+ */
+const lerpDirection = function (from, to, rate) {
+    const turn = ((((to - from) % 360) + 540) % 360) - 180;
+    return from + (turn * rate);
+};
+
+/**
+ * Class which replicates sprites to the other peers of a mesh.
+ *
+ * Each replicated sprite writes its state to a shared variable whose key is made of the key
+ * and the peer ID, at the send rate when the state changed, and at the keep-alive interval when it did not.
+ * On the other peers, a clone of the sprite with the same name follows the state,
+ * and it moves smoothly between the updates by interpolation.
+ * A state which stopped refreshing belongs to a peer which left, so its clone and its key are removed.
+ */
+class Replicator {
+    /**
+     * Create a replicator.
+     * @param {Runtime} runtime - Scratch runtime which has the sprites
+     * @param {Mesh} mesh - Mesh which shares the states
+     */
+    constructor (runtime, mesh) {
+        /** @type {Runtime} Scratch runtime which has the sprites */
+        this.runtime = runtime;
+        /** @type {Mesh} Mesh which shares the states */
+        this.mesh = mesh;
+        /**
+         * Sprites of this peer which are replicated
+         * @type {Map<Target, {key: string, channel: string, sharedKey: ?string, sent: string, sentAt: number}>}
+         */
+        this.sources = new Map();
+        /**
+         * Clones which follow the sprites of the other peers by the key of the shared state
+         * @type {Map<string, {
+         *     key: string, channel: string, clone: Target, from: object, to: object, start: number, bubble: ?string
+         * }>}
+         */
+        this.replicas = new Map();
+        /** @type {number} Number of the states which are sent in a second */
+        this.sendRate = 10;
+        /** @type {number} Milliseconds between the moves of the clones */
+        this.frameInterval = 1000 / 30;
+        /** @type {number} Milliseconds to send the state again when the sprite did not change */
+        this.keepAliveInterval = 1000;
+        /** @type {number} Milliseconds to remove a clone whose state was not refreshed */
+        this.staleTimeout = 5000;
+        /** @type {?number} Timer to send the states */
+        this._sendTimer = null;
+        /** @type {?number} Timer to move the clones */
+        this._frameTimer = null;
+    }
+
+    /**
+     * Start replicating the sprite.
+     * @param {Target} target - Sprite to replicate
+     * @param {string} key - Key of the sprite, which is the same on all peers
+     * @param {string} [channel] - Channel name, empty for the default channel
+     */
+    replicate (target, key, channel) {
+        if (!key || key === '') {
+            throw new Error('Key not set');
+        }
+        if (target.isStage) {
+            throw new Error('The stage can not be replicated');
+        }
+        this.stop(target);
+        this.sources.set(target, {key: key, channel: channel || '', sharedKey: null, sent: '', sentAt: 0});
+        this._send();
+        this._startSending();
+    }
+
+    /**
+     * Start sending the states of the sprites which were replicated before the peer opened.
+     */
+    onPeerOpened () {
+        if (this.sources.size === 0) return;
+        this._send();
+        this._startSending();
+    }
+
+    /**
+     * Stop replicating the sprite and remove its clones on the other peers.
+     * @param {Target} target - Sprite which is replicated
+     * @returns {boolean} True if the sprite was replicated
+     */
+    stop (target) {
+        const source = this.sources.get(target);
+        if (!source) return false;
+        this.sources.delete(target);
+        if (source.sharedKey) {
+            this.mesh.deleteSharedVar(source.sharedKey, source.channel);
+        }
+        if (this.sources.size === 0) {
+            clearInterval(this._sendTimer);
+            this._sendTimer = null;
+        }
+        return true;
+    }
+
+    /**
+     * Set the number of the states which are sent in a second.
+     * @param {number} rate - Number of the states in a second
+     */
+    setSendRate (rate) {
+        this.sendRate = Math.min(60, Math.max(1, rate));
+        if (this._sendTimer) {
+            clearInterval(this._sendTimer);
+            this._sendTimer = null;
+            this._startSending();
+        }
+    }
+
+    /**
+     * Start sending the states of the sprites.
+     * It waits for the peer to open, because the keys of the states are made of the peer ID.
+     * @private
+     */
+    _startSending () {
+        if (this._sendTimer || !this.mesh.id) return;
+        this._sendTimer = setInterval(() => this._send(), 1000 / this.sendRate);
+    }
+
+    /**
+     * Send the states of the sprites which changed, or which were not sent in the keep-alive interval.
+     * A sprite which was removed, like a deleted clone, stops replicating.
+     * @private
+     */
+    _send () {
+        if (!this.mesh.id) return;
+        const now = Date.now();
+        this.sources.forEach((source, target) => {
+            if (this.runtime.targets.indexOf(target) === -1) {
+                this.stop(target);
+                return;
+            }
+            const sharedKey = `${source.key}${REPLICA_KEY_SEPARATOR}${this.mesh.id}`;
+            if (source.sharedKey && source.sharedKey !== sharedKey) {
+                // The peer ID was changed.
+                this.mesh.deleteSharedVar(source.sharedKey, source.channel);
+                source.sent = '';
+            }
+            source.sharedKey = sharedKey;
+            const state = this._stateOf(target, source.key);
+            const text = JSON.stringify(state);
+            if (text === source.sent && now - source.sentAt < this.keepAliveInterval) return;
+            source.sent = text;
+            source.sentAt = now;
+            // The time makes the state new for the other peers even when the sprite did not change.
+            this.mesh.setSharedVar(sharedKey, Object.assign({sentAt: now}, state), source.channel);
+        });
+    }
+
+    /**
+     * Get the state of the sprite to send.
+     * @param {Target} target - Sprite
+     * @param {string} key - Key of the sprite
+     * @returns {object} State of the sprite
+     * @private
+     */
+    _stateOf (target, key) {
+        const costume = target.getCostumes()[target.currentCostume];
+        const bubble = target.getCustomState(BUBBLE_STATE_KEY);
+        return {
+            replicaOf: key,
+            sprite: target.sprite.name,
+            peer: this.mesh.id,
+            x: target.x,
+            y: target.y,
+            direction: target.direction,
+            size: target.size,
+            costume: costume ? costume.name : '',
+            visible: target.visible,
+            bubble: (bubble && bubble.text) ? {type: bubble.type, text: bubble.text} : null,
+            interval: 1000 / this.sendRate
+        };
+    }
+
+    /**
+     * Update the clone by a change of a shared variable by another peer.
+     * @param {object} event - 'sharedVarChanged' mesh event
+     */
+    onSharedVarChanged (event) {
+        const replicaKey = `${event.channel || ''}${REPLICA_KEY_SEPARATOR}${event.data}`;
+        if (event.deleted) {
+            this._removeReplica(replicaKey);
+            return;
+        }
+        const state = event.value;
+        if (!isSpriteState(state) || state.peer === this.mesh.id) return;
+        let replica = this.replicas.get(replicaKey);
+        if (replica && this._isAlive(replica.clone)) {
+            replica.from = this._poseOf(replica.clone);
+        } else {
+            const clone = this._makeClone(state.sprite);
+            if (!clone) return;
+            // A new clone appears at the state without moving.
+            replica = {
+                key: event.data,
+                channel: event.channel || '',
+                clone: clone,
+                from: state,
+                to: state,
+                start: 0,
+                bubble: null
+            };
+            this.replicas.set(replicaKey, replica);
+            this._startMoving();
+        }
+        replica.to = state;
+        replica.start = Date.now();
+        this._applyLooks(replica, state);
+        this._move(replica, replica.start);
+    }
+
+    /**
+     * Remove the clones and the shared states of the sprites of a peer which left.
+     * The states are deleted, so the peers which join later do not get clones of them.
+     * @param {string} remoteID - Mesh ID of the peer
+     */
+    onPeerLeft (remoteID) {
+        Array.from(this.replicas)
+            .filter(([, replica]) => replica.to.peer === remoteID)
+            .forEach(([replicaKey]) => this._removeReplica(replicaKey));
+        const channels = new Set(Array.from(this.mesh.sharedVars.values()).map(entry => entry.channel));
+        channels.forEach(channel => {
+            this.mesh.sharedVarKeyList(channel)
+                .filter(key => {
+                    const state = this.mesh.sharedVar(key, channel);
+                    return isSpriteState(state) && state.peer === remoteID;
+                })
+                .forEach(key => this.mesh.deleteSharedVar(key, channel));
+        });
+    }
+
+    /**
+     * Remove all clones and stop replicating all sprites.
+     */
+    reset () {
+        Array.from(this.sources.keys()).forEach(target => this.stop(target));
+        Array.from(this.replicas.keys()).forEach(replicaKey => this._removeReplica(replicaKey));
+    }
+
+    /**
+     * Make a clone of the sprite to follow the state.
+     * @param {string} spriteName - Name of the sprite
+     * @returns {?Target} Clone, null if the sprite was not found or the clone limit was hit
+     * @private
+     */
+    _makeClone (spriteName) {
+        const original = this.runtime.getSpriteTargetByName(spriteName);
+        if (!original) return null;
+        const clone = original.makeClone();
+        if (!clone) return null;
+        this.runtime.addTarget(clone);
+        clone.goBehindOther(original);
+        return clone;
+    }
+
+    /**
+     * Check if the clone is still in the project.
+     * Clones are removed by the stop button or "delete this clone".
+     * @param {?Target} clone - Clone
+     * @returns {boolean} True if the clone is alive
+     * @private
+     */
+    _isAlive (clone) {
+        return !!clone && this.runtime.targets.indexOf(clone) !== -1;
+    }
+
+    /**
+     * Remove the clone which follows the shared state.
+     * @param {string} replicaKey - Key of the replica
+     * @private
+     */
+    _removeReplica (replicaKey) {
+        const replica = this.replicas.get(replicaKey);
+        if (!replica) return;
+        this.replicas.delete(replicaKey);
+        if (this._isAlive(replica.clone)) {
+            this.runtime.disposeTarget(replica.clone);
+            this.runtime.stopForTarget(replica.clone);
+        }
+        if (this.replicas.size === 0) {
+            clearInterval(this._frameTimer);
+            this._frameTimer = null;
+        }
+    }
+
+    /**
+     * Remove the clones whose states were not refreshed in the stale timeout, and delete their states.
+     * This finds the sprites of the peers which left without a connection to this peer.
+     * @param {number} now - Current time
+     * @private
+     */
+    _removeStaleReplicas (now) {
+        Array.from(this.replicas)
+            .filter(([, replica]) => now - replica.start > this.staleTimeout)
+            .forEach(([replicaKey, replica]) => {
+                this._removeReplica(replicaKey);
+                this.mesh.deleteSharedVar(replica.key, replica.channel);
+            });
+    }
+
+    /**
+     * Get the current pose of the clone to start the interpolation.
+     * @param {Target} clone - Clone
+     * @returns {{x: number, y: number, direction: number, size: number}} Pose
+     * @private
+     */
+    _poseOf (clone) {
+        return {x: clone.x, y: clone.y, direction: clone.direction, size: clone.size};
+    }
+
+    /**
+     * Apply the costume, the visibility and the say bubble of the state which are not interpolated.
+     * @param {object} replica - Replica
+     * @param {object} state - State of the sprite
+     * @private
+     */
+    _applyLooks (replica, state) {
+        const clone = replica.clone;
+        const costumeIndex = clone.getCostumeIndexByName(state.costume);
+        if (costumeIndex >= 0 && costumeIndex !== clone.currentCostume) {
+            clone.setCostume(costumeIndex);
+        }
+        if (clone.visible !== state.visible) {
+            clone.setVisible(state.visible);
+        }
+        const bubble = JSON.stringify(state.bubble);
+        if (bubble !== replica.bubble) {
+            replica.bubble = bubble;
+            this.runtime.emit(SAY_EVENT, clone, state.bubble ? state.bubble.type : 'say',
+                state.bubble ? state.bubble.text : '');
+        }
+    }
+
+    /**
+     * Move the clone to the interpolated pose at the time.
+     * @param {object} replica - Replica
+     * @param {number} now - Current time
+     * @private
+     */
+    _move (replica, now) {
+        const duration = replica.to.interval || (1000 / this.sendRate);
+        const rate = Math.min(1, Math.max(0, (now - replica.start) / duration));
+        const {from, to, clone} = replica;
+        clone.setXY(lerp(from.x, to.x, rate), lerp(from.y, to.y, rate), true);
+        clone.setDirection(lerpDirection(from.direction, to.direction, rate));
+        clone.setSize(lerp(from.size, to.size, rate));
+    }
+
+    /**
+     * Start moving the clones.
+     * @private
+     */
+    _startMoving () {
+        if (this._frameTimer) return;
+        this._frameTimer = setInterval(() => {
+            const now = Date.now();
+            this._removeStaleReplicas(now);
+            this.replicas.forEach(replica => {
+                if (this._isAlive(replica.clone)) {
+                    this._move(replica, now);
+                }
+            });
+        }, this.frameInterval);
+    }
+}
+
+export {
+    Replicator as default,
+    isSpriteState,
+    lerpDirection
+};
@@ -0,0 +1,291 @@
+/**
+ * Prefix of the Mesh ID of the lobby peer which hosts a room.
+ * @type {string}
+ */
+const LOBBY_ID_PREFIX = 'xcx-mesh-room:';
+
+/**
+ * Class representing a room which lets peers find each other by the room name.
+ *
+ * The first member opens a lobby peer with an ID derived from the room name and becomes the host.
+ * Other members connect to the lobby with their own peer and receive the member list from the host,
+ * then open data connections to the members.
+ * When the host leaves, the remaining members try to take over the lobby ID after a random delay,
+ * and the others connect to the new host.
+ */
+class Room {
+    /**
+     * Create a room.
+     * @param {Mesh} mesh - Mesh which joins the room
+     * @param {string} name - Room name
+     */
+    constructor (mesh, name) {
+        /** @type {Mesh} Mesh which joins the room */
+        this.mesh = mesh;
+        /** @type {string} Room name */
+        this.name = name;
+        /** @type {Array<string>} Mesh IDs of the members */
+        this.members = [];
+        /** @type {boolean} True if this peer hosts the lobby */
+        this.isHost = false;
+        /** @type {Peer|null} Lobby peer when this peer is the host */
+        this.lobbyPeer = null;
+        /** @type {Map<string, DataConnection>} Connections from the members when this peer is the host */
+        this.memberConnections = new Map();
+        /** @type {DataConnection|null} Connection to the host */
+        this.hostConnection = null;
+        /** @type {Set<string>} Mesh IDs of the members which are being connected */
+        this.dialing = new Set();
+        /** @type {boolean} True after leaving the room */
+        this.left = false;
+        /** @type {number} Max milliseconds to wait before taking over the host */
+        this.handOffDelay = 500;
+        /** @type {number} Milliseconds to give up connecting to the host */
+        this.hostConnectionTimeout = 5000;
+        /** @type {?number} Timer to take over the host */
+        this._handOffTimer = null;
+        /** @type {?Function} Resolver of the join process */
+        this._onJoined = null;
+        /** @type {?Function} Rejecter of the join process */
+        this._onJoinFailed = null;
+    }
+
+    /**
+     * Mesh ID of the lobby peer of this room
+     * @type {string}
+     */
+    get lobbyID () {
+        return `${LOBBY_ID_PREFIX}${this.name}`;
+    }
+
+    /**
+     * Join the room.
+     * @returns {Promise<void>} Promise that resolves when this peer got the member list
+     */
+    join () {
+        return new Promise((resolve, reject) => {
+            this._onJoined = resolve;
+            this._onJoinFailed = reject;
+            this._claimHost();
+        });
+    }
+
+    /**
+     * Leave the room and close the lobby.
+     * Data connections to the members are kept.
+     */
+    leave () {
+        this.left = true;
+        clearTimeout(this._handOffTimer);
+        if (this.lobbyPeer) {
+            this.lobbyPeer.destroy();
+            this.lobbyPeer = null;
+        }
+        if (this.hostConnection) {
+            const connection = this.hostConnection;
+            this.hostConnection = null;
+            connection.close();
+        }
+        this.memberConnections.clear();
+        this.isHost = false;
+        this._setMembers([]);
+    }
+
+    /**
+     * Try to open the lobby peer and become the host.
+     * If another peer has the lobby, connect to it as a member.
+     * @private
+     */
+    _claimHost () {
+        if (this.left) return;
+        const transport = this.mesh.transport;
+        const lobby = transport.createPeer(transport.encodeID(this.lobbyID), this.mesh.peerOptions());
+        lobby.on('open', () => {
+            if (this.left) {
+                lobby.destroy();
+                return;
+            }
+            this.lobbyPeer = lobby;
+            this.isHost = true;
+            lobby.on('connection', connection => this._acceptMember(connection));
+            this._setMembers(this._hostedMembers());
+            this._joined();
+        });
+        lobby.on('error', err => {
+            if (this.lobbyPeer === lobby) return;
+            lobby.destroy();
+            if (err.type === 'unavailable-id') {
+                this._connectToHost();
+            } else {
+                this._failed(err);
+            }
+        });
+    }
+
+    /**
+     * Connect to the lobby as a member.
+     * @private
+     */
+    _connectToHost () {
+        if (this.left) return;
+        const transport = this.mesh.transport;
+        const connection = this.mesh.peer.connect(transport.encodeID(this.lobbyID));
+        this.hostConnection = connection;
+        let timeoutTimer = null;
+        const lost = () => {
+            clearTimeout(timeoutTimer);
+            if (this.hostConnection !== connection) return;
+            this.hostConnection = null;
+            connection.close();
+            this._scheduleHandOff();
+        };
+        timeoutTimer = setTimeout(() => {
+            if (!connection.open) lost();
+        }, this.hostConnectionTimeout);
+        connection.on('open', () => {
+            clearTimeout(timeoutTimer);
+            connection.send({
+                sender: this.mesh.id,
+                time: Date.now(),
+                type: 'room',
+                command: 'join',
+                id: this.mesh.id
+            });
+        });
+        connection.on('data', data => {
+            if (data.type === 'room' && data.command === 'members') {
+                this._setMembers(data.members);
+                this._connectMembers();
+                this._joined();
+            }
+        });
+        connection.on('close', lost);
+        connection.on('error', lost);
+    }
+
+    /**
+     * Wait for a random delay then try to take over the host.
+     * The random delay avoids that all members claim the lobby at once.
+     * @private
+     */
+    _scheduleHandOff () {
+        if (this.left) return;
+        clearTimeout(this._handOffTimer);
+        this._handOffTimer = setTimeout(() => this._claimHost(), Math.random() * this.handOffDelay);
+    }
+
+    /**
+     * Handle a connection from a member to the lobby.
+     * @param {DataConnection} connection - Connection from the member
+     * @private
+     */
+    _acceptMember (connection) {
+        let memberID = null;
+        connection.on('data', data => {
+            if (data.type === 'room' && data.command === 'join') {
+                memberID = data.id;
+                this.memberConnections.set(memberID, connection);
+                this._broadcastMembers();
+            }
+        });
+        connection.on('close', () => {
+            if (memberID && this.memberConnections.get(memberID) === connection) {
+                this.memberConnections.delete(memberID);
+                this._broadcastMembers();
+            }
+        });
+    }
+
+    /**
+     * Members of the room which this peer hosts
+     * @returns {Array<string>} Mesh IDs of the members
+     * @private
+     */
+    _hostedMembers () {
+        return [this.mesh.id].concat(Array.from(this.memberConnections.keys()));
+    }
+
+    /**
+     * Send the member list to all members.
+     * @private
+     */
+    _broadcastMembers () {
+        if (!this.isHost) return;
+        const members = this._hostedMembers();
+        this._setMembers(members);
+        const data = {
+            sender: this.mesh.id,
+            time: Date.now(),
+            type: 'room',
+            command: 'members',
+            members: members
+        };
+        this.memberConnections.forEach(connection => {
+            if (connection.open) {
+                connection.send(data);
+            }
+        });
+        this._connectMembers();
+    }
+
+    /**
+     * Open data connections to the members.
+     * Only the member with the smaller ID connects, so each pair is connected once.
+     * @private
+     */
+    _connectMembers () {
+        this.members.forEach(memberID => {
+            if (memberID <= this.mesh.id) return;
+            if (this.dialing.has(memberID) || this.mesh.isDataConnectionOpen(memberID)) return;
+            this.dialing.add(memberID);
+            this.mesh.openDataConnection(memberID)
+                .catch(() => {
+                    // The member may have left before connecting.
+                })
+                .then(() => {
+                    this.dialing.delete(memberID);
+                });
+        });
+    }
+
+    /**
+     * Update the member list and notify the change.
+     * @param {Array<string>} members - Mesh IDs of the members
+     * @private
+     */
+    _setMembers (members) {
+        const sorted = members.slice().sort();
+        if (sorted.join('\n') === this.members.join('\n')) return;
+        this.members = sorted;
+        this.mesh._dispatchMeshEvent({
+            type: 'roomMembersChanged',
+            data: this.name,
+            members: sorted.slice()
+        });
+    }
+
+    /**
+     * Finish the join process successfully.
+     * @private
+     */
+    _joined () {
+        if (!this._onJoined) return;
+        this._onJoined();
+        this._onJoined = null;
+        this._onJoinFailed = null;
+    }
+
+    /**
+     * Finish the join process with an error.
+     * @param {Error} err - Error
+     * @private
+     */
+    _failed (err) {
+        if (!this._onJoinFailed) return;
+        this._onJoinFailed(err);
+        this._onJoined = null;
+        this._onJoinFailed = null;
+    }
+}
+
+export default Room;
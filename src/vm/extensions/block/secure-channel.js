@@ -0,0 +1,330 @@
+import Emitter from './emitter';
+
+/**
+ * Functions and a connection wrapper to protect data connections with a passphrase.
+ *
+ * Keys are derived from the passphrase with PBKDF2 of WebCrypto for each connection,
+ * salted with the random nonces of both peers, so keys cannot be computed in advance for a passphrase.
+ * Peers prove that they know the passphrase by HMAC of random challenges,
+ * so the passphrase never travels, then the payloads are encrypted with AES-GCM.
+ */
+
+/**
+ * Prefix of the salt to derive the keys from a passphrase.
+ * @type {string}
+ */
+const KEY_SALT_PREFIX = 'xcx-mesh';
+
+/**
+ * Iterations of PBKDF2 to derive the keys.
+ * @type {number}
+ */
+const KEY_ITERATIONS = 100000;
+
+/**
+ * Return the WebCrypto API.
+ * @returns {SubtleCrypto} subtle crypto
+ */
+const subtleCrypto = function () {
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+        throw new Error('WebCrypto is not available, a secure context (https) is required');
+    }
+    return crypto.subtle;
+};
+
+/**
+ * Encode bytes to a base64 text.
+ * @param {ArrayBuffer|Uint8Array} bytes - bytes
+ * @returns {string} base64 text
+ */
+const toBase64 = function (bytes) {
+    const array = new Uint8Array(bytes);
+    let binary = '';
+    for (let i = 0; i < array.length; i++) {
+        binary += String.fromCharCode(array[i]);
+    }
+    return btoa(binary);
+};
+
+/**
+ * Decode a base64 text to bytes.
+ * @param {string} text - base64 text
+ * @returns {Uint8Array} bytes
+ */
+const fromBase64 = function (text) {
+    const binary = atob(text);
+    const array = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        array[i] = binary.charCodeAt(i);
+    }
+    return array;
+};
+
+/**
+ * Make a random nonce.
+ * @returns {string} base64 text of random bytes
+ */
+const randomNonce = function () {
+    return toBase64(crypto.getRandomValues(new Uint8Array(16)));
+};
+
+/**
+ * Derive the keys for authentication and encryption from a passphrase.
+ * @param {string} passphrase - shared secret
+ * @param {string} salt - text which is unique to the connection, like the nonces of both peers
+ * @returns {Promise<{hmacKey: CryptoKey, aesKey: CryptoKey}>} derived keys
+ */
+const deriveKeys = async function (passphrase, salt) {
+    const subtle = subtleCrypto();
+    const encoder = new TextEncoder();
+    const baseKey = await subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+    const bits = await subtle.deriveBits(
+        {
+            name: 'PBKDF2',
+            salt: encoder.encode(`${KEY_SALT_PREFIX}:${salt}`),
+            iterations: KEY_ITERATIONS,
+            hash: 'SHA-256'
+        },
+        baseKey,
+        512
+    );
+    const hmacKey = await subtle.importKey(
+        'raw', bits.slice(0, 32), {name: 'HMAC', hash: 'SHA-256'}, false, ['sign', 'verify']);
+    const aesKey = await subtle.importKey(
+        'raw', bits.slice(32, 64), {name: 'AES-GCM'}, false, ['encrypt', 'decrypt']);
+    return {hmacKey, aesKey};
+};
+
+/**
+ * Make a proof of the passphrase for the challenge.
+ * @param {CryptoKey} hmacKey - key for authentication
+ * @param {string} challenge - text which contains the nonces of both peers
+ * @returns {Promise<string>} base64 text of the HMAC
+ */
+const signChallenge = async function (hmacKey, challenge) {
+    const signature = await subtleCrypto().sign('HMAC', hmacKey, new TextEncoder().encode(challenge));
+    return toBase64(signature);
+};
+
+/**
+ * Verify a proof of the passphrase for the challenge.
+ * @param {CryptoKey} hmacKey - key for authentication
+ * @param {string} challenge - text which contains the nonces of both peers
+ * @param {string} proof - base64 text of the HMAC
+ * @returns {Promise<boolean>} true if the proof is valid
+ */
+const verifyChallenge = function (hmacKey, challenge, proof) {
+    if (typeof proof !== 'string') return Promise.resolve(false);
+    return subtleCrypto().verify('HMAC', hmacKey, fromBase64(proof), new TextEncoder().encode(challenge))
+        .catch(() => false);
+};
+
+/**
+ * Data connection which encrypts the payloads of another data connection with AES-GCM.
+ * It has the same API as the DataConnection of PeerJS which Mesh uses.
+ * Received payloads are given by 'receive()', so messages which arrived during the handshake are not lost.
+ */
+class SecureDataConnection extends Emitter {
+    /**
+     * Create a secure data connection.
+     * @param {DataConnection} connection - connection to protect
+     * @param {CryptoKey} aesKey - key for encryption
+     */
+    constructor (connection, aesKey) {
+        super();
+        /** @type {DataConnection} connection to protect */
+        this.connection = connection;
+        /** @type {CryptoKey} key for encryption */
+        this.aesKey = aesKey;
+        /** @type {Promise} queue to keep the order of sending */
+        this._sending = Promise.resolve();
+        /** @type {Promise} queue to keep the order of receiving */
+        this._receiving = Promise.resolve();
+        connection.on('close', () => this.emit('close'));
+        connection.on('error', err => this.emit('error', err));
+    }
+
+    /**
+     * ID of the remote peer
+     * @type {string}
+     */
+    get peer () {
+        return this.connection.peer;
+    }
+
+    /**
+     * True if the connection is open
+     * @type {boolean}
+     */
+    get open () {
+        return this.connection.open;
+    }
+
+    /**
+     * Encrypt and send data.
+     * @param {any} data - data to send
+     */
+    send (data) {
+        this._sending = this._sending
+            .then(async () => {
+                const iv = crypto.getRandomValues(new Uint8Array(12));
+                const plain = new TextEncoder().encode(JSON.stringify(data));
+                const cipher = await subtleCrypto().encrypt({name: 'AES-GCM', iv: iv}, this.aesKey, plain);
+                if (!this.connection.open) return;
+                this.connection.send({
+                    type: 'sealed',
+                    iv: toBase64(iv),
+                    cipher: toBase64(cipher)
+                });
+            })
+            .catch(err => this.emit('error', err));
+    }
+
+    /**
+     * Decrypt a payload from the remote peer and emit it as 'data'.
+     * @param {object} payload - 'sealed' message
+     */
+    receive (payload) {
+        this._receiving = this._receiving
+            .then(async () => {
+                if (!payload || payload.type !== 'sealed') {
+                    throw new Error('Received data which is not encrypted');
+                }
+                const plain = await subtleCrypto().decrypt(
+                    {name: 'AES-GCM', iv: fromBase64(payload.iv)},
+                    this.aesKey,
+                    fromBase64(payload.cipher)
+                );
+                this.emit('data', JSON.parse(new TextDecoder().decode(plain)));
+            })
+            .catch(err => this.emit('error', err));
+    }
+
+    /**
+     * Close the connection.
+     */
+    close () {
+        this.connection.close();
+    }
+}
+
+/**
+ * Prove the passphrase to each other on a new connection and protect it.
+ * The accepting peer sends a challenge, the dialing peer answers with its proof and a challenge,
+ * then the accepting peer answers with its proof.
+ * The keys of the connection are derived when both nonces are known, with the nonces as the salt.
+ * Messages which arrived after the proof are passed to the secure connection in order.
+ * It fails at once when the connection closes or fails before the proof.
+ * @param {DataConnection} connection - open connection
+ * @param {string} passphrase - shared secret
+ * @param {boolean} accepting - true on the peer which accepted the connection
+ * @param {number} timeout - milliseconds to give up
+ * @returns {Promise<SecureDataConnection>} Promise that resolves with the secure connection
+ */
+const authenticate = function (connection, passphrase, accepting, timeout) {
+    return new Promise((resolve, reject) => {
+        const localNonce = randomNonce();
+        let remoteNonce = null;
+        let keys = null;
+        let secure = null;
+        let finished = false;
+        let queue = Promise.resolve();
+        let timer = null;
+        let onData = null;
+        let onClose = null;
+        let onError = null;
+        const stopWatching = () => {
+            clearTimeout(timer);
+            connection.off('close', onClose);
+            connection.off('error', onError);
+        };
+        const control = (command, fields) => {
+            connection.send(Object.assign({time: Date.now(), type: 'control', command: command}, fields));
+        };
+        const noncesOf = () => (accepting ?
+            `${localNonce}:${remoteNonce}` :
+            `${remoteNonce}:${localNonce}`);
+        const challengeOf = role => `${role}:${noncesOf()}`;
+        const receiveNonce = nonce => {
+            if (typeof nonce !== 'string') {
+                throw new Error('Remote peer sent no nonce');
+            }
+            remoteNonce = nonce;
+            keys = deriveKeys(passphrase, noncesOf());
+            return keys;
+        };
+        const fail = err => {
+            if (finished) return;
+            finished = true;
+            stopWatching();
+            connection.off('data', onData);
+            reject(err);
+        };
+        const succeed = async () => {
+            secure = new SecureDataConnection(connection, (await keys).aesKey);
+            finished = true;
+            stopWatching();
+            resolve(secure);
+        };
+        const step = async data => {
+            if (secure) {
+                secure.receive(data);
+                return;
+            }
+            if (finished) return;
+            if (!data || data.type !== 'control') {
+                throw new Error('Remote peer does not use a passphrase');
+            }
+            if (data.command === 'authFailed') {
+                throw new Error('Passphrase does not match');
+            }
+            if (accepting && data.command === 'response') {
+                const {hmacKey} = await receiveNonce(data.nonce);
+                if (!(await verifyChallenge(hmacKey, challengeOf('dialer'), data.proof))) {
+                    control('authFailed', {});
+                    throw new Error('Passphrase does not match');
+                }
+                control('proof', {proof: await signChallenge(hmacKey, challengeOf('acceptor'))});
+                await succeed();
+            } else if (!accepting && data.command === 'challenge') {
+                const {hmacKey} = await receiveNonce(data.nonce);
+                control('response', {
+                    nonce: localNonce,
+                    proof: await signChallenge(hmacKey, challengeOf('dialer'))
+                });
+            } else if (!accepting && data.command === 'proof' && keys) {
+                const {hmacKey} = await keys;
+                if (!(await verifyChallenge(hmacKey, challengeOf('acceptor'), data.proof))) {
+                    throw new Error('Passphrase does not match');
+                }
+                await succeed();
+            } else {
+                throw new Error('Remote peer does not use a passphrase');
+            }
+        };
+        onData = data => {
+            queue = queue.then(() => step(data)).catch(fail);
+        };
+        onClose = () => fail(new Error('Connection closed during authentication'));
+        onError = err => fail(err);
+        timer = setTimeout(() => fail(new Error('Authentication timed out')), timeout);
+        connection.on('data', onData);
+        connection.on('close', onClose);
+        connection.on('error', onError);
+        if (accepting) {
+            control('challenge', {nonce: localNonce});
+        }
+    });
+};
+
+export {
+    authenticate,
+    deriveKeys,
+    fromBase64,
+    randomNonce,
+    signChallenge,
+    subtleCrypto,
+    toBase64,
+    verifyChallenge,
+    SecureDataConnection
+};
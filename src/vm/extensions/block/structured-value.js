@@ -0,0 +1,84 @@
+/**
+ * Functions to handle structured values in shared variables and events.
+ */
+
+/**
+ * Parse a JSON text of an object or an array.
+ * Other values are returned as they are.
+ * @param {any} value - value which may be a JSON text
+ * @returns {any} parsed value or the original value
+ */
+const parseJSONValue = function (value) {
+    if (typeof value !== 'string') return value;
+    const text = value.trim();
+    if (!(text.startsWith('{') || text.startsWith('['))) return value;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return value;
+    }
+};
+
+/**
+ * Split a path like 'players[0].name' or 'players.0.name' to its keys.
+ * @param {string} path - path in the value
+ * @returns {Array<string>} keys in the path
+ */
+const splitPath = function (path) {
+    return String(path)
+        .replace(/\[([^\]]*)\]/g, '.$1')
+        .split('.')
+        .map(key => key.trim())
+        .filter(key => key !== '');
+};
+
+/**
+ * Get the value at the path in a structured value.
+ * A JSON text is parsed before looking up the path.
+ * @param {any} value - structured value
+ * @param {string} path - path in the value, empty path returns the whole value
+ * @returns {any} value at the path, or undefined if it was not found
+ */
+const valueAtPath = function (value, path) {
+    let current = parseJSONValue(value);
+    for (const key of splitPath(path)) {
+        current = parseJSONValue(current);
+        if (current === null || typeof current !== 'object') return;
+        if (!Object.prototype.hasOwnProperty.call(current, key)) return;
+        current = current[key];
+    }
+    return current;
+};
+
+/**
+ * Convert a value to be reported by a Scratch reporter.
+ * Numbers and booleans are kept, objects and arrays are converted to JSON text.
+ * @param {any} value - value to report
+ * @returns {string|number|boolean} value for Scratch
+ */
+const toScratchValue = function (value) {
+    if (value === null || typeof value === 'undefined') return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+};
+
+/**
+ * Convert a value to the items of a Scratch list.
+ * An array or a JSON text of an array gives its items, other values are given as one item.
+ * @param {any} value - value to put in a list
+ * @returns {Array<string|number|boolean>} items for Scratch
+ */
+const toScratchList = function (value) {
+    const parsed = parseJSONValue(value);
+    const items = Array.isArray(parsed) ? parsed : [parsed];
+    return items
+        .filter(item => item !== null && typeof item !== 'undefined')
+        .map(item => toScratchValue(item));
+};
+
+export {
+    parseJSONValue,
+    valueAtPath,
+    toScratchValue,
+    toScratchList
+};
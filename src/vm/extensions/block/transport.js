@@ -0,0 +1,62 @@
+/**
+ * Base class of the transport which carries the Mesh network.
+ *
+ * A transport creates peer objects which follow the API of PeerJS `Peer`:
+ * - `on(event, listener)` / `off(event, listener)` for 'open', 'connection', 'disconnected', 'close' and 'error'
+ * - `connect(peerID)` returns a data connection
+ * - `disconnect()`, `reconnect()`, `destroy()`
+ * - `disconnected` / `destroyed` state flags
+ *
+ * A data connection follows the API of PeerJS `DataConnection`:
+ * - `on(event, listener)` / `off(event, listener)` for 'open', 'data', 'close' and 'error'
+ * - `send(data)`, `close()`
+ * - `peer` (remote peer ID) and `open` state
+ */
+class Transport {
+    /**
+     * Name of this transport to show to the user.
+     * @type {string}
+     */
+    get name () {
+        return 'transport';
+    }
+
+    /**
+     * Load what this transport needs before creating a peer.
+     * @returns {Promise<void>} resolves when the transport is ready
+     */
+    load () {
+        return Promise.resolve();
+    }
+
+    /**
+     * Create a peer object which is signaling with the ID.
+     * @param {string} peerID - ID of the peer on this transport
+     * @param {object} options - options for the peer
+     * @returns {object} peer object
+     * @abstract
+     */
+    createPeer () {
+        throw new Error('createPeer is not implemented');
+    }
+
+    /**
+     * Encode a Mesh ID to an ID on this transport.
+     * @param {string} meshID - Mesh ID
+     * @returns {string} ID on this transport
+     */
+    encodeID (meshID) {
+        return meshID;
+    }
+
+    /**
+     * Decode an ID on this transport to a Mesh ID.
+     * @param {string} peerID - ID on this transport
+     * @returns {string} Mesh ID
+     */
+    decodeID (peerID) {
+        return peerID;
+    }
+}
+
+export default Transport;
@@ -0,0 +1,87 @@
+/**
+ * Functions for version vectors which track writes of shared variables.
+ * A version vector is an object which maps Mesh ID to the number of writes by the peer.
+ */
+
+/**
+ * Order of two version vectors.
+ * @enum {string}
+ */
+const ClockOrder = {
+    BEFORE: 'before',
+    AFTER: 'after',
+    EQUAL: 'equal',
+    CONCURRENT: 'concurrent'
+};
+
+/**
+ * Return a version vector which counted a write by the peer.
+ * @param {object} clock - version vector
+ * @param {string} id - Mesh ID of the writer
+ * @returns {object} new version vector
+ */
+const incrementClock = function (clock, id) {
+    const next = Object.assign({}, clock);
+    next[id] = (next[id] || 0) + 1;
+    return next;
+};
+
+/**
+ * Return a version vector which includes all writes of both.
+ * @param {object} a - version vector
+ * @param {object} b - version vector
+ * @returns {object} merged version vector
+ */
+const mergeClocks = function (a, b) {
+    const merged = Object.assign({}, a);
+    Object.keys(b).forEach(id => {
+        merged[id] = Math.max(merged[id] || 0, b[id]);
+    });
+    return merged;
+};
+
+/**
+ * Compare two version vectors.
+ * @param {object} a - version vector
+ * @param {object} b - version vector
+ * @returns {ClockOrder} order of 'a' against 'b'
+ */
+const compareClocks = function (a, b) {
+    let aHasMore = false;
+    let bHasMore = false;
+    const ids = new Set(Object.keys(a).concat(Object.keys(b)));
+    ids.forEach(id => {
+        const countA = a[id] || 0;
+        const countB = b[id] || 0;
+        if (countA > countB) aHasMore = true;
+        if (countA < countB) bHasMore = true;
+    });
+    if (aHasMore && bHasMore) return ClockOrder.CONCURRENT;
+    if (aHasMore) return ClockOrder.AFTER;
+    if (bHasMore) return ClockOrder.BEFORE;
+    return ClockOrder.EQUAL;
+};
+
+/**
+ * Compare two writes by last-writer-wins.
+ * The later time wins and the greater sender ID breaks a tie,
+ * so every peer chooses the same write.
+ * @param {{time: number, sender: string}} a - write
+ * @param {{time: number, sender: string}} b - write
+ * @returns {number} positive if 'a' wins, negative if 'b' wins, 0 if they are the same write
+ */
+const compareWrites = function (a, b) {
+    if (a.time !== b.time) return a.time - b.time;
+    const senderA = String(a.sender);
+    const senderB = String(b.sender);
+    if (senderA === senderB) return 0;
+    return senderA > senderB ? 1 : -1;
+};
+
+export {
+    ClockOrder,
+    incrementClock,
+    mergeClocks,
+    compareClocks,
+    compareWrites
+};
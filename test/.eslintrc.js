@@ -8,6 +8,7 @@ module.exports = {
     mocha: true,
   },
   parserOptions: {
+    ecmaVersion: 2020,
     sourceType: "module",
   },
 };
@@ -0,0 +1,178 @@
+import { describe, it, afterEach } from "mocha";
+import { expect } from "chai";
+import Mesh from "../../src/vm/extensions/block/mesh.js";
+import Bindings, { BINDINGS_VARIABLE_NAME, BINDINGS_VARIABLE_TYPE } from "../../src/vm/extensions/block/bindings.js";
+import LoopbackTransport from "../../src/vm/extensions/block/loopback-transport.js";
+import { waitFor, sleep } from "./helpers.js";
+
+/**
+ * Make a target which looks up its own variables then the stage's ones like Scratch.
+ * @param {string} name - name of the target
+ * @param {?object} stage - the stage target, null for the stage itself
+ * @returns {object} target
+ */
+const makeTarget = (name, stage) => {
+    const target = {
+        variables: {},
+        getName: () => name,
+        createVariable: (id, variableName, type) => {
+            target.variables[id] = {id, name: variableName, type, value: type === "list" ? [] : 0};
+        },
+        lookupVariableByNameAndType: (variableName, type, skipStage) => {
+            const found = Object.values(target.variables)
+                .find(variable => variable.name === variableName && variable.type === type);
+            if (found || skipStage || !stage) return found;
+            return stage.lookupVariableByNameAndType(variableName, type);
+        }
+    };
+    return target;
+};
+
+/**
+ * Make a runtime with a stage and a sprite.
+ * @returns {object} runtime
+ */
+const makeRuntime = () => {
+    const stage = makeTarget("Stage", null);
+    const sprite = makeTarget("Cat", stage);
+    const handlers = {};
+    return {
+        stage,
+        sprite,
+        handlers,
+        on: (event, handler) => {
+            handlers[event] = handler;
+        },
+        getTargetForStage: () => stage,
+        getSpriteTargetByName: name => (name === "Cat" ? sprite : null)
+    };
+};
+
+describe("Bindings", () => {
+    let meshes = [];
+    let bindingsList = [];
+
+    const openMeshes = async (network, ids) => {
+        const opened = ids.map(() => new Mesh(network));
+        meshes = meshes.concat(opened);
+        await Promise.all(opened.map((mesh, i) => mesh.openPeer(ids[i])));
+        return opened;
+    };
+
+    const makeBindings = (runtime, mesh) => {
+        const bindings = new Bindings(runtime, mesh);
+        bindings.syncInterval = 5;
+        bindingsList.push(bindings);
+        return bindings;
+    };
+
+    afterEach(() => {
+        bindingsList.forEach(bindings => bindings._stop());
+        bindingsList = [];
+        meshes.forEach(mesh => mesh.closePeer());
+        meshes = [];
+    });
+
+    it("should share changes of the variable", async () => {
+        const runtime = makeRuntime();
+        runtime.sprite.createVariable("v1", "x", "");
+        const mesh = new Mesh(new LoopbackTransport());
+        const bindings = makeBindings(runtime, mesh);
+        bindings.bind(runtime.sprite, "x", "", "x position");
+        expect(mesh.sharedVar("x position")).to.equal(0);
+        runtime.sprite.variables.v1.value = 42;
+        await waitFor(() => mesh.sharedVar("x position") === 42);
+    });
+
+    it("should write changes by other peers into the variables", async () => {
+        const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+        await a.openDataConnection("b");
+        await sleep(20);
+        const runtime = makeRuntime();
+        runtime.stage.createVariable("v1", "score", "");
+        runtime.stage.createVariable("l1", "hand", "list");
+        const bindings = makeBindings(runtime, b);
+        b.addMeshEventListener(event => {
+            if (event.type === "sharedVarChanged") bindings.onSharedVarChanged(event);
+        });
+        bindings.bind(runtime.sprite, "score", "", "score");
+        bindings.bind(runtime.sprite, "hand", "list", "cards");
+        await sleep(20);
+        a.setSharedVar("score", 7);
+        a.setSharedVar("cards", ["A", {suit: "spade"}]);
+        await waitFor(() => runtime.stage.variables.l1.value.length === 2);
+        expect(runtime.stage.variables.v1.value).to.equal(7);
+        expect(runtime.stage.variables.l1.value).to.deep.equal(["A", "{\"suit\":\"spade\"}"]);
+        a.deleteSharedVar("score");
+        await waitFor(() => runtime.stage.variables.v1.value === "");
+        await sleep(20);
+        // The written values are not shared back as local changes.
+        expect(b.sharedVarSender("cards")).to.equal("a");
+    });
+
+    it("should take the shared value when the variable is bound", () => {
+        const runtime = makeRuntime();
+        runtime.sprite.createVariable("v1", "x", "");
+        const mesh = new Mesh(new LoopbackTransport());
+        mesh.setSharedVar("x", "shared");
+        const bindings = makeBindings(runtime, mesh);
+        bindings.bind(runtime.sprite, "x", "", "x");
+        expect(runtime.sprite.variables.v1.value).to.equal("shared");
+    });
+
+    it("should save the bindings in the stage and restore them on load", async () => {
+        const runtime = makeRuntime();
+        runtime.sprite.createVariable("v1", "x", "");
+        const mesh = new Mesh(new LoopbackTransport());
+        const bindings = makeBindings(runtime, mesh);
+        bindings.bind(runtime.sprite, "x", "", "x", "game");
+        expect(runtime.stage.lookupVariableByNameAndType(BINDINGS_VARIABLE_NAME, "")).to.equal(undefined);
+        const saved = runtime.stage.lookupVariableByNameAndType(BINDINGS_VARIABLE_NAME, BINDINGS_VARIABLE_TYPE);
+        expect(JSON.parse(saved.value)).to.deep.equal([
+            {target: "Cat", name: "x", type: "", key: "x", channel: "game"}
+        ]);
+
+        const loadedMesh = new Mesh(new LoopbackTransport());
+        const loaded = makeBindings(runtime, loadedMesh);
+        runtime.handlers.PROJECT_LOADED();
+        expect(loaded.bindings.map(binding => binding.key)).to.deep.equal(["x"]);
+        runtime.sprite.variables.v1.value = 5;
+        await waitFor(() => loadedMesh.sharedVar("x", "game") === 5);
+    });
+
+    it("should hide the bindings variable of a loaded project from the palette", () => {
+        const runtime = makeRuntime();
+        runtime.sprite.createVariable("v1", "x", "");
+        // A project file keeps the bindings variable as a plain variable.
+        runtime.stage.createVariable("b1", BINDINGS_VARIABLE_NAME, "");
+        runtime.stage.variables.b1.value = JSON.stringify([{target: "Cat", name: "x", type: "", key: "x", channel: ""}]);
+        let updates = 0;
+        runtime.requestBlocksUpdate = () => {
+            updates++;
+        };
+        const loaded = makeBindings(runtime, new Mesh(new LoopbackTransport()));
+        runtime.handlers.PROJECT_LOADED();
+        expect(loaded.bindings.map(binding => binding.key)).to.deep.equal(["x"]);
+        expect(runtime.stage.variables.b1.type).to.equal(BINDINGS_VARIABLE_TYPE);
+        expect(updates).to.equal(1);
+    });
+
+    it("should stop syncing the key", async () => {
+        const runtime = makeRuntime();
+        runtime.sprite.createVariable("v1", "x", "");
+        const mesh = new Mesh(new LoopbackTransport());
+        const bindings = makeBindings(runtime, mesh);
+        bindings.bind(runtime.sprite, "x", "", "x");
+        expect(bindings.unbind("x")).to.equal(true);
+        expect(bindings.unbind("x")).to.equal(false);
+        runtime.sprite.variables.v1.value = 9;
+        await sleep(20);
+        expect(mesh.sharedVar("x")).to.equal(0);
+    });
+
+    it("should throw for a variable which is not found", () => {
+        const runtime = makeRuntime();
+        const bindings = makeBindings(runtime, new Mesh(new LoopbackTransport()));
+        expect(() => bindings.bind(runtime.sprite, "none", "list", "x")).to.throw("List \"none\" is not found");
+    });
+});
@@ -19,4 +19,516 @@ describe("blockClass", () => {
         const result = block.doIt({SCRIPT: "3 + 4"});
         expect(result).to.equal(7);
     });
+
+    describe("list sharing", () => {
+        const makeTarget = lists => ({
+            lookupVariableByNameAndType: (name, type) => (type === "list" ? lists[name] : null)
+        });
+
+        it("should share the items of the list as an array", () => {
+            const block = new blockClass(runtime);
+            const list = {name: "hand", value: ["A", 2, "K"]};
+            block.setSharedVarToList({KEY: "cards", LIST: "hand"}, {target: makeTarget({hand: list})});
+            expect(block.mesh.sharedVar("cards")).to.deep.equal(["A", 2, "K"]);
+            list.value.push("Q");
+            expect(block.mesh.sharedVar("cards")).to.have.lengthOf(3);
+        });
+
+        it("should copy the shared array to the list", () => {
+            const block = new blockClass(runtime);
+            const list = {name: "hand", value: []};
+            block.mesh.setSharedVar("cards", ["A", 2, {suit: "spade"}]);
+            block.copySharedVarToList({KEY: "cards", LIST: "hand"}, {target: makeTarget({hand: list})});
+            expect(list.value).to.deep.equal(["A", 2, "{\"suit\":\"spade\"}"]);
+        });
+
+        it("should report numbers and booleans as they are", () => {
+            const block = new blockClass(runtime);
+            block.setSharedVar({KEY: "n", VALUE: 0});
+            block.setSharedVar({KEY: "b", VALUE: true});
+            expect(block.sharedVar({KEY: "n"})).to.equal(0);
+            expect(block.sharedVar({KEY: "b"})).to.equal(true);
+            expect(block.sharedVar({KEY: "none"})).to.equal("");
+        });
+    });
+
+    describe("connection lifecycle", () => {
+        const makeRuntime = started => ({
+            formatMessage: runtime.formatMessage,
+            startHats: opcode => {
+                const thread = {opcode};
+                started.push(thread);
+                return [thread];
+            }
+        });
+
+        it("should start the hat with the remote ID of the event", () => {
+            const started = [];
+            const block = new blockClass(makeRuntime(started));
+            block.onMeshEvent({type: "dataConnectionClosed", data: "player2"});
+            expect(started.map(thread => thread.opcode)).to.deep.equal(["xcxMesh_whenDataConnectionClosed"]);
+            expect(block.connectionEventPeerID({}, {thread: started[0]})).to.equal("player2");
+            expect(block.connectionEventError({}, {thread: started[0]})).to.equal("");
+        });
+
+        it("should report the error message of the event", () => {
+            const started = [];
+            const block = new blockClass(makeRuntime(started));
+            block.onMeshEvent({type: "dataConnectionError", data: "player2", error: new Error("lost")});
+            expect(block.connectionEventError({}, {thread: started[0]})).to.equal("lost");
+        });
+
+        it("should start both opened and requested hats for an accepted connection", () => {
+            const started = [];
+            const block = new blockClass(makeRuntime(started));
+            block.onMeshEvent({type: "dataConnectionRequested", data: "player2"});
+            expect(started.map(thread => thread.opcode)).to.have.members([
+                "xcxMesh_whenDataConnectionOpened",
+                "xcxMesh_whenDataConnectionRequested"
+            ]);
+        });
+    });
+
+    describe("variable changes", () => {
+        it("should copy all keys to the list", () => {
+            const block = new blockClass(runtime);
+            const list = {name: "keys", value: ["old"]};
+            block.mesh.setSharedVar("x,y", 1);
+            block.mesh.setSharedVar("z", 2);
+            block.mesh.deleteSharedVar("z");
+            const target = {lookupVariableByNameAndType: () => list};
+            block.copySharedVarKeysToList({LIST: "keys"}, {target});
+            expect(list.value).to.deep.equal(["x,y"]);
+        });
+
+        it("should run the hat of the changed key", () => {
+            const started = [];
+            const block = new blockClass(Object.assign({
+                startHats: opcode => {
+                    const thread = {opcode};
+                    started.push(thread);
+                    return [thread];
+                }
+            }, runtime));
+            block.mesh._applySharedVar({type: "var", key: "score", value: 3, sender: "b", time: 1, clock: {b: 1}});
+            expect(started.map(thread => thread.opcode)).to.deep.equal(["xcxMesh_whenSharedVarChanged"]);
+            expect(block.whenSharedVarChanged({KEY: "score"}, {thread: started[0]})).to.equal(true);
+            expect(block.whenSharedVarChanged({KEY: "name"}, {thread: started[0]})).to.equal(false);
+            expect(block.sharedVarSender({KEY: "score"})).to.equal("b");
+        });
+    });
+
+    describe("media", () => {
+        it("should report the media which arrived in the thread", () => {
+            const started = [];
+            const block = new blockClass(Object.assign({
+                startHats: opcode => {
+                    const thread = {opcode};
+                    started.push(thread);
+                    return [thread];
+                }
+            }, runtime));
+            block.onMeshEvent({
+                type: "payloadProgress",
+                data: "t1",
+                meta: {kind: "costume", name: "avatar", sprite: "Cat"},
+                loaded: 50,
+                total: 200
+            });
+            expect(block.mediaTransferProgress()).to.equal(25);
+            block.onMeshEvent({
+                type: "payloadError",
+                data: "t1",
+                sender: "b",
+                meta: {kind: "costume", name: "avatar", sprite: "Cat"},
+                error: "Integrity check failed"
+            });
+            expect(started.map(thread => thread.opcode)).to.deep.equal(["xcxMesh_whenMediaReceived"]);
+            const util = {thread: started[0]};
+            expect(block.receivedMedia({FIELD: "sender"}, util)).to.equal("b");
+            expect(block.receivedMedia({FIELD: "sprite"}, util)).to.equal("Cat");
+            expect(block.receivedMedia({FIELD: "name"}, util)).to.equal("");
+            expect(block.receivedMedia({FIELD: "error"}, util)).to.equal("Integrity check failed");
+        });
+
+        it("should ignore payloads which are not media", () => {
+            const block = new blockClass(runtime);
+            block.onMeshEvent({type: "payloadProgress", data: "t1", meta: {name: "x"}, loaded: 1, total: 2});
+            expect(block.mediaTransferProgress()).to.equal(0);
+            expect(block.receivedMedia({FIELD: "name"}, {thread: {}})).to.equal("");
+        });
+    });
+
+    /**
+     * Make a runtime which starts hats like Scratch: the fields must match, and a running script
+     * restarts when its hat restarts existing threads, otherwise it does not start again.
+     * @param {Array<{blockId: string, opcode: string, type: string}>} scripts - hat scripts
+     * @returns {object} runtime
+     */
+    const makeHatRuntime = scripts => {
+        // Hats which restart their running scripts, by the metadata of the blocks like the runtime reads it.
+        const infoRuntime = {formatMessage: Object.assign(msg => msg.default, {setup: () => null})};
+        const restartingHats = new Set(new blockClass(infoRuntime).getInfo().blocks
+            .filter(info => info.shouldRestartExistingThreads)
+            .map(info => `xcxMesh_${info.opcode}`));
+        const hatRuntime = Object.assign({
+            threads: [],
+            allScriptsByOpcodeDo: (opcode, f) => scripts
+                .filter(script => script.opcode === opcode)
+                .forEach(script => f({
+                    blockId: script.blockId,
+                    fieldsOfInputs: script.type ? {eventTypeMenu: {value: script.type.toUpperCase()}} : {}
+                }, {})),
+            _pushThread: (topBlock, target) => {
+                const thread = {topBlock, target};
+                hatRuntime.threads.push(thread);
+                return thread;
+            },
+            startHats: (opcode, matchFields) => {
+                const started = [];
+                hatRuntime.allScriptsByOpcodeDo(opcode, (script, target) => {
+                    if (matchFields &&
+                        script.fieldsOfInputs.eventTypeMenu.value !== matchFields.eventTypeMenu.toUpperCase()) return;
+                    const index = hatRuntime.threads.findIndex(running => running.topBlock === script.blockId);
+                    if (index === -1) {
+                        started.push(hatRuntime._pushThread(script.blockId, target));
+                    } else if (restartingHats.has(opcode)) {
+                        const thread = {topBlock: script.blockId, target};
+                        hatRuntime.threads[index] = thread;
+                        started.push(thread);
+                    }
+                });
+                return started;
+            }
+        }, runtime);
+        return hatRuntime;
+    };
+
+    const anyEventHat = blockId => ({blockId, opcode: "xcxMesh_whenSharedEventReceived"});
+
+    const typedEventHat = (blockId, type) => ({blockId, opcode: "xcxMesh_whenSharedEventTypeReceived", type});
+
+    describe("concurrent events", () => {
+        const makeEvent = (sender, eventType, eventData, time) => ({
+            type: "event",
+            sender,
+            time,
+            eventType,
+            eventData,
+            channel: ""
+        });
+
+        it("should give each thread its own event", () => {
+            const hatRuntime = makeHatRuntime([typedEventHat("move", "move"), typedEventHat("chat", "chat")]);
+            const block = new blockClass(hatRuntime);
+            block.setEventHandling({MODE: "concurrent"});
+            block.mesh.onSharedEvent(makeEvent("a", "move", 1, 100));
+            block.mesh.onSharedEvent(makeEvent("b", "chat", "hi", 200));
+            block.startConcurrentEvents();
+            const [first, second] = hatRuntime.threads;
+            expect(hatRuntime.threads).to.have.lengthOf(2);
+            expect(block.lastSharedEventType({}, {thread: first})).to.equal("move");
+            expect(block.lastSharedEventData({}, {thread: first})).to.equal(1);
+            expect(block.lastSharedEventSender({}, {thread: first})).to.equal("a");
+            expect(block.lastSharedEventTime({}, {thread: first})).to.equal(100);
+            expect(block.lastSharedEventType({}, {thread: second})).to.equal("chat");
+            expect(block.lastSharedEventSender({}, {thread: second})).to.equal("b");
+            expect(block.lastSharedEventTime({}, {thread: second})).to.equal(200);
+            // Outside of the threads, the reporters report the last event.
+            expect(block.lastSharedEventType({}, {thread: {}})).to.equal("chat");
+        });
+
+        it("should run a script for each event of the same type at once", () => {
+            const hatRuntime = makeHatRuntime([anyEventHat("any"), typedEventHat("move", "move")]);
+            const block = new blockClass(hatRuntime);
+            block.setEventHandling({MODE: "concurrent"});
+            block.mesh.onSharedEvent(makeEvent("a", "move", 1, 100));
+            block.mesh.onSharedEvent(makeEvent("a", "move", 2, 101));
+            block.startConcurrentEvents();
+            expect(hatRuntime.threads.map(thread => thread.topBlock)).to.deep.equal(["any", "move", "any", "move"]);
+            expect(hatRuntime.threads.map(thread => block.lastSharedEventData({}, {thread})))
+                .to.deep.equal([1, 1, 2, 2]);
+        });
+
+        it("should start the script for an event which arrives while it is running for an earlier one", () => {
+            const hatRuntime = makeHatRuntime([typedEventHat("move", "move")]);
+            const block = new blockClass(hatRuntime);
+            block.setEventHandling({MODE: "concurrent"});
+            block.mesh.onSharedEvent(makeEvent("a", "move", 1, 100));
+            block.startConcurrentEvents();
+            const first = hatRuntime.threads[0];
+            block.mesh.onSharedEvent(makeEvent("b", "move", 2, 101));
+            block.startConcurrentEvents();
+            expect(hatRuntime.threads).to.have.lengthOf(2);
+            expect(hatRuntime.threads[0]).to.equal(first);
+            expect(block.lastSharedEventData({}, {thread: first})).to.equal(1);
+            expect(block.lastSharedEventData({}, {thread: hatRuntime.threads[1]})).to.equal(2);
+            expect(block.mesh.eventQueue).to.have.lengthOf(0);
+        });
+
+        it("should keep the events waiting while the threads are at the max", () => {
+            const hatRuntime = makeHatRuntime([anyEventHat("any")]);
+            const block = new blockClass(hatRuntime);
+            block.setEventHandling({MODE: "concurrent"});
+            block.maxEventThreads = 1;
+            block.mesh.onSharedEvent(makeEvent("a", "move", 1, 100));
+            block.mesh.onSharedEvent(makeEvent("a", "move", 2, 101));
+            block.startConcurrentEvents();
+            expect(hatRuntime.threads).to.have.lengthOf(1);
+            expect(block.mesh.eventQueue.length).to.equal(1);
+            hatRuntime.threads = [];
+            block.startConcurrentEvents();
+            expect(block.lastSharedEventData({}, {thread: hatRuntime.threads[0]})).to.equal(2);
+        });
+
+        it("should start only the hats for the type of the event", () => {
+            const hatRuntime = makeHatRuntime([
+                anyEventHat("any"),
+                typedEventHat("move", "move"),
+                typedEventHat("chat", "chat")
+            ]);
+            const block = new blockClass(hatRuntime);
+            block.setEventHandling({MODE: "concurrent"});
+            block.mesh.onSharedEvent(makeEvent("a", "Move", 1, 100));
+            block.startConcurrentEvents();
+            expect(hatRuntime.threads.map(thread => thread.topBlock)).to.deep.equal(["any", "move"]);
+        });
+    });
+
+    describe("dispatch and wait", () => {
+        it("should tell the sender when the threads of the event finished", () => {
+            const hatRuntime = makeHatRuntime([typedEventHat("go", "go"), typedEventHat("stop", "stop")]);
+            const block = new blockClass(hatRuntime);
+            block.eventCompletionCheckInterval = 1;
+            const acknowledged = [];
+            block.mesh.acknowledgeSharedEvent = event => acknowledged.push(event.eventData);
+            block.setEventHandling({MODE: "concurrent"});
+            block.mesh.onSharedEvent({type: "event", sender: "a", eventType: "go", eventData: 1, ack: true});
+            block.mesh.onSharedEvent({type: "event", sender: "a", eventType: "stop", eventData: 2});
+            block.startConcurrentEvents();
+            expect(hatRuntime.threads).to.have.lengthOf(2);
+            expect(acknowledged).to.deep.equal([]);
+            hatRuntime.threads = [];
+            return new Promise(resolve => setTimeout(resolve, 10))
+                .then(() => expect(acknowledged).to.deep.equal([1]));
+        });
+
+        it("should report the number of the peers which finished", async () => {
+            const block = new blockClass(runtime);
+            const calls = [];
+            block.mesh.dispatchSharedEventAndWait = (type, data, channel, quorum) => {
+                calls.push({type, data, channel, quorum, timeout: block.mesh.eventWaitTimeout});
+                return Promise.resolve(["b", "c"]);
+            };
+            block.setEventWait({QUORUM: "2", SECONDS: 0.5});
+            await block.dispatchSharedEventAndWait({TYPE: " go ", DATA: "x"});
+            block.setEventWait({QUORUM: "all", SECONDS: 3});
+            await block.dispatchSharedEventAndWait({TYPE: "go", DATA: "y"});
+            expect(calls).to.deep.equal([
+                {type: "go", data: "x", channel: "", quorum: 2, timeout: 500},
+                {type: "go", data: "y", channel: "", quorum: 0, timeout: 3000}
+            ]);
+            expect(block.completedPeerCount()).to.equal(2);
+        });
+    });
+
+    describe("typed events", () => {
+        /**
+         * Make a runtime which starts the hats whose type matches like Scratch.
+         * @param {object<string, Array<string>>} hats - types of the hats by the opcode
+         * @returns {object} runtime
+         */
+        const makeRuntime = hats => {
+            const typedRuntime = Object.assign({
+                threads: [],
+                startHats: (opcode, matchFields) => (hats[opcode] || [])
+                    .filter(type => !matchFields || type.toUpperCase() === matchFields.eventTypeMenu.toUpperCase())
+                    .map(type => {
+                        const thread = {opcode, type};
+                        typedRuntime.threads.push(thread);
+                        return thread;
+                    })
+            }, runtime);
+            return typedRuntime;
+        };
+
+        const makeEvent = eventType => ({type: "event", sender: "a", eventType, eventData: 1, channel: ""});
+
+        it("should wait only for the hats which matched the type", async () => {
+            const typedRuntime = makeRuntime({
+                xcxMesh_whenSharedEventReceived: ["*"],
+                xcxMesh_whenSharedEventTypeReceived: ["move", "chat"]
+            });
+            const block = new blockClass(typedRuntime);
+            block.eventCompletionCheckInterval = 1;
+            const event = makeEvent("MOVE");
+            let completed = false;
+            block.processSharedEvent(event, () => {
+                completed = true;
+            });
+            expect(event.startedThreads.map(thread => thread.type)).to.deep.equal(["*", "move"]);
+            expect(block.lastSharedEventType({}, {thread: event.startedThreads[1]})).to.equal("MOVE");
+            typedRuntime.threads = typedRuntime.threads.filter(thread => thread.type === "chat");
+            await new Promise(resolve => setTimeout(resolve, 10));
+            expect(completed).to.equal(true);
+        });
+
+        it("should not wait when no hat matched the type", () => {
+            const block = new blockClass(makeRuntime({xcxMesh_whenSharedEventTypeReceived: ["chat"]}));
+            const event = makeEvent("move");
+            let completed = false;
+            block.processSharedEvent(event, () => {
+                completed = true;
+            });
+            expect(event.startedThreads).to.deep.equal([]);
+            expect(completed).to.equal(true);
+        });
+
+        it("should list the types which were received or are used in the project", () => {
+            const makeBlocks = (scripts, blocks) => ({
+                getScripts: () => scripts,
+                getBlock: id => blocks[id]
+            });
+            const typedRuntime = Object.assign({
+                startHats: () => [],
+                targets: [
+                    {
+                        isOriginal: true,
+                        blocks: makeBlocks(["hat"], {
+                            hat: {
+                                opcode: "event_whenflagclicked",
+                                inputs: {},
+                                next: "forever"
+                            },
+                            forever: {
+                                opcode: "control_forever",
+                                inputs: {SUBSTACK: {block: "dispatch", shadow: null}}
+                            },
+                            dispatch: {
+                                opcode: "xcxMesh_dispatchSharedEvent",
+                                inputs: {TYPE: {block: "text", shadow: "text"}},
+                                next: "typed"
+                            },
+                            text: {opcode: "text", inputs: {}, fields: {TEXT: {value: "jump"}}},
+                            typed: {
+                                opcode: "xcxMesh_whenSharedEventTypeReceived",
+                                inputs: {TYPE: {block: "menu", shadow: "menu"}}
+                            },
+                            menu: {opcode: "xcxMesh_menu_eventTypeMenu", inputs: {}, fields: {eventTypeMenu: {value: "chat"}}}
+                        })
+                    },
+                    {
+                        isOriginal: false,
+                        blocks: makeBlocks(["menu"], {
+                            menu: {opcode: "xcxMesh_menu_eventTypeMenu", inputs: {}, fields: {eventTypeMenu: {value: "clone"}}}
+                        })
+                    }
+                ]
+            }, runtime);
+            const block = new blockClass(typedRuntime);
+            expect(block.getEventTypeMenu()).to.deep.equal(["chat", "jump"]);
+            block.mesh.onSharedEvent(makeEvent("move"));
+            expect(block.getEventTypeMenu()).to.deep.equal(["chat", "jump", "move"]);
+            expect(new blockClass(Object.assign({targets: []}, runtime)).getEventTypeMenu()).to.deep.equal(["event"]);
+        });
+    });
+
+    describe("requests", () => {
+        it("should answer a question which was asked while the script answers an earlier one", async () => {
+            let block = null;
+            const askedRuntime = {
+                formatMessage: runtime.formatMessage,
+                threads: [],
+                startHats: () => {
+                    // Like Scratch, the hat does not start again while its script is running.
+                    if (askedRuntime.threads.length > 0) return [];
+                    const thread = {};
+                    askedRuntime.threads.push(thread);
+                    setTimeout(() => {
+                        block.replyToQuestion({DATA: block.askedData({}, {thread}) * 2}, {thread});
+                        askedRuntime.threads.splice(0);
+                    }, 5);
+                    return [thread];
+                }
+            };
+            block = new blockClass(askedRuntime);
+            block.eventCompletionCheckInterval = 1;
+            const replies = [];
+            block.mesh.reply = (request, data, error) => replies.push({id: request.id, data, error});
+            block.onMeshEvent({type: "requestReceived", data: {id: 1, question: "double", data: 1}});
+            block.onMeshEvent({type: "requestReceived", data: {id: 2, question: "double", data: 5}});
+            await new Promise(resolve => setTimeout(resolve, 50));
+            expect(replies).to.deep.equal([
+                {id: 1, data: 2, error: undefined},
+                {id: 2, data: 10, error: undefined}
+            ]);
+        });
+
+        it("should reply when no script answered the question", async () => {
+            const block = new blockClass(Object.assign({threads: [], startHats: () => []}, runtime));
+            const replies = [];
+            block.mesh.reply = (request, data, error) => replies.push(error);
+            block.onMeshEvent({type: "requestReceived", data: {id: 1, question: "ping", data: ""}});
+            await new Promise(resolve => setTimeout(resolve, 10));
+            expect(replies).to.deep.equal(["No reply for \"ping\""]);
+        });
+    });
+
+    describe("host-authoritative variables", () => {
+        it("should reject the write when a hat rejected it", async () => {
+            let block = null;
+            const hostRuntime = {
+                formatMessage: runtime.formatMessage,
+                threads: [],
+                startHats: opcode => {
+                    const thread = {opcode};
+                    hostRuntime.threads.push(thread);
+                    // The script rejects the write then finishes.
+                    setTimeout(() => {
+                        block.rejectSharedVarWrite({REASON: "too fast"}, {thread});
+                        hostRuntime.threads.splice(0);
+                    }, 5);
+                    return [thread];
+                }
+            };
+            block = new blockClass(hostRuntime);
+            const rejection = await block.validateSharedVarWrite({key: "x", value: 1, sender: "b"});
+            expect(rejection).to.equal("too fast");
+        });
+
+        it("should validate a write which was requested while the hat checks an earlier one", async () => {
+            let block = null;
+            const hostRuntime = {
+                formatMessage: runtime.formatMessage,
+                threads: [],
+                startHats: opcode => {
+                    // Like Scratch, the hat does not start again while its script is running.
+                    if (hostRuntime.threads.length > 0) return [];
+                    const thread = {opcode};
+                    hostRuntime.threads.push(thread);
+                    setTimeout(() => {
+                        const write = block.threadWriteRequest({thread}).write;
+                        if (write.value > 10) {
+                            block.rejectSharedVarWrite({REASON: "too large"}, {thread});
+                        }
+                        hostRuntime.threads.splice(0);
+                    }, 5);
+                    return [thread];
+                }
+            };
+            block = new blockClass(hostRuntime);
+            block.eventCompletionCheckInterval = 1;
+            const rejections = await Promise.all([
+                block.validateSharedVarWrite({key: "x", value: 1, sender: "b"}),
+                block.validateSharedVarWrite({key: "x", value: 99, sender: "b"})
+            ]);
+            expect(rejections).to.deep.equal([null, "too large"]);
+        });
+
+        it("should accept the write when no hat rejected it", async () => {
+            const block = new blockClass(Object.assign({threads: [], startHats: () => []}, runtime));
+            const rejection = await block.validateSharedVarWrite({key: "x", value: 1, sender: "b"});
+            expect(rejection).to.equal(null);
+        });
+    });
 });
@@ -0,0 +1,86 @@
+import { describe, it, afterEach } from "mocha";
+import { expect } from "chai";
+import Mesh from "../../src/vm/extensions/block/mesh.js";
+import LoopbackTransport from "../../src/vm/extensions/block/loopback-transport.js";
+import { waitFor, sleep } from "./helpers.js";
+
+describe("Election", () => {
+    let meshes = [];
+
+    const openMeshes = async (network, ids) => {
+        const opened = ids.map(() => new Mesh(network));
+        meshes = meshes.concat(opened);
+        await Promise.all(opened.map((mesh, i) => mesh.openPeer(ids[i])));
+        opened.forEach(mesh => {
+            mesh.election.announceInterval = 10;
+            mesh.election.leaderTimeout = 40;
+            mesh.election.start();
+        });
+        return opened;
+    };
+
+    const leaders = peers => peers.map(mesh => mesh.leaderID());
+
+    afterEach(() => {
+        meshes.forEach(mesh => mesh.closePeer());
+        meshes = [];
+    });
+
+    it("should make a lone peer the leader of itself", async () => {
+        const [a] = await openMeshes(new LoopbackTransport(), ["a"]);
+        expect(a.isLeader()).to.equal(true);
+        expect(a.leaderID()).to.equal("a");
+    });
+
+    it("should elect the smallest ID among the connected peers", async () => {
+        const [c, a, b] = await openMeshes(new LoopbackTransport(), ["c", "a", "b"]);
+        await c.openDataConnection("b");
+        await b.openDataConnection("a");
+        await waitFor(() => leaders([a, b, c]).every(id => id === "a"));
+        expect(a.isLeader()).to.equal(true);
+        expect(b.isLeader()).to.equal(false);
+        expect(c.election.term).to.be.at.least(1);
+    });
+
+    it("should notify the change of the leader", async () => {
+        const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+        const changes = [];
+        b.addMeshEventListener(event => {
+            if (event.type === "leaderChanged") changes.push(event.data);
+        });
+        await a.openDataConnection("b");
+        await waitFor(() => b.leaderID() === "a");
+        await sleep(50);
+        expect(changes).to.deep.equal(["a"]);
+    });
+
+    it("should elect a leader in each group after a split", async () => {
+        const [a, b, c] = await openMeshes(new LoopbackTransport(), ["a", "b", "c"]);
+        await a.openDataConnection("b");
+        await b.openDataConnection("c");
+        await waitFor(() => leaders([a, b, c]).every(id => id === "a"));
+        a.closeDataConnection("b");
+        await waitFor(() => b.leaderID() === "b" && c.leaderID() === "b");
+        expect(a.leaderID()).to.equal("a");
+    });
+
+    it("should agree on one leader after a merge", async () => {
+        const [a, b, c, d] = await openMeshes(new LoopbackTransport(), ["a", "b", "c", "d"]);
+        await a.openDataConnection("b");
+        await c.openDataConnection("d");
+        await waitFor(() => b.leaderID() === "a" && d.leaderID() === "c");
+        await d.openDataConnection("b");
+        await waitFor(() => leaders([a, b, c, d]).every(id => id === "a"));
+        await sleep(50);
+        expect(leaders([a, b, c, d])).to.deep.equal(["a", "a", "a", "a"]);
+    });
+
+    it("should take over when the leader vanished", async () => {
+        const [a, b, c] = await openMeshes(new LoopbackTransport(), ["a", "b", "c"]);
+        await a.openDataConnection("b");
+        await b.openDataConnection("c");
+        await waitFor(() => c.leaderID() === "a");
+        a.election.stop();
+        await waitFor(() => b.leaderID() === "b" && c.leaderID() === "b");
+    });
+});
@@ -0,0 +1,158 @@
+import { describe, it, afterEach } from "mocha";
+import { expect } from "chai";
+import EventQueue from "../../src/vm/extensions/block/event-queue.js";
+import Mesh from "../../src/vm/extensions/block/mesh.js";
+import LoopbackTransport from "../../src/vm/extensions/block/loopback-transport.js";
+import { waitFor, sleep } from "./helpers.js";
+
+/**
+ * Make an event message of the sender.
+ * @param {string} sender - ID of the sender
+ * @param {number} eventSeq - sequence number of the event
+ * @param {string} eventType - type of the event
+ * @returns {object} event
+ */
+const makeEvent = (sender, eventSeq, eventType = "move") => ({
+    id: `${sender}:s1:${eventSeq + 100}`,
+    sender,
+    type: "event",
+    channel: "",
+    eventType,
+    eventData: eventSeq,
+    eventSeq
+});
+
+/**
+ * Make a queue with a mesh which records the mesh events.
+ * @returns {EventQueue} queue which has 'meshEvents'
+ */
+const makeQueue = () => {
+    const meshEvents = [];
+    const queue = new EventQueue({_dispatchMeshEvent: event => meshEvents.push(event)});
+    queue.meshEvents = meshEvents;
+    return queue;
+};
+
+const drain = queue => {
+    const events = [];
+    let event = queue.next();
+    while (event) {
+        events.push(event.eventData);
+        event = queue.next();
+    }
+    return events;
+};
+
+describe("EventQueue", () => {
+    let queues = [];
+    let meshes = [];
+
+    afterEach(() => {
+        queues.forEach(queue => queue.clearStreams());
+        queues = [];
+        meshes.forEach(mesh => mesh.closePeer());
+        meshes = [];
+    });
+
+    const newQueue = () => {
+        const queue = makeQueue();
+        queues.push(queue);
+        return queue;
+    };
+
+    it("should deliver the events of a sender in order", () => {
+        const queue = newQueue();
+        queue.receive(makeEvent("a", 1));
+        queue.receive(makeEvent("a", 3));
+        queue.receive(makeEvent("b", 7));
+        expect(drain(queue)).to.deep.equal([1, 7]);
+        queue.receive(makeEvent("a", 2));
+        expect(drain(queue)).to.deep.equal([2, 3]);
+        expect(queue.missedCount).to.equal(0);
+    });
+
+    it("should skip the missing events after the gap timeout", async () => {
+        const queue = newQueue();
+        queue.gapTimeout = 20;
+        queue.receive(makeEvent("a", 1));
+        queue.receive(makeEvent("a", 4));
+        queue.receive(makeEvent("a", 5));
+        expect(drain(queue)).to.deep.equal([1]);
+        await waitFor(() => queue.length === 2);
+        expect(drain(queue)).to.deep.equal([4, 5]);
+        expect(queue.missedCount).to.equal(2);
+        expect(queue.meshEvents).to.deep.equal([{type: "sharedEventsMissed", data: "a", channel: "", missed: 2}]);
+        queue.receive(makeEvent("a", 3));
+        expect(queue.length).to.equal(0);
+        expect(queue.droppedCount).to.equal(1);
+    });
+
+    it("should start a new stream when the sender restarted", () => {
+        const queue = newQueue();
+        queue.receive(makeEvent("a", 5));
+        queue.receive(Object.assign(makeEvent("a", 1), {id: "a:s2:1"}));
+        expect(drain(queue)).to.deep.equal([5, 1]);
+    });
+
+    it("should drop the oldest events over the max length", () => {
+        const queue = newQueue();
+        queue.setPolicy("dropOldest", 2);
+        [1, 2, 3].forEach(seq => queue.receive(makeEvent("a", seq)));
+        expect(drain(queue)).to.deep.equal([2, 3]);
+        expect(queue.droppedCount).to.equal(1);
+    });
+
+    it("should drop the newest events over the max length", () => {
+        const queue = newQueue();
+        queue.setPolicy("dropNewest", 2);
+        [1, 2, 3].forEach(seq => queue.receive(makeEvent("a", seq)));
+        expect(drain(queue)).to.deep.equal([1, 2]);
+        expect(queue.droppedCount).to.equal(1);
+    });
+
+    it("should keep all events without limit", () => {
+        const queue = newQueue();
+        queue.setPolicy("unbounded", 2);
+        [1, 2, 3, 4].forEach(seq => queue.receive(makeEvent("a", seq)));
+        expect(drain(queue)).to.deep.equal([1, 2, 3, 4]);
+        expect(queue.droppedCount).to.equal(0);
+    });
+
+    it("should keep the latest event of each type from each sender", () => {
+        const queue = newQueue();
+        queue.setPolicy("coalesce");
+        queue.receive(makeEvent("a", 1, "move"));
+        queue.receive(makeEvent("a", 2, "chat"));
+        queue.receive(makeEvent("b", 1, "move"));
+        queue.receive(makeEvent("a", 3, "move"));
+        expect(drain(queue)).to.deep.equal([2, 1, 3]);
+        expect(queue.droppedCount).to.equal(1);
+    });
+
+    it("should throw for an unknown policy", () => {
+        expect(() => newQueue().setPolicy("random")).to.throw("Unknown event queue policy");
+    });
+
+    it("should number the events of each sender over the mesh", async () => {
+        const network = new LoopbackTransport();
+        const [a, b] = [new Mesh(network), new Mesh(network)];
+        meshes.push(a, b);
+        await Promise.all([a.openPeer("a"), b.openPeer("b")]);
+        await a.openDataConnection("b");
+        await sleep(20);
+        b.setEventQueuePolicy("unbounded");
+        for (let i = 0; i < 15; i++) {
+            a.dispatchSharedEvent("count", i);
+        }
+        a.dispatchSharedEvent("other", "x", "game");
+        a.dispatchDirectEvent("b", "private", "y");
+        await waitFor(() => b.eventQueue.length === 17);
+        const events = b.sharedEventBuffer;
+        expect(events.slice(0, 15).map(event => event.eventSeq)).to.deep.equal(
+            Array.from({length: 15}, (v, i) => i + 1)
+        );
+        expect(events[15].eventSeq).to.equal(1);
+        expect(events[16].eventSeq).to.equal(1);
+        expect(b.eventQueue.droppedCount).to.equal(0);
+    });
+});
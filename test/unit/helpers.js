@@ -0,0 +1,26 @@
+/**
+ * Wait until the condition becomes true.
+ * @param {Function} condition - returns true when the wait is over
+ * @param {number} timeout - milliseconds to give up
+ * @returns {Promise<void>} resolves when the condition is true
+ */
+export const waitFor = (condition, timeout = 1000) => new Promise((resolve, reject) => {
+    const start = Date.now();
+    const check = () => {
+        if (condition()) {
+            resolve();
+        } else if (Date.now() - start > timeout) {
+            reject(new Error("timeout"));
+        } else {
+            setTimeout(check, 1);
+        }
+    };
+    check();
+});
+
+/**
+ * Wait for the time.
+ * @param {number} ms - milliseconds to wait
+ * @returns {Promise<void>} resolves after the time
+ */
+export const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
@@ -0,0 +1,131 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import { addMedia, costumeMedia, soundMedia, stageSnapshot } from "../../src/vm/extensions/block/media.js";
+
+/**
+ * Make a target which keeps costumes and sounds with unused names like Scratch.
+ * @param {string} name - name of the target
+ * @returns {object} target
+ */
+const makeTarget = name => {
+    const target = {
+        costumes: [],
+        sounds: [],
+        sprite: {soundBank: null},
+        getName: () => name,
+        getCostumes: () => target.costumes,
+        getSounds: () => target.sounds,
+        addCostume: costume => {
+            if (target.costumes.some(other => other.name === costume.name)) costume.name = `${costume.name}2`;
+            target.costumes.push(costume);
+        },
+        addSound: sound => {
+            if (target.sounds.some(other => other.name === sound.name)) sound.name = `${sound.name}2`;
+            target.sounds.push(sound);
+        }
+    };
+    return target;
+};
+
+/**
+ * Make a runtime with a stage, a sprite named "Cat" and a storage without renderer.
+ * @returns {object} runtime
+ */
+const makeRuntime = () => {
+    const stage = makeTarget("Stage");
+    const cat = makeTarget("Cat");
+    const runtime = {
+        stage,
+        cat,
+        updated: [],
+        storage: {
+            AssetType: {ImageVector: "ImageVector", ImageBitmap: "ImageBitmap", Sound: "Sound"},
+            createAsset: (assetType, dataFormat, data) => ({assetType, dataFormat, data, assetId: `id${data.length}`})
+        },
+        getTargetForStage: () => stage,
+        getSpriteTargetByName: spriteName => (spriteName === "Cat" ? cat : null),
+        requestTargetsUpdate: target => runtime.updated.push(target)
+    };
+    return runtime;
+};
+
+describe("media", () => {
+    it("should get a costume and a sound to send", () => {
+        const runtime = makeRuntime();
+        const data = new Uint8Array([1, 2, 3]);
+        runtime.cat.costumes.push({
+            name: "avatar",
+            dataFormat: "png",
+            bitmapResolution: 2,
+            rotationCenterX: 40,
+            rotationCenterY: 50,
+            asset: {data}
+        });
+        runtime.cat.sounds.push({name: "meow", dataFormat: "wav", rate: 22050, sampleCount: 100, asset: {data}});
+        const costume = costumeMedia(runtime.cat, "avatar");
+        expect(costume.meta).to.deep.equal({
+            kind: "costume",
+            name: "avatar",
+            dataFormat: "png",
+            bitmapResolution: 2,
+            rotationCenterX: 40,
+            rotationCenterY: 50
+        });
+        expect(costume.bytes).to.equal(data);
+        expect(soundMedia(runtime.cat, "meow").meta).to.deep.equal({
+            kind: "sound",
+            name: "meow",
+            dataFormat: "wav",
+            rate: 22050,
+            sampleCount: 100
+        });
+        expect(() => costumeMedia(runtime.cat, "none")).to.throw("Costume \"none\" is not found");
+        expect(() => soundMedia(runtime.cat, "none")).to.throw("Sound \"none\" is not found");
+    });
+
+    it("should add media to the sprite with an unused name", async () => {
+        const runtime = makeRuntime();
+        const bytes = new Uint8Array([1, 2, 3]);
+        const meta = {kind: "costume", name: "avatar", dataFormat: "png", rotationCenterX: 4, rotationCenterY: 6};
+        expect(await addMedia(runtime, "Cat", meta, bytes)).to.equal("avatar");
+        expect(await addMedia(runtime, "Cat", meta, bytes)).to.equal("avatar2");
+        const costume = runtime.cat.costumes[0];
+        expect(costume.md5).to.equal("id3.png");
+        expect(costume.asset.assetType).to.equal("ImageBitmap");
+        expect([costume.rotationCenterX, costume.rotationCenterY]).to.deep.equal([4, 6]);
+        expect(await addMedia(runtime, "Stage", {kind: "sound", name: "meow", dataFormat: "wav"}, bytes))
+            .to.equal("meow");
+        expect(runtime.stage.sounds[0].asset.assetType).to.equal("Sound");
+        expect(runtime.updated).to.deep.equal([runtime.cat, runtime.cat, runtime.stage]);
+    });
+
+    it("should fail to add media to a sprite which is not found", async () => {
+        const runtime = makeRuntime();
+        let error = null;
+        try {
+            await addMedia(runtime, "Dog", {kind: "costume", name: "x", dataFormat: "png"}, new Uint8Array(0));
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.equal("Sprite \"Dog\" is not found");
+    });
+
+    it("should take a snapshot of the stage as a PNG costume", async () => {
+        const png = new Uint8Array(24);
+        // Width in the IHDR chunk: 960 pixels.
+        png.set([0, 0, 3, 192], 16);
+        const runtime = {
+            renderer: {
+                requestSnapshot: callback => callback(`data:image/png;base64,${btoa(String.fromCharCode(...png))}`)
+            }
+        };
+        const snapshot = await stageSnapshot(runtime);
+        expect(snapshot.meta).to.deep.equal({
+            kind: "costume",
+            name: "snapshot",
+            dataFormat: "png",
+            bitmapResolution: 2
+        });
+        expect(Array.from(snapshot.bytes)).to.deep.equal(Array.from(png));
+    });
+});
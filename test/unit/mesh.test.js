@@ -0,0 +1,984 @@
+import { describe, it, afterEach } from "mocha";
+import { expect } from "chai";
+import Mesh from "../../src/vm/extensions/block/mesh.js";
+import LoopbackTransport from "../../src/vm/extensions/block/loopback-transport.js";
+import { waitFor, sleep } from "./helpers.js";
+
+describe("Mesh on loopback transport", () => {
+    let meshes = [];
+
+    const openMeshes = async (network, ids) => {
+        const opened = ids.map(() => new Mesh(network));
+        meshes = meshes.concat(opened);
+        await Promise.all(opened.map((mesh, i) => mesh.openPeer(ids[i])));
+        return opened;
+    };
+
+    const waitConnected = (peers, edges) => waitFor(() => edges.every(([from, to]) =>
+        peers.find(mesh => mesh.id === from).connections.has(to) &&
+        peers.find(mesh => mesh.id === to).connections.has(from)));
+
+    afterEach(() => {
+        meshes.forEach(mesh => mesh.closePeer());
+        meshes = [];
+    });
+
+    it("should open a peer with the ID", async () => {
+        const [a] = await openMeshes(new LoopbackTransport(), ["a"]);
+        expect(a.id).to.equal("a");
+        expect(a.isPeerOpen()).to.equal(true);
+    });
+
+    it("should reject an ID which is taken", async () => {
+        const network = new LoopbackTransport();
+        await openMeshes(network, ["a"]);
+        const other = new Mesh(network);
+        meshes.push(other);
+        let error = null;
+        try {
+            await other.openPeer("a");
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.an("error");
+        expect(error.type).to.equal("unavailable-id");
+    });
+
+    it("should create one peer when it is opened again or closed while the transport loads", async () => {
+        const network = new LoopbackTransport();
+        const created = [];
+        const createPeer = network.createPeer.bind(network);
+        network.load = () => sleep(10);
+        network.createPeer = peerID => {
+            created.push(peerID);
+            return createPeer(peerID);
+        };
+        const a = new Mesh(network);
+        meshes.push(a);
+        const rejection = promise => promise.then(() => null, e => e);
+        const first = rejection(a.openPeer("a"));
+        await a.openPeer("a2");
+        expect((await first).message).to.equal("Opening the peer was cancelled");
+        expect(created).to.deep.equal(["a2"]);
+        expect(a.id).to.equal("a2");
+
+        const closed = rejection(a.openPeer("a3"));
+        a.closePeer();
+        expect((await closed).message).to.equal("Opening the peer was cancelled");
+        expect(created).to.deep.equal(["a2"]);
+        expect(a.peer).to.equal(null);
+    });
+
+    it("should connect peers and count the connections", async () => {
+        const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+        await a.openDataConnection("b");
+        await waitFor(() => b.dataConnectionCount() === 1);
+        expect(a.isDataConnectionOpen("b")).to.equal(true);
+        expect(b.isDataConnectionOpen("a")).to.equal(true);
+        expect(a.dataConnectionIDAt(0)).to.equal("b");
+    });
+
+    it("should fail to connect to a missing peer", async () => {
+        const [a] = await openMeshes(new LoopbackTransport(), ["a"]);
+        let error = null;
+        try {
+            await a.openDataConnection("nobody");
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.an("error");
+    });
+
+    it("should share variables through the handshake and updates", async () => {
+        const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+        a.setSharedVar("before", "1");
+        await a.openDataConnection("b");
+        await waitFor(() => b.sharedVar("before") === "1");
+        b.setSharedVar("after", "2");
+        await waitFor(() => a.sharedVar("after") === "2");
+    });
+
+    it("should keep types of shared values and event data", async () => {
+        const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+        await a.openDataConnection("b");
+        await waitFor(() => b.dataConnectionCount() === 1);
+        a.setSharedVar("number", 12.5);
+        a.setSharedVar("boolean", false);
+        a.setSharedVar("list", ["x", 1, {y: 2}]);
+        a.dispatchSharedEvent("point", {x: 1, y: -1});
+        await waitFor(() => b.sharedEventBuffer.length === 1);
+        expect(b.sharedVar("number")).to.equal(12.5);
+        expect(b.sharedVar("boolean")).to.equal(false);
+        expect(b.sharedVar("list")).to.deep.equal(["x", 1, {y: 2}]);
+        expect(b.nextSharedEvent().eventData).to.deep.equal({x: 1, y: -1});
+    });
+
+    it("should deliver events to the connected peer", async () => {
+        const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+        await a.openDataConnection("b");
+        await waitFor(() => b.dataConnectionCount() === 1);
+        a.dispatchSharedEvent("hello", "world");
+        await waitFor(() => b.sharedEventBuffer.length === 1);
+        const event = b.nextSharedEvent();
+        expect(event.sender).to.equal("a");
+        expect(event.eventType).to.equal("hello");
+        expect(event.eventData).to.equal("world");
+    });
+
+    it("should notify disconnection from and reconnection to the server", async () => {
+        const [a] = await openMeshes(new LoopbackTransport(), ["a"]);
+        const events = [];
+        a.addMeshEventListener(event => events.push([event.type, event.data]));
+        a.peer.disconnect();
+        expect(a.isPeerOpen()).to.equal(false);
+        a.peer.reconnect();
+        await waitFor(() => a.isPeerOpen());
+        expect(events).to.deep.equal([["peerDisconnected", "a"], ["peerReconnected", "a"]]);
+    });
+
+    it("should not notify disconnection when the peer is closed", async () => {
+        const [a] = await openMeshes(new LoopbackTransport(), ["a"]);
+        const events = [];
+        a.addMeshEventListener(event => events.push(event.type));
+        a.closePeer();
+        await sleep(10);
+        expect(events).to.not.include("peerDisconnected");
+    });
+
+    describe("shared variable conflicts", () => {
+        const connectLine = async ids => {
+            const line = await openMeshes(new LoopbackTransport(), ids);
+            for (let i = 0; i < line.length - 1; i++) {
+                await line[i].openDataConnection(ids[i + 1]);
+            }
+            await waitConnected(line, ids.slice(1).map((id, i) => [ids[i], id]));
+            return line;
+        };
+
+        it("should converge on the same value after concurrent writes", async () => {
+            const [a, b, c] = await connectLine(["a", "b", "c"]);
+            a.setSharedVar("x", "from a");
+            c.setSharedVar("x", "from c");
+            await waitFor(() => [a, b, c].every(mesh => {
+                const entry = mesh.sharedVars.get("x");
+                return !!entry && entry.clock.a === 1 && entry.clock.c === 1;
+            }));
+            const value = a.sharedVar("x");
+            expect(["from a", "from c"]).to.include(value);
+            expect(b.sharedVar("x")).to.equal(value);
+            expect(c.sharedVar("x")).to.equal(value);
+            expect(a.sharedVars.get("x").clock).to.deep.equal({a: 1, c: 1});
+        });
+
+        it("should break a tie of time by sender", async () => {
+            const [a, b] = await connectLine(["a", "b"]);
+            const realNow = Date.now;
+            Date.now = () => 1000;
+            try {
+                a.setSharedVar("x", "from a");
+                b.setSharedVar("x", "from b");
+            } finally {
+                Date.now = realNow;
+            }
+            await waitFor(() => a.sharedVars.get("x").clock.b === 1 && b.sharedVars.get("x").clock.a === 1);
+            expect(a.sharedVar("x")).to.equal("from b");
+            expect(b.sharedVar("x")).to.equal("from b");
+        });
+
+        it("should notify conflicts on every peer", async () => {
+            const [a, b, c] = await connectLine(["a", "b", "c"]);
+            const conflicts = [];
+            [a, b, c].forEach(mesh => mesh.addMeshEventListener(event => {
+                if (event.type === "sharedVarConflict") conflicts.push([mesh.id, event.data]);
+            }));
+            a.setSharedVar("x", 1);
+            c.setSharedVar("x", 2);
+            await waitFor(() => conflicts.length === 3);
+            expect(conflicts).to.have.deep.members([["a", "x"], ["b", "x"], ["c", "x"]]);
+        });
+
+        it("should not notify a conflict for a write after a seen write", async () => {
+            const [a, b] = await connectLine(["a", "b"]);
+            let conflicted = false;
+            b.addMeshEventListener(event => {
+                if (event.type === "sharedVarConflict") conflicted = true;
+            });
+            a.setSharedVar("x", 1);
+            await waitFor(() => b.sharedVar("x") === 1);
+            b.setSharedVar("x", 2);
+            await waitFor(() => a.sharedVar("x") === 2);
+            expect(conflicted).to.equal(false);
+        });
+
+        it("should merge variables of both sides in the handshake", async () => {
+            const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+            a.setSharedVar("x", "from a");
+            b.setSharedVar("x", "from b");
+            b.setSharedVar("y", "only b");
+            await a.openDataConnection("b");
+            await waitFor(() => a.sharedVar("y") === "only b");
+            await waitFor(() => a.sharedVar("x") === b.sharedVar("x"));
+        });
+    });
+
+    describe("event flooding", () => {
+        const connectEdges = async (ids, edges) => {
+            const peers = await openMeshes(new LoopbackTransport(), ids);
+            for (const [from, to] of edges) {
+                await peers[ids.indexOf(from)].openDataConnection(to);
+            }
+            await waitConnected(peers, edges);
+            return peers;
+        };
+
+        const countEventSends = peers => {
+            const counts = new Map();
+            peers.forEach(mesh => {
+                mesh.connections.forEach(conn => {
+                    const send = conn.send.bind(conn);
+                    conn.send = data => {
+                        if (data.type === "event") {
+                            const key = `${mesh.id}>${conn.peer}:${data.id}`;
+                            counts.set(key, (counts.get(key) || 0) + 1);
+                        }
+                        send(data);
+                    };
+                });
+            });
+            return counts;
+        };
+
+        const deliveredAll = (peers, senders) => peers.every(mesh => senders
+            .filter(sender => sender !== mesh.id)
+            .every(sender => mesh.sharedEventBuffer.some(event => event.sender === sender)));
+
+        const expectDeliveredOnce = (peers, senders) => {
+            peers.forEach(mesh => {
+                const received = mesh.sharedEventBuffer
+                    .filter(event => event.sender !== mesh.id)
+                    .map(event => event.sender);
+                const expected = senders.filter(sender => sender !== mesh.id);
+                expect(received).to.have.members(expected);
+            });
+        };
+
+        it("should deliver each event once on a ring", async () => {
+            const ids = ["a", "b", "c", "d"];
+            const peers = await connectEdges(ids, [["a", "b"], ["b", "c"], ["c", "d"], ["d", "a"]]);
+            const counts = countEventSends(peers);
+            peers.forEach(mesh => mesh.dispatchSharedEvent("ping", mesh.id));
+            await waitFor(() => deliveredAll(peers, ids));
+            expectDeliveredOnce(peers, ids);
+            counts.forEach(count => expect(count).to.equal(1));
+        });
+
+        it("should deliver each event once on a full mesh", async () => {
+            const ids = ["a", "b", "c", "d"];
+            const edges = [];
+            ids.forEach((from, i) => ids.slice(i + 1).forEach(to => edges.push([from, to])));
+            const peers = await connectEdges(ids, edges);
+            const counts = countEventSends(peers);
+            peers.forEach(mesh => mesh.dispatchSharedEvent("ping", mesh.id));
+            await waitFor(() => deliveredAll(peers, ids));
+            expectDeliveredOnce(peers, ids);
+            counts.forEach(count => expect(count).to.equal(1));
+        });
+
+        it("should deliver events with the same contents as different events", async () => {
+            const [a, b] = await connectEdges(["a", "b"], [["a", "b"]]);
+            a.dispatchSharedEvent("same", "data");
+            a.dispatchSharedEvent("same", "data");
+            await waitFor(() => b.sharedEventBuffer.length === 2);
+        });
+
+        it("should forget the oldest message IDs over the limit", () => {
+            const mesh = new Mesh(new LoopbackTransport());
+            mesh.seenMessageIDsLength = 2;
+            expect(mesh._markMessageSeen("1")).to.equal(true);
+            expect(mesh._markMessageSeen("2")).to.equal(true);
+            expect(mesh._markMessageSeen("2")).to.equal(false);
+            expect(mesh._markMessageSeen("3")).to.equal(true);
+            expect(mesh._markMessageSeen("1")).to.equal(true);
+        });
+    });
+
+    describe("direct events", () => {
+        const connectEdges = async (ids, edges) => {
+            const peers = await openMeshes(new LoopbackTransport(), ids);
+            for (const [from, to] of edges) {
+                await peers[ids.indexOf(from)].openDataConnection(to);
+            }
+            await sleep(20);
+            return peers;
+        };
+
+        it("should deliver the event to the target only", async () => {
+            const [a, b, c] = await connectEdges(["a", "b", "c"], [["a", "b"], ["a", "c"]]);
+            a.dispatchDirectEvent("c", "turn", "your turn");
+            await sleep(20);
+            expect(b.sharedEventBuffer).to.have.lengthOf(0);
+            expect(c.sharedEventBuffer).to.have.lengthOf(1);
+            const event = c.nextSharedEvent();
+            expect(event.type).to.equal("direct");
+            expect(event.sender).to.equal("a");
+            expect(event.eventData).to.equal("your turn");
+        });
+
+        it("should route the event over multiple hops", async () => {
+            const [a, b, c, d] = await connectEdges(["a", "b", "c", "d"], [["a", "b"], ["b", "c"], ["c", "d"]]);
+            a.dispatchDirectEvent("d", "hand", ["A", "K"]);
+            await sleep(20);
+            expect(b.sharedEventBuffer).to.have.lengthOf(0);
+            expect(c.sharedEventBuffer).to.have.lengthOf(0);
+            expect(d.sharedEventBuffer).to.have.lengthOf(1);
+            expect(d.nextSharedEvent().eventData).to.deep.equal(["A", "K"]);
+        });
+
+        it("should deliver the event once on a ring", async () => {
+            const [a, , c] = await connectEdges(["a", "b", "c", "d"], [["a", "b"], ["b", "c"], ["c", "d"], ["d", "a"]]);
+            a.dispatchDirectEvent("c", "ping", 1);
+            await sleep(20);
+            expect(c.sharedEventBuffer).to.have.lengthOf(1);
+        });
+
+        it("should use the route learned from received messages", async () => {
+            const [a, b, c, d] = await connectEdges(["a", "b", "c", "d"], [["a", "b"], ["a", "c"], ["b", "d"], ["c", "d"]]);
+            d.dispatchSharedEvent("hello", "");
+            await sleep(20);
+            const viaID = a.routes.get("d");
+            expect(["b", "c"]).to.include(viaID);
+            const other = viaID === "b" ? c : b;
+            const forwarded = [];
+            other.connections.get("a").on("data", data => forwarded.push(data));
+            a.dispatchDirectEvent("d", "private", "secret");
+            await sleep(20);
+            expect(d.sharedEventBuffer.filter(event => event.type === "direct")).to.have.lengthOf(1);
+            expect(forwarded).to.have.lengthOf(0);
+        });
+    });
+
+    describe("requests", () => {
+        const answerQuestions = (mesh, answers) => {
+            mesh.addMeshEventListener(event => {
+                if (event.type !== "requestReceived") return;
+                const request = event.data;
+                if (request.question in answers) {
+                    mesh.reply(request, answers[request.question](request.data));
+                } else {
+                    mesh.reply(request, null, "unknown question");
+                }
+            });
+        };
+
+        it("should resolve with the reply over multiple hops", async () => {
+            const [a, b, c] = await openMeshes(new LoopbackTransport(), ["a", "b", "c"]);
+            await a.openDataConnection("b");
+            await b.openDataConnection("c");
+            await sleep(20);
+            answerQuestions(c, {double: data => data * 2});
+            expect(await a.request("c", "double", 21)).to.equal(42);
+            expect(a.pendingRequests.size).to.equal(0);
+        });
+
+        it("should match concurrent replies by the request", async () => {
+            const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+            await a.openDataConnection("b");
+            await sleep(20);
+            answerQuestions(b, {echo: data => data});
+            const replies = await Promise.all([1, 2, 3].map(n => a.request("b", "echo", {n})));
+            expect(replies).to.deep.equal([{n: 1}, {n: 2}, {n: 3}]);
+        });
+
+        it("should reject with the error of the reply", async () => {
+            const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+            await a.openDataConnection("b");
+            await sleep(20);
+            answerQuestions(b, {});
+            let error = null;
+            try {
+                await a.request("b", "level", "");
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.equal("unknown question");
+        });
+
+        it("should time out without a reply", async () => {
+            const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+            await a.openDataConnection("b");
+            await sleep(20);
+            a.requestTimeout = 30;
+            let error = null;
+            try {
+                await a.request("b", "level", "");
+            } catch (e) {
+                error = e;
+            }
+            expect(error).to.be.an("error");
+            expect(a.pendingRequests.size).to.equal(0);
+        });
+    });
+
+    describe("dispatch and wait", () => {
+        /**
+         * Process the next shared event of the peer and tell the sender that it finished.
+         * @param {Mesh} mesh - peer which received the event
+         */
+        const finishNextEvent = async mesh => {
+            await waitFor(() => mesh.eventQueue.length > 0);
+            mesh.acknowledgeSharedEvent(mesh.nextSharedEvent());
+        };
+
+        const openChain = async () => {
+            const [a, b, c] = await openMeshes(new LoopbackTransport(), ["a", "b", "c"]);
+            await a.openDataConnection("b");
+            await b.openDataConnection("c");
+            await sleep(20);
+            // Let "a" learn the route to "c".
+            c.dispatchSharedEvent("hello", "");
+            await waitFor(() => a.eventQueue.length === 1 && b.eventQueue.length === 1);
+            [a, b, c].forEach(mesh => mesh.nextSharedEvent());
+            return [a, b, c];
+        };
+
+        it("should wait until all reachable peers finished the event", async () => {
+            const [a, b, c] = await openChain();
+            expect(a.reachablePeerIDs()).to.deep.equal(["b", "c"]);
+            let completed = null;
+            const waiting = a.dispatchSharedEventAndWait("go", 1)
+                .then(peers => {
+                    completed = peers;
+                });
+            await finishNextEvent(b);
+            await sleep(20);
+            expect(completed).to.equal(null);
+            await finishNextEvent(c);
+            await waiting;
+            expect(completed.sort()).to.deep.equal(["b", "c"]);
+            expect(a.pendingEventWaits.size).to.equal(0);
+        });
+
+        it("should stop waiting at the quorum", async () => {
+            const [a, b] = await openChain();
+            const waiting = a.dispatchSharedEventAndWait("go", 1, "", 1);
+            await finishNextEvent(b);
+            expect(await waiting).to.deep.equal(["b"]);
+        });
+
+        it("should resolve with the peers which finished in time", async () => {
+            const [a, b] = await openChain();
+            a.eventWaitTimeout = 30;
+            const waiting = a.dispatchSharedEventAndWait("go", 1);
+            await finishNextEvent(b);
+            expect(await waiting).to.deep.equal(["b"]);
+            expect(a.pendingEventWaits.size).to.equal(0);
+        });
+
+        it("should not wait without peers", async () => {
+            const [a] = await openMeshes(new LoopbackTransport(), ["a"]);
+            expect(await a.dispatchSharedEventAndWait("go", 1)).to.deep.equal([]);
+            // The event is processed in this peer too, without acknowledgement to itself.
+            a.acknowledgeSharedEvent(a.nextSharedEvent());
+            expect(a.pendingEventWaits.size).to.equal(0);
+        });
+    });
+
+    describe("presence", () => {
+        it("should exchange presence in the handshake", async () => {
+            const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+            a.setPresence("name", "Alice");
+            b.setPresence("name", "Bob");
+            await a.openDataConnection("b");
+            await sleep(20);
+            expect(a.peerPresence("b", "name")).to.equal("Bob");
+            expect(b.peerPresence("a", "name")).to.equal("Alice");
+            expect(b.peerPresence("a", "joinTime")).to.be.above(0);
+            expect(a.peerPresence("a", "name")).to.equal("Alice");
+        });
+
+        it("should update presence live over multiple hops", async () => {
+            const [a, b, c] = await openMeshes(new LoopbackTransport(), ["a", "b", "c"]);
+            await a.openDataConnection("b");
+            await b.openDataConnection("c");
+            await sleep(20);
+            const updates = [];
+            c.addMeshEventListener(event => {
+                if (event.type === "presenceUpdated") updates.push(event.data);
+            });
+            a.setPresence("status", "ready");
+            await sleep(20);
+            expect(c.peerPresence("a", "status")).to.equal("ready");
+            expect(b.peerPresence("a", "status")).to.equal("ready");
+            expect(updates).to.deep.equal(["a"]);
+        });
+
+        it("should forget the presence of a peer which disconnected", async () => {
+            const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+            b.setPresence("name", "Bob");
+            await a.openDataConnection("b");
+            await waitFor(() => a.peerPresence("b", "name") === "Bob");
+            b.closePeer();
+            await waitFor(() => !a.connections.has("b"));
+            expect(a.peerPresence("b", "name")).to.equal(undefined);
+            expect(a.presences.has("b")).to.equal(false);
+        });
+    });
+
+    describe("reconnection", () => {
+        const connectPair = async () => {
+            const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+            [a, b].forEach(mesh => {
+                mesh.setAutoReconnect(true);
+                mesh.setReconnectPolicy(3, 1);
+            });
+            await a.openDataConnection("b");
+            await waitFor(() => b.dataConnectionCount() === 1);
+            return [a, b];
+        };
+
+        it("should remove closed connections", async () => {
+            const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+            await a.openDataConnection("b");
+            await waitFor(() => b.dataConnectionCount() === 1);
+            a.closeDataConnection("b");
+            await waitFor(() => b.dataConnectionCount() === 0);
+            expect(a.dataConnectionCount()).to.equal(0);
+        });
+
+        it("should re-dial a lost connection and sync variables", async () => {
+            const [a, b] = await connectPair();
+            b.connections.get("a").close();
+            b.setSharedVar("missed", "while lost");
+            await waitFor(() => a.isDataConnectionOpen("b") && a.reconnectState() === "idle");
+            await waitFor(() => a.sharedVar("missed") === "while lost");
+        });
+
+        it("should not re-dial a connection which the remote closed on purpose", async () => {
+            const [a, b] = await connectPair();
+            b.closeDataConnection("a");
+            await sleep(30);
+            expect(a.dataConnectionCount()).to.equal(0);
+            expect(a.reconnectState()).to.equal("idle");
+        });
+
+        it("should give up re-dialing a vanished peer", async () => {
+            const [a, b] = await connectPair();
+            b.closePeer();
+            await waitFor(() => a.reconnectState() === "failed");
+            expect(a.dataConnectionCount()).to.equal(0);
+        });
+
+        it("should reconnect to the signaling server and sync variables", async () => {
+            const [a, b] = await connectPair();
+            const commands = [];
+            b.connections.get("a").on("data", data => commands.push(data.command));
+            a.peer.disconnect();
+            expect(a.reconnectState()).to.equal("reconnecting");
+            await waitFor(() => a.isPeerOpen());
+            expect(a.reconnectState()).to.equal("idle");
+            await waitFor(() => commands.includes("syncRequest"));
+        });
+
+        it("should not reconnect when it is off", async () => {
+            const [a] = await openMeshes(new LoopbackTransport(), ["a"]);
+            a.peer.disconnect();
+            expect(a.reconnectState()).to.equal("off");
+            await sleep(20);
+            expect(a.isPeerOpen()).to.equal(false);
+        });
+    });
+
+    describe("heartbeat", () => {
+        const connectPair = async () => {
+            const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+            [a, b].forEach(mesh => {
+                mesh.heartbeatInterval = 10;
+                mesh.heartbeatMaxMisses = 2;
+                mesh._startHeartbeat();
+            });
+            await a.openDataConnection("b");
+            await waitFor(() => b.dataConnectionCount() === 1);
+            return [a, b];
+        };
+
+        it("should measure the latency to the peer", async () => {
+            const [a, b] = await connectPair();
+            await waitFor(() => a.latency("b") !== null && b.latency("a") !== null);
+            expect(a.latency("b")).to.be.at.least(0);
+            expect(a.latency("nobody")).to.equal(null);
+        });
+
+        it("should drop a peer which stopped replying", async () => {
+            const [a, b] = await connectPair();
+            const closed = [];
+            a.addMeshEventListener(event => {
+                if (event.type === "dataConnectionClosed") closed.push(event.data);
+            });
+            b.connections.get("a").send = () => {};
+            b._stopHeartbeat();
+            await waitFor(() => a.dataConnectionCount() === 0);
+            expect(closed).to.deep.equal(["b"]);
+        });
+
+        it("should remove the connection when it is closed", async () => {
+            const [a] = await connectPair();
+            a.closeDataConnection("b");
+            expect(a.dataConnectionCount()).to.equal(0);
+            expect(a.latency("b")).to.equal(null);
+        });
+    });
+
+    describe("host-authoritative variables", () => {
+        const connectStar = async () => {
+            const [host, b, c] = await openMeshes(new LoopbackTransport(), ["a", "b", "c"]);
+            await host.openDataConnection("b");
+            await host.openDataConnection("c");
+            await sleep(20);
+            host.becomeVarHost();
+            await sleep(20);
+            return [host, b, c];
+        };
+
+        it("should announce the host to all peers", async () => {
+            const [host, b, c] = await connectStar();
+            expect(host.varHostID).to.equal("a");
+            expect(b.varHostID).to.equal("a");
+            expect(c.varHostID).to.equal("a");
+        });
+
+        it("should apply a client write through the host", async () => {
+            const [host, b, c] = await connectStar();
+            b.setSharedVar("score", 10);
+            expect(b.sharedVar("score")).to.equal(undefined);
+            await waitFor(() => c.sharedVar("score") === 10);
+            expect(host.sharedVar("score")).to.equal(10);
+            expect(b.sharedVar("score")).to.equal(10);
+            expect(host.sharedVars.get("score").sender).to.equal("a");
+        });
+
+        it("should tell the writer the reason of a rejected write", async () => {
+            const [host, b, c] = await connectStar();
+            host.sharedVarWriteValidator = write => (write.value < 0 ? "negative score" : null);
+            const rejections = [];
+            b.addMeshEventListener(event => {
+                if (event.type === "sharedVarRejected") rejections.push([event.data, event.reason]);
+            });
+            b.setSharedVar("score", -1);
+            await waitFor(() => rejections.length === 1);
+            expect(rejections[0]).to.deep.equal(["score", "negative score"]);
+            expect(host.sharedVar("score")).to.equal(undefined);
+            expect(c.sharedVar("score")).to.equal(undefined);
+        });
+
+        it("should ignore direct writes of clients", async () => {
+            const [host, b] = await connectStar();
+            b.useVarHost("");
+            b.setSharedVar("score", 99);
+            await sleep(20);
+            expect(host.sharedVar("score")).to.equal(undefined);
+        });
+
+        it("should migrate the host when the host's connection closes", async () => {
+            const [host, b, c] = await connectStar();
+            await b.openDataConnection("c");
+            await sleep(20);
+            host.closePeer();
+            await waitFor(() => b.varHostID === "b" && c.varHostID === "b");
+            c.setSharedVar("score", 5);
+            await waitFor(() => b.sharedVar("score") === 5);
+        });
+
+        it("should agree on the new host in a line of peers", async () => {
+            const [a, b, host] = await openMeshes(new LoopbackTransport(), ["a", "b", "c"]);
+            await a.openDataConnection("b");
+            await b.openDataConnection("c");
+            await sleep(20);
+            host.becomeVarHost();
+            await waitFor(() => a.varHostID === "c");
+            // Only "b" sees the host leave, and "a" must take the same new host.
+            host.closePeer();
+            await waitFor(() => a.varHostID === "a" && b.varHostID === "a");
+            b.setSharedVar("score", 5);
+            await waitFor(() => a.sharedVar("score") === 5 && b.sharedVar("score") === 5);
+            a.setSharedVar("level", 2);
+            await waitFor(() => b.sharedVar("level") === 2);
+        });
+
+        it("should tell the host to a peer which connects later", async () => {
+            const network = new LoopbackTransport();
+            const [host] = await openMeshes(network, ["a"]);
+            host.becomeVarHost();
+            const [d] = await openMeshes(network, ["d"]);
+            await d.openDataConnection("a");
+            await sleep(20);
+            expect(d.varHostID).to.equal("a");
+        });
+    });
+
+    describe("connection policy", () => {
+        const openDialing = async (acceptor, remoteID) => {
+            try {
+                await acceptor.openDataConnection(remoteID);
+                return null;
+            } catch (e) {
+                return e;
+            }
+        };
+
+        it("should hold a requested connection until it is accepted", async () => {
+            const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+            b.setConnectionPolicy("ask");
+            b.setSharedVar("score", 3);
+            const events = [];
+            b.addMeshEventListener(event => events.push(event));
+            const dialing = a.openDataConnection("b");
+            await waitFor(() => b.pendingDataConnectionIDs().length === 1);
+            expect(events.map(event => event.type)).to.deep.equal(["dataConnectionPending"]);
+            expect(events[0].data).to.equal("a");
+            expect(a.sharedVar("score")).to.equal(undefined);
+            expect(b.acceptDataConnection("a")).to.equal(true);
+            await dialing;
+            await waitFor(() => a.sharedVar("score") === 3);
+            await waitFor(() => events.some(event => event.type === "dataConnectionRequested"));
+            expect(events.find(event => event.type === "dataConnectionRequested").approved).to.equal(true);
+            expect(b.pendingDataConnectionIDs()).to.deep.equal([]);
+        });
+
+        it("should refuse a requested connection which is rejected", async () => {
+            const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+            b.setConnectionPolicy("ask");
+            b.setSharedVar("score", 3);
+            const dialing = openDialing(a, "b");
+            await waitFor(() => b.pendingDataConnectionIDs().length === 1);
+            expect(b.rejectDataConnection("a")).to.equal(true);
+            const error = await dialing;
+            expect(error).to.be.an("error");
+            expect(error.message).to.contain("Rejected");
+            await sleep(20);
+            expect(a.sharedVar("score")).to.equal(undefined);
+            expect(a.isDataConnectionOpen("b")).to.equal(false);
+            expect(b.isDataConnectionOpen("a")).to.equal(false);
+        });
+
+        it("should refuse a requested connection which is not answered", async () => {
+            const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+            b.setConnectionPolicy("ask");
+            b.pendingTimeout = 30;
+            const error = await openDialing(a, "b");
+            expect(error.message).to.contain("No answer");
+            expect(b.pendingDataConnectionIDs()).to.deep.equal([]);
+        });
+
+        it("should accept only the IDs in the allow list", async () => {
+            const [a, b, c] = await openMeshes(new LoopbackTransport(), ["a", "b", "c"]);
+            c.setConnectionPolicy("allow");
+            c.setPolicyIDs(["a"]);
+            expect(await openDialing(a, "c")).to.equal(null);
+            const error = await openDialing(b, "c");
+            expect(error.message).to.contain("Not allowed");
+        });
+
+        it("should refuse the IDs in the deny list", async () => {
+            const [a, b, c] = await openMeshes(new LoopbackTransport(), ["a", "b", "c"]);
+            c.setConnectionPolicy("deny");
+            c.setPolicyIDs(["a"]);
+            const error = await openDialing(a, "c");
+            expect(error.message).to.contain("Denied");
+            expect(await openDialing(b, "c")).to.equal(null);
+        });
+
+        it("should refuse connections over the max peers", async () => {
+            const [a, b, c] = await openMeshes(new LoopbackTransport(), ["a", "b", "c"]);
+            c.setConnectionPolicy("max");
+            c.setMaxPeers(1);
+            expect(await openDialing(a, "c")).to.equal(null);
+            await sleep(20);
+            const error = await openDialing(b, "c");
+            expect(error.message).to.contain("Too many peers");
+        });
+
+        it("should throw for an unknown policy", () => {
+            const mesh = new Mesh(new LoopbackTransport());
+            expect(() => mesh.setConnectionPolicy("maybe")).to.throw("Unknown connection policy");
+        });
+    });
+
+    describe("channels", () => {
+        const receivedEvents = mesh => {
+            const events = [];
+            let event = mesh.nextSharedEvent();
+            while (event) {
+                events.push(event);
+                event = mesh.nextSharedEvent();
+            }
+            return events;
+        };
+
+        it("should keep variables of each channel apart", async () => {
+            const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+            await a.openDataConnection("b");
+            await sleep(20);
+            a.setSharedVar("score", 1);
+            a.setSharedVar("score", 2, "quiz");
+            b.setSharedVar("score", 3, "race");
+            await waitFor(() => b.sharedVar("score", "quiz") === 2 && a.sharedVar("score", "race") === 3);
+            expect(a.sharedVar("score")).to.equal(1);
+            expect(b.sharedVar("score")).to.equal(1);
+            expect(a.sharedVarKeys("quiz")).to.equal("score");
+            expect(a.sharedVarKeys()).to.equal("score");
+        });
+
+        it("should sync variables of the channels in the handshake", async () => {
+            const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+            a.setSharedVar("score", 2, "quiz");
+            await b.openDataConnection("a");
+            await waitFor(() => b.sharedVar("score", "quiz") === 2);
+            expect(b.sharedVar("score")).to.equal(undefined);
+        });
+
+        it("should not sync variables of other channels to a peer which joins", async () => {
+            const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+            a.setSharedVar("score", 1);
+            a.setSharedVar("score", 2, "quiz");
+            a.setSharedVar("score", 3, "race");
+            b.subscribeChannels(["quiz"]);
+            const sent = [];
+            const secureDataConnection = a._secureDataConnection.bind(a);
+            a._secureDataConnection = (connection, accepting) => secureDataConnection(connection, accepting)
+                .then(secured => {
+                    const send = secured.send.bind(secured);
+                    secured.send = data => {
+                        sent.push(data);
+                        send(data);
+                    };
+                    return secured;
+                });
+            await b.openDataConnection("a");
+            await waitFor(() => b.sharedVar("score", "quiz") === 2);
+            expect(b.sharedVar("score")).to.equal(1);
+            expect(sent.some(data => (data.vars || []).some(([, entry]) => entry.channel === "race")))
+                .to.equal(false);
+        });
+
+        it("should not forward channels which the peer does not subscribe to", async () => {
+            const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+            b.subscribeChannels(["quiz"]);
+            await a.openDataConnection("b");
+            await sleep(20);
+            const received = [];
+            b.connections.get("a").on("data", data => received.push(data));
+            a.setSharedVar("score", 2, "quiz");
+            a.setSharedVar("score", 3, "race");
+            a.dispatchSharedEvent("go", 1, "race");
+            a.dispatchSharedEvent("go", 2, "quiz");
+            a.dispatchSharedEvent("go", 3);
+            await waitFor(() => b.sharedVar("score", "quiz") === 2);
+            await sleep(20);
+            expect(received.some(data => data.channel === "race")).to.equal(false);
+            expect(b.sharedVar("score", "race")).to.equal(undefined);
+            expect(receivedEvents(b).map(event => event.eventData)).to.deep.equal([2, 3]);
+        });
+
+        it("should get variables of a channel when it subscribes later", async () => {
+            const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+            b.subscribeChannels(["quiz"]);
+            await a.openDataConnection("b");
+            await sleep(20);
+            a.setSharedVar("score", 3, "race");
+            await sleep(20);
+            expect(b.sharedVar("score", "race")).to.equal(undefined);
+            b.subscribeChannels([]);
+            await waitFor(() => b.sharedVar("score", "race") === 3);
+        });
+
+        it("should write variables of a channel through the host", async () => {
+            const [host, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+            await host.openDataConnection("b");
+            await sleep(20);
+            host.becomeVarHost();
+            const writes = [];
+            host.sharedVarWriteValidator = write => {
+                writes.push(write.channel);
+                return null;
+            };
+            await waitFor(() => b.varHostID === "a");
+            b.setSharedVar("score", 5, "quiz");
+            await waitFor(() => host.sharedVar("score", "quiz") === 5);
+            expect(host.sharedVar("score")).to.equal(undefined);
+            expect(writes).to.deep.equal(["quiz"]);
+        });
+    });
+
+    describe("deletion", () => {
+        const connectPair = async () => {
+            const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+            await a.openDataConnection("b");
+            await sleep(20);
+            return [a, b];
+        };
+
+        it("should delete a variable on all peers", async () => {
+            const [a, b] = await connectPair();
+            a.setSharedVar("score", 1);
+            a.setSharedVar("name", "x");
+            await waitFor(() => b.sharedVar("score") === 1);
+            b.deleteSharedVar("score");
+            await waitFor(() => typeof a.sharedVar("score") === "undefined");
+            expect(a.sharedVarKeyList()).to.deep.equal(["name"]);
+            expect(b.sharedVarKeys()).to.equal("name");
+        });
+
+        it("should not restore a deleted variable by the sync handshake", async () => {
+            const [a, b] = await connectPair();
+            a.setSharedVar("score", 1);
+            await waitFor(() => b.sharedVar("score") === 1);
+            b.closeDataConnection("a");
+            await sleep(20);
+            a.deleteSharedVar("score");
+            await b.openDataConnection("a");
+            await sleep(20);
+            expect(a.sharedVar("score")).to.equal(undefined);
+            expect(b.sharedVar("score")).to.equal(undefined);
+            expect(a.sharedVarSender("score")).to.equal("a");
+        });
+
+        it("should clear all variables of the channel", async () => {
+            const [a, b] = await connectPair();
+            a.setSharedVar("score", 1);
+            a.setSharedVar("name", "x");
+            a.setSharedVar("score", 2, "quiz");
+            await waitFor(() => b.sharedVar("score", "quiz") === 2);
+            b.clearSharedVars();
+            await waitFor(() => a.sharedVarKeyList().length === 0);
+            expect(a.sharedVar("score", "quiz")).to.equal(2);
+        });
+
+        it("should keep keys which contain commas in the list", async () => {
+            const [a] = await connectPair();
+            a.setSharedVar("x,y", 1);
+            a.setSharedVar("z", 2);
+            expect(a.sharedVarKeyList()).to.deep.equal(["x,y", "z"]);
+        });
+
+        it("should notify changes by remote peers", async () => {
+            const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+            const changes = [];
+            b.addMeshEventListener(event => {
+                if (event.type === "sharedVarChanged") changes.push([event.data, event.value, event.sender, event.deleted]);
+            });
+            // The own write is not notified, and the writes of "a" come after it.
+            b.setSharedVar("score", 5);
+            await a.openDataConnection("b");
+            await sleep(20);
+            a.setSharedVar("score", 1);
+            a.setSharedVar("score", 1);
+            a.deleteSharedVar("score");
+            await waitFor(() => changes.length === 2);
+            await sleep(20);
+            expect(changes).to.deep.equal([
+                ["score", 1, "a", false],
+                ["score", null, "a", true]
+            ]);
+        });
+    });
+});
@@ -0,0 +1,224 @@
+import { describe, it, afterEach } from "mocha";
+import { expect } from "chai";
+import Mesh from "../../src/vm/extensions/block/mesh.js";
+import LoopbackTransport from "../../src/vm/extensions/block/loopback-transport.js";
+import { waitFor, sleep } from "./helpers.js";
+
+/**
+ * Make bytes which differ at each position.
+ * @param {number} size - number of the bytes
+ * @returns {Uint8Array} bytes
+ */
+const makeBytes = size => Uint8Array.from({length: size}, (v, i) => (i * 7) % 256);
+
+describe("PayloadTransfer", () => {
+    let meshes = [];
+
+    const openMeshes = async (network, ids) => {
+        const opened = ids.map(() => new Mesh(network));
+        meshes = meshes.concat(opened);
+        await Promise.all(opened.map((mesh, i) => mesh.openPeer(ids[i])));
+        opened.forEach(mesh => {
+            mesh.payloads.chunkSize = 100;
+            mesh.payloads.chunkInterval = 1;
+        });
+        return opened;
+    };
+
+    const collectEvents = (mesh, type) => {
+        const events = [];
+        mesh.addMeshEventListener(event => {
+            if (event.type === type) events.push(event);
+        });
+        return events;
+    };
+
+    afterEach(() => {
+        meshes.forEach(mesh => mesh.closePeer());
+        meshes = [];
+    });
+
+    it("should reassemble a payload which was split into chunks", async () => {
+        const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+        await a.openDataConnection("b");
+        await sleep(20);
+        const received = collectEvents(b, "payloadReceived");
+        const progresses = collectEvents(b, "payloadProgress");
+        const sent = collectEvents(a, "payloadProgress");
+        const bytes = makeBytes(950);
+        const transferID = await a.sendPayload("b", {name: "cat"}, bytes);
+        await waitFor(() => received.length === 1);
+        expect(received[0].data).to.deep.equal({name: "cat"});
+        expect(received[0].sender).to.equal("a");
+        expect(received[0].transferID).to.equal(transferID);
+        expect(Array.from(received[0].bytes)).to.deep.equal(Array.from(bytes));
+        expect(progresses.map(event => event.loaded)).to.deep.equal([
+            100, 200, 300, 400, 500, 600, 700, 800, 900, 950
+        ]);
+        expect(progresses.every(event => event.total === 950)).to.equal(true);
+        expect(sent.length).to.equal(10);
+        expect(sent[9].loaded).to.equal(950);
+    });
+
+    it("should flood a payload to all peers", async () => {
+        const [a, b, c] = await openMeshes(new LoopbackTransport(), ["a", "b", "c"]);
+        await a.openDataConnection("b");
+        await b.openDataConnection("c");
+        await sleep(20);
+        const receivedB = collectEvents(b, "payloadReceived");
+        const receivedC = collectEvents(c, "payloadReceived");
+        await a.sendPayload("", {name: "all"}, makeBytes(250));
+        await waitFor(() => receivedB.length === 1 && receivedC.length === 1);
+        expect(receivedC[0].bytes.length).to.equal(250);
+        await sleep(20);
+        expect(receivedB.length).to.equal(1);
+    });
+
+    it("should route a payload to a peer over multiple hops", async () => {
+        const [a, b, c] = await openMeshes(new LoopbackTransport(), ["a", "b", "c"]);
+        await a.openDataConnection("b");
+        await b.openDataConnection("c");
+        await sleep(20);
+        const receivedB = collectEvents(b, "payloadReceived");
+        const receivedC = collectEvents(c, "payloadReceived");
+        await a.sendPayload("c", {name: "direct"}, makeBytes(120));
+        await waitFor(() => receivedC.length === 1);
+        expect(receivedB.length).to.equal(0);
+    });
+
+    it("should send an empty payload", async () => {
+        const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+        await a.openDataConnection("b");
+        await sleep(20);
+        const received = collectEvents(b, "payloadReceived");
+        await a.sendPayload("b", {name: "empty"}, new Uint8Array(0));
+        await waitFor(() => received.length === 1);
+        expect(received[0].bytes.length).to.equal(0);
+    });
+
+    it("should reject a payload which was broken", async () => {
+        const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+        await a.openDataConnection("b");
+        await sleep(20);
+        const received = collectEvents(b, "payloadReceived");
+        const errors = collectEvents(b, "payloadError");
+        const connection = a.getDataConnection("b");
+        const send = connection.send.bind(connection);
+        connection.send = data => {
+            if (data.type === "payload" && data.index === 1) {
+                send(Object.assign({}, data, {data: btoa("broken")}));
+                return;
+            }
+            send(data);
+        };
+        await a.sendPayload("b", {name: "cat"}, makeBytes(300));
+        await waitFor(() => errors.length === 1);
+        expect(errors[0].error).to.equal("Integrity check failed");
+        expect(errors[0].meta).to.deep.equal({name: "cat"});
+        expect(received.length).to.equal(0);
+    });
+
+    it("should give up a payload whose chunks stopped", async () => {
+        const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+        await a.openDataConnection("b");
+        await sleep(20);
+        b.payloads.receiveTimeout = 30;
+        const errors = collectEvents(b, "payloadError");
+        const connection = a.getDataConnection("b");
+        const send = connection.send.bind(connection);
+        connection.send = data => {
+            if (data.type === "payload" && data.index > 0) return;
+            send(data);
+        };
+        await a.sendPayload("b", {name: "cat"}, makeBytes(300));
+        await waitFor(() => errors.length === 1);
+        expect(errors[0].error).to.equal("Timed out");
+        expect(b.payloads.incoming.size).to.equal(0);
+    });
+
+    it("should fail a payload whose chunk headers are invalid", async () => {
+        const [b] = await openMeshes(new LoopbackTransport(), ["b"]);
+        b.payloads.maxSize = 250;
+        const errors = collectEvents(b, "payloadError");
+        const chunk = (transferID, fields) => Object.assign({
+            type: "payload",
+            transferID,
+            sender: "a",
+            index: 0,
+            count: 3,
+            size: 200,
+            hash: "",
+            meta: {name: transferID},
+            data: btoa("x".repeat(100))
+        }, fields);
+        b.payloads.receive(chunk("huge", {count: 1e12}));
+        b.payloads.receive(chunk("fraction", {count: 1.5}));
+        b.payloads.receive(chunk("index", {index: 3}));
+        b.payloads.receive(chunk("index", {index: 0}));
+        b.payloads.receive(chunk("loaded", {index: 0}));
+        b.payloads.receive(chunk("loaded", {index: 1}));
+        b.payloads.receive(chunk("loaded", {index: 2}));
+        expect(errors.map(event => [event.meta.name, event.error])).to.deep.equal([
+            ["huge", "Invalid chunk"],
+            ["fraction", "Invalid chunk"],
+            ["index", "Invalid chunk"],
+            ["loaded", "Payload is larger than 250 bytes"]
+        ]);
+    });
+
+    it("should fail a payload whose chunk data is not base64", async () => {
+        const [b] = await openMeshes(new LoopbackTransport(), ["b"]);
+        const errors = collectEvents(b, "payloadError");
+        const chunk = (transferID, data) => ({
+            type: "payload",
+            transferID,
+            sender: "a",
+            index: 0,
+            count: 2,
+            size: 200,
+            hash: "",
+            meta: {name: transferID},
+            data
+        });
+        expect(() => b.payloads.receive(chunk("broken", "not base64!"))).to.not.throw();
+        b.payloads.receive(chunk("number", 100));
+        b.payloads.receive(chunk("missing"));
+        expect(errors.map(event => [event.meta.name, event.error])).to.deep.equal([
+            ["broken", "Invalid chunk"],
+            ["number", "Invalid chunk"],
+            ["missing", "Invalid chunk"]
+        ]);
+        expect(Array.from(b.payloads.incoming.values()).every(transfer => transfer.chunks.size === 0))
+            .to.equal(true);
+    });
+
+    it("should fail a payload which cannot be checked without WebCrypto", async () => {
+        const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"]);
+        await a.openDataConnection("b");
+        await sleep(20);
+        const errors = collectEvents(b, "payloadError");
+        const descriptor = Object.getOwnPropertyDescriptor(globalThis, "crypto");
+        await a.sendPayload("b", {name: "cat"}, makeBytes(50));
+        // The receiver has no WebCrypto like a page which is not secure.
+        Object.defineProperty(globalThis, "crypto", {value: {}, configurable: true});
+        try {
+            await waitFor(() => errors.length === 1);
+        } finally {
+            Object.defineProperty(globalThis, "crypto", descriptor);
+        }
+        expect(errors[0].error).to.match(/WebCrypto is not available/);
+        expect(b.payloads.incoming.size).to.equal(0);
+    });
+
+    it("should refuse a payload which is too large", async () => {
+        const [a] = await openMeshes(new LoopbackTransport(), ["a"]);
+        a.payloads.maxSize = 100;
+        let error = null;
+        try {
+            await a.sendPayload("", {name: "large"}, makeBytes(101));
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.equal("Payload is larger than 100 bytes");
+    });
+});
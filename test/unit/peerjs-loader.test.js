@@ -0,0 +1,69 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import PeerJSLoader from "../../src/vm/extensions/block/peerjs-loader.js";
+
+class FakePeer {}
+
+/**
+ * Make a loader which imports from the table instead of network.
+ * @param {Array<string>} sources - sources to try
+ * @param {object} modules - module or error for each source
+ * @returns {PeerJSLoader} loader
+ */
+const makeLoader = (sources, modules) => {
+    const loader = new PeerJSLoader({sources: sources});
+    loader.tried = [];
+    loader._importFrom = source => {
+        loader.tried.push(source);
+        const module = modules[source];
+        return module instanceof Error ? Promise.reject(module) : Promise.resolve(module);
+    };
+    return loader;
+};
+
+describe("PeerJSLoader", () => {
+    it("should load from the first source which succeeded", async () => {
+        const loader = makeLoader(["cdn", "local", "bundled"], {
+            cdn: new Error("blocked"),
+            local: {Peer: FakePeer},
+            bundled: {Peer: FakePeer}
+        });
+        const Peer = await loader.load();
+        expect(Peer).to.equal(FakePeer);
+        expect(loader.loadedSource).to.equal("local");
+        expect(loader.tried).to.deep.equal(["cdn", "local"]);
+    });
+
+    it("should report the reasons of all sources when all failed", async () => {
+        const loader = makeLoader(["cdn", "bundled"], {
+            cdn: new Error("blocked"),
+            bundled: {}
+        });
+        let error = null;
+        try {
+            await loader.load();
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.equal("Failed to load PeerJS (cdn: blocked, bundled: Peer is not exported)");
+        expect(loader.Peer).to.equal(null);
+    });
+
+    it("should retry loading after it failed", async () => {
+        const modules = {cdn: new Error("offline")};
+        const loader = makeLoader(["cdn"], modules);
+        try {
+            await loader.load();
+        } catch (e) {
+            // expected
+        }
+        modules.cdn = {default: {Peer: FakePeer}};
+        const Peer = await loader.load();
+        expect(Peer).to.equal(FakePeer);
+    });
+
+    it("should not accept empty sources", () => {
+        const loader = new PeerJSLoader();
+        expect(() => loader.setSources([])).to.throw();
+    });
+});
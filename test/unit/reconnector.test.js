@@ -0,0 +1,71 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import Reconnector, { ReconnectState } from "../../src/vm/extensions/block/reconnector.js";
+import { waitFor, sleep } from "./helpers.js";
+
+describe("Reconnector", () => {
+    const makeReconnector = () => {
+        const events = [];
+        const reconnector = new Reconnector({_dispatchMeshEvent: event => events.push(event)});
+        reconnector.enabled = true;
+        reconnector.baseDelay = 1;
+        reconnector.maxDelay = 10;
+        return {reconnector, events};
+    };
+
+    it("should grow the delay exponentially with jitter up to the max", () => {
+        const reconnector = new Reconnector(null);
+        reconnector.baseDelay = 100;
+        reconnector.maxDelay = 1000;
+        for (let i = 0; i < 20; i++) {
+            const first = reconnector.backoffDelay(0);
+            expect(first).to.be.within(50, 100);
+            expect(reconnector.backoffDelay(2)).to.be.within(200, 400);
+            expect(reconnector.backoffDelay(10)).to.be.within(500, 1000);
+        }
+    });
+
+    it("should retry until the action succeeds", async () => {
+        const {reconnector, events} = makeReconnector();
+        let attempts = 0;
+        reconnector.schedule("b", () => {
+            attempts++;
+            return attempts < 3 ? Promise.reject(new Error("not yet")) : Promise.resolve();
+        });
+        expect(reconnector.state).to.equal(ReconnectState.RECONNECTING);
+        await waitFor(() => events.length > 0);
+        expect(attempts).to.equal(3);
+        expect(events[0]).to.include({type: "reconnected", data: "b"});
+        expect(reconnector.state).to.equal(ReconnectState.IDLE);
+    });
+
+    it("should give up after the max retries", async () => {
+        const {reconnector, events} = makeReconnector();
+        reconnector.maxRetries = 2;
+        let attempts = 0;
+        reconnector.schedule("b", () => {
+            attempts++;
+            throw new Error("gone");
+        });
+        await waitFor(() => events.length > 0);
+        expect(attempts).to.equal(2);
+        expect(events[0]).to.include({type: "reconnectFailed", data: "b"});
+        expect(reconnector.state).to.equal(ReconnectState.FAILED);
+    });
+
+    it("should not retry when it is disabled or canceled", async () => {
+        const {reconnector} = makeReconnector();
+        let attempts = 0;
+        reconnector.schedule("b", () => {
+            attempts++;
+        });
+        reconnector.cancel("b");
+        reconnector.enabled = false;
+        reconnector.schedule("c", () => {
+            attempts++;
+        });
+        await sleep(30);
+        expect(attempts).to.equal(0);
+        expect(reconnector.state).to.equal(ReconnectState.OFF);
+    });
+});
@@ -0,0 +1,246 @@
+import { describe, it, afterEach } from "mocha";
+import { expect } from "chai";
+import Mesh from "../../src/vm/extensions/block/mesh.js";
+import Replicator, { lerpDirection } from "../../src/vm/extensions/block/replication.js";
+import LoopbackTransport from "../../src/vm/extensions/block/loopback-transport.js";
+import { waitFor, sleep } from "./helpers.js";
+
+/**
+ * Sprite target which has the properties which are replicated.
+ */
+class FakeSprite {
+    constructor (runtime, name) {
+        this.runtime = runtime;
+        this.sprite = {name};
+        this.isStage = false;
+        this.x = 0;
+        this.y = 0;
+        this.direction = 90;
+        this.size = 100;
+        this.visible = true;
+        this.currentCostume = 0;
+        this.costumes = [{name: "cat-a"}, {name: "cat-b"}];
+        this.customState = {};
+    }
+
+    getCostumes () {
+        return this.costumes;
+    }
+
+    getCostumeIndexByName (name) {
+        return this.costumes.findIndex(costume => costume.name === name);
+    }
+
+    getCustomState (key) {
+        return this.customState[key];
+    }
+
+    setXY (x, y) {
+        this.x = x;
+        this.y = y;
+    }
+
+    setDirection (direction) {
+        this.direction = direction;
+    }
+
+    setSize (size) {
+        this.size = size;
+    }
+
+    setVisible (visible) {
+        this.visible = visible;
+    }
+
+    setCostume (index) {
+        this.currentCostume = index;
+    }
+
+    makeClone () {
+        const clone = new FakeSprite(this.runtime, this.sprite.name);
+        Object.assign(clone, {x: this.x, y: this.y, direction: this.direction});
+        return clone;
+    }
+
+    goBehindOther () {}
+}
+
+/**
+ * Make a runtime with a sprite named "Cat".
+ * @returns {object} runtime
+ */
+const makeRuntime = () => {
+    const runtime = {
+        targets: [],
+        bubbles: [],
+        addTarget: target => runtime.targets.push(target),
+        disposeTarget: target => {
+            runtime.targets = runtime.targets.filter(other => other !== target);
+        },
+        stopForTarget: () => {},
+        getSpriteTargetByName: name => runtime.targets.find(target => target.sprite.name === name),
+        emit: (event, target, type, text) => runtime.bubbles.push([event, type, text])
+    };
+    runtime.cat = new FakeSprite(runtime, "Cat");
+    runtime.targets.push(runtime.cat);
+    return runtime;
+};
+
+describe("Replicator", () => {
+    let meshes = [];
+    let replicators = [];
+
+    const connectPair = async () => {
+        const network = new LoopbackTransport();
+        const [a, b] = [new Mesh(network), new Mesh(network)];
+        meshes.push(a, b);
+        await Promise.all([a.openPeer("a"), b.openPeer("b")]);
+        await a.openDataConnection("b");
+        await sleep(20);
+        return [a, b];
+    };
+
+    const makeReplicator = mesh => {
+        const runtime = makeRuntime();
+        const replicator = new Replicator(runtime, mesh);
+        replicator.frameInterval = 5;
+        mesh.addMeshEventListener(event => {
+            if (event.type === "sharedVarChanged") replicator.onSharedVarChanged(event);
+            if (event.type === "dataConnectionClosed") replicator.onPeerLeft(event.data);
+            if (event.type === "peerOpened") replicator.onPeerOpened();
+        });
+        replicators.push(replicator);
+        return [replicator, runtime];
+    };
+
+    const clonesOf = runtime => runtime.targets.filter(target => target !== runtime.cat);
+
+    afterEach(() => {
+        replicators.forEach(replicator => replicator.reset());
+        replicators = [];
+        meshes.forEach(mesh => mesh.closePeer());
+        meshes = [];
+    });
+
+    it("should make a clone which follows the sprite", async () => {
+        const [a, b] = await connectPair();
+        const [sender, senderRuntime] = makeReplicator(a);
+        const [, receiverRuntime] = makeReplicator(b);
+        senderRuntime.cat.setXY(10, 20);
+        sender.replicate(senderRuntime.cat, "player");
+        await waitFor(() => clonesOf(receiverRuntime).length === 1);
+        const clone = clonesOf(receiverRuntime)[0];
+        expect([clone.x, clone.y]).to.deep.equal([10, 20]);
+        senderRuntime.cat.setXY(110, -80);
+        senderRuntime.cat.setCostume(1);
+        senderRuntime.cat.setVisible(false);
+        await waitFor(() => clone.x === 110 && clone.y === -80);
+        expect(clone.currentCostume).to.equal(1);
+        expect(clone.visible).to.equal(false);
+        expect(b.sharedVarKeyList()).to.deep.equal(["player@a"]);
+    });
+
+    it("should move the clone smoothly between the updates", async () => {
+        const [a, b] = await connectPair();
+        const [sender, senderRuntime] = makeReplicator(a);
+        const [, receiverRuntime] = makeReplicator(b);
+        sender.setSendRate(2);
+        sender.replicate(senderRuntime.cat, "player");
+        await waitFor(() => clonesOf(receiverRuntime).length === 1);
+        const clone = clonesOf(receiverRuntime)[0];
+        senderRuntime.cat.setXY(100, 0);
+        await waitFor(() => clone.x > 0 && clone.x < 100, 2000);
+        await waitFor(() => clone.x === 100, 2000);
+    });
+
+    it("should show the say bubble of the sprite", async () => {
+        const [a, b] = await connectPair();
+        const [sender, senderRuntime] = makeReplicator(a);
+        const [, receiverRuntime] = makeReplicator(b);
+        senderRuntime.cat.customState["Scratch.looks"] = {type: "say", text: "hello"};
+        sender.replicate(senderRuntime.cat, "player");
+        await waitFor(() => receiverRuntime.bubbles.length === 1);
+        expect(receiverRuntime.bubbles[0]).to.deep.equal(["SAY", "say", "hello"]);
+    });
+
+    it("should remove the clone when the replication stops", async () => {
+        const [a, b] = await connectPair();
+        const [sender, senderRuntime] = makeReplicator(a);
+        const [, receiverRuntime] = makeReplicator(b);
+        sender.replicate(senderRuntime.cat, "player");
+        await waitFor(() => clonesOf(receiverRuntime).length === 1);
+        expect(sender.stop(senderRuntime.cat)).to.equal(true);
+        await waitFor(() => clonesOf(receiverRuntime).length === 0);
+    });
+
+    it("should remove the clone when the peer left", async () => {
+        const [a, b] = await connectPair();
+        const [sender, senderRuntime] = makeReplicator(a);
+        const [, receiverRuntime] = makeReplicator(b);
+        sender.replicate(senderRuntime.cat, "player");
+        await waitFor(() => clonesOf(receiverRuntime).length === 1);
+        a.closePeer();
+        await waitFor(() => clonesOf(receiverRuntime).length === 0);
+    });
+
+    it("should not give clones of a peer which left to a peer which joins later", async () => {
+        const [a, b] = await connectPair();
+        const c = new Mesh(a.transport);
+        meshes.push(c);
+        const [sender, senderRuntime] = makeReplicator(a);
+        makeReplicator(b);
+        const [, joinerRuntime] = makeReplicator(c);
+        sender.replicate(senderRuntime.cat, "player");
+        await waitFor(() => b.sharedVar("player@a"));
+        a.closePeer();
+        await waitFor(() => b.sharedVar("player@a") === undefined);
+        await c.openPeer("c");
+        await c.openDataConnection("b");
+        await sleep(20);
+        expect(clonesOf(joinerRuntime)).to.have.lengthOf(0);
+        expect(c.sharedVarKeyList()).to.deep.equal([]);
+    });
+
+    it("should remove the clone of a peer several hops away which stopped sending", async () => {
+        const [a, b] = await connectPair();
+        const c = new Mesh(a.transport);
+        meshes.push(c);
+        await c.openPeer("c");
+        await c.openDataConnection("b");
+        await sleep(20);
+        // The peer in the middle does not replicate, so it does not clean up after "a".
+        const [sender, senderRuntime] = makeReplicator(a);
+        const [receiver, receiverRuntime] = makeReplicator(c);
+        sender.keepAliveInterval = 20;
+        receiver.staleTimeout = 100;
+        sender.replicate(senderRuntime.cat, "player");
+        await waitFor(() => clonesOf(receiverRuntime).length === 1);
+        // The sprite does not move, but the states keep the clone.
+        await sleep(300);
+        expect(clonesOf(receiverRuntime)).to.have.lengthOf(1);
+        a.closePeer();
+        await waitFor(() => clonesOf(receiverRuntime).length === 0);
+        expect(c.sharedVar("player@a")).to.equal(undefined);
+        await waitFor(() => b.sharedVar("player@a") === undefined);
+    });
+
+    it("should wait for the peer to open before sending the states", async () => {
+        const network = new LoopbackTransport();
+        const a = new Mesh(network);
+        meshes.push(a);
+        const [sender, senderRuntime] = makeReplicator(a);
+        sender.replicate(senderRuntime.cat, "player");
+        await sleep(20);
+        expect(sender._sendTimer).to.equal(null);
+        expect(a.sharedVarKeyList()).to.deep.equal([]);
+        await a.openPeer("a");
+        expect(a.sharedVarKeyList()).to.deep.equal(["player@a"]);
+        expect(sender._sendTimer).to.not.equal(null);
+    });
+
+    it("should turn through the shorter way", () => {
+        expect(lerpDirection(170, -170, 0.5)).to.equal(180);
+        expect(lerpDirection(-90, 90, 0.5)).to.equal(-180);
+        expect(lerpDirection(10, 30, 0.5)).to.equal(20);
+    });
+});
@@ -0,0 +1,91 @@
+import { describe, it, afterEach } from "mocha";
+import { expect } from "chai";
+import Mesh from "../../src/vm/extensions/block/mesh.js";
+import LoopbackTransport from "../../src/vm/extensions/block/loopback-transport.js";
+import { waitFor } from "./helpers.js";
+
+describe("Room", () => {
+    let meshes = [];
+
+    const openMeshes = async (network, ids) => {
+        const opened = ids.map(() => new Mesh(network));
+        meshes = meshes.concat(opened);
+        await Promise.all(opened.map((mesh, i) => mesh.openPeer(ids[i])));
+        return opened;
+    };
+
+    const join = (mesh, name) => {
+        const joining = mesh.joinRoom(name);
+        mesh.room.handOffDelay = 10;
+        return joining;
+    };
+
+    const connectedIDs = mesh => Array.from(mesh.connections.keys()).sort();
+
+    afterEach(() => {
+        meshes.forEach(mesh => mesh.closePeer());
+        meshes = [];
+    });
+
+    it("should connect all members in the room", async () => {
+        const [a, b, c] = await openMeshes(new LoopbackTransport(), ["a", "b", "c"]);
+        await join(a, "room1");
+        await join(b, "room1");
+        await join(c, "room1");
+        await waitFor(() => [a, b, c].every(mesh => mesh.dataConnectionCount() === 2));
+        expect(a.roomMembers()).to.deep.equal(["a", "b", "c"]);
+        expect(c.roomMembers()).to.deep.equal(["a", "b", "c"]);
+        expect(connectedIDs(a)).to.deep.equal(["b", "c"]);
+        expect(connectedIDs(b)).to.deep.equal(["a", "c"]);
+        expect(a.room.isHost).to.equal(true);
+    });
+
+    it("should not mix members of different rooms", async () => {
+        const [a, b, c] = await openMeshes(new LoopbackTransport(), ["a", "b", "c"]);
+        await join(a, "red");
+        await join(b, "blue");
+        await join(c, "red");
+        await waitFor(() => a.dataConnectionCount() === 1);
+        expect(a.roomMembers()).to.deep.equal(["a", "c"]);
+        expect(b.roomMembers()).to.deep.equal(["b"]);
+        expect(b.dataConnectionCount()).to.equal(0);
+    });
+
+    it("should hand off the host when the host leaves", async () => {
+        const network = new LoopbackTransport();
+        const [a, b, c] = await openMeshes(network, ["a", "b", "c"]);
+        await join(a, "room1");
+        await join(b, "room1");
+        await join(c, "room1");
+        await waitFor(() => c.roomMembers().length === 3);
+        a.leaveRoom();
+        await waitFor(() => b.roomMembers().join() === "b,c" && c.roomMembers().join() === "b,c");
+        expect([b, c].filter(mesh => mesh.room.isHost)).to.have.lengthOf(1);
+        const [d] = await openMeshes(network, ["d"]);
+        await join(d, "room1");
+        await waitFor(() => d.dataConnectionCount() === 2);
+        expect(d.roomMembers()).to.deep.equal(["b", "c", "d"]);
+    });
+
+    it("should hand off the host when the host closes the peer", async () => {
+        const [a, b, c] = await openMeshes(new LoopbackTransport(), ["a", "b", "c"]);
+        await join(a, "room1");
+        await join(b, "room1");
+        await join(c, "room1");
+        await waitFor(() => c.roomMembers().length === 3);
+        a.closePeer();
+        await waitFor(() => b.roomMembers().join() === "b,c" && c.roomMembers().join() === "b,c");
+    });
+
+    it("should not join a room before opening the peer", async () => {
+        const mesh = new Mesh(new LoopbackTransport());
+        let error = null;
+        try {
+            await mesh.joinRoom("room1");
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.an("error");
+        expect(mesh.roomMembers()).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,123 @@
+import { describe, it, afterEach } from "mocha";
+import { expect } from "chai";
+import Mesh from "../../src/vm/extensions/block/mesh.js";
+import LoopbackTransport from "../../src/vm/extensions/block/loopback-transport.js";
+import Emitter from "../../src/vm/extensions/block/emitter.js";
+import { authenticate, deriveKeys, signChallenge } from "../../src/vm/extensions/block/secure-channel.js";
+import { waitFor, sleep } from "./helpers.js";
+
+describe("Passphrase", () => {
+    let meshes = [];
+
+    const openMeshes = async (network, ids, passphrases) => {
+        const opened = ids.map(() => new Mesh(network));
+        meshes = meshes.concat(opened);
+        await Promise.all(opened.map((mesh, i) => mesh.openPeer(ids[i])));
+        opened.forEach((mesh, i) => mesh.setPassphrase(passphrases[i]));
+        return opened;
+    };
+
+    const connectFails = async (mesh, remoteID) => {
+        try {
+            await mesh.openDataConnection(remoteID);
+        } catch (e) {
+            return e;
+        }
+        return null;
+    };
+
+    afterEach(() => {
+        meshes.forEach(mesh => mesh.closePeer());
+        meshes = [];
+    });
+
+    it("should connect peers which share the passphrase", async () => {
+        const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"], ["open sesame", "open sesame"]);
+        b.setSharedVar("secret", "treasure");
+        await a.openDataConnection("b");
+        await waitFor(() => a.sharedVar("secret") === "treasure");
+        a.dispatchSharedEvent("hello", {x: 1});
+        await waitFor(() => b.sharedEventBuffer.some(event => event.eventType === "hello"));
+    });
+
+    it("should derive different keys from the same passphrase with another salt", async () => {
+        const sign = async salt => signChallenge((await deriveKeys("open sesame", salt)).hmacKey, "challenge");
+        expect(await sign("n1:n2")).to.equal(await sign("n1:n2"));
+        expect(await sign("n1:n2")).to.not.equal(await sign("n3:n4"));
+    });
+
+    it("should fail at once when the connection closes or fails during the handshake", async () => {
+        const makeConnection = () => {
+            const connection = new Emitter();
+            connection.send = () => {};
+            return connection;
+        };
+        const handshakeError = async (connection, drop) => {
+            const handshake = authenticate(connection, "open sesame", true, 10000);
+            drop();
+            try {
+                await handshake;
+            } catch (e) {
+                return e;
+            }
+            return null;
+        };
+        const closed = makeConnection();
+        const closeError = await handshakeError(closed, () => closed.emit("close"));
+        expect(closeError.message).to.equal("Connection closed during authentication");
+        const broken = makeConnection();
+        const error = await handshakeError(broken, () => broken.emit("error", new Error("Negotiation failed")));
+        expect(error.message).to.equal("Negotiation failed");
+        [closed, broken].forEach(connection => {
+            ["data", "close", "error"].forEach(event => {
+                expect(connection._listeners.get(event)).to.have.lengthOf(0);
+            });
+        });
+    });
+
+    it("should not send payloads in the clear", async () => {
+        const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"], ["open sesame", "open sesame"]);
+        b.setSharedVar("secret", "treasure");
+        const raw = [];
+        const connect = a.peer.connect.bind(a.peer);
+        a.peer.connect = peerID => {
+            const connection = connect(peerID);
+            connection.on("data", data => raw.push(JSON.stringify(data)));
+            return connection;
+        };
+        await a.openDataConnection("b");
+        await waitFor(() => a.sharedVar("secret") === "treasure");
+        expect(raw.some(text => text.includes("treasure"))).to.equal(false);
+        expect(raw.some(text => text.includes("open sesame"))).to.equal(false);
+    });
+
+    it("should reject a peer with a different passphrase before sharing variables", async () => {
+        const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"], ["open sesame", "wrong"]);
+        b.setSharedVar("secret", "treasure");
+        const error = await connectFails(a, "b");
+        expect(error).to.be.an("error");
+        await sleep(20);
+        expect(a.sharedVar("secret")).to.equal(undefined);
+        expect(a.dataConnectionCount()).to.equal(0);
+        expect(b.dataConnectionCount()).to.equal(0);
+    });
+
+    it("should reject a peer without the passphrase", async () => {
+        const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"], ["", "open sesame"]);
+        b.setSharedVar("secret", "treasure");
+        const error = await connectFails(a, "b");
+        expect(error).to.be.an("error");
+        await sleep(20);
+        expect(a.sharedVar("secret")).to.equal(undefined);
+        expect(b.dataConnectionCount()).to.equal(0);
+    });
+
+    it("should not send variables to a peer which requires a passphrase", async () => {
+        const [a, b] = await openMeshes(new LoopbackTransport(), ["a", "b"], ["open sesame", ""]);
+        a.setSharedVar("secret", "treasure");
+        const error = await connectFails(a, "b");
+        expect(error).to.be.an("error");
+        await sleep(20);
+        expect(b.sharedVar("secret")).to.equal(undefined);
+    });
+});
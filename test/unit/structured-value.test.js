@@ -0,0 +1,40 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import { parseJSONValue, valueAtPath, toScratchValue, toScratchList } from "../../src/vm/extensions/block/structured-value.js";
+
+describe("structured value", () => {
+    it("should parse JSON text of objects and arrays only", () => {
+        expect(parseJSONValue("[1, 2]")).to.deep.equal([1, 2]);
+        expect(parseJSONValue("{\"x\": 1}")).to.deep.equal({x: 1});
+        expect(parseJSONValue("12")).to.equal("12");
+        expect(parseJSONValue("[broken")).to.equal("[broken");
+    });
+
+    it("should get the value at the path", () => {
+        const value = {players: [{name: "cat", pos: [10, 20]}]};
+        expect(valueAtPath(value, "players[0].name")).to.equal("cat");
+        expect(valueAtPath(value, "players.0.pos.1")).to.equal(20);
+        expect(valueAtPath(value, "")).to.equal(value);
+        expect(valueAtPath(value, "players[1].name")).to.be.an("undefined");
+    });
+
+    it("should look up the path in JSON text", () => {
+        expect(valueAtPath("{\"a\": {\"b\": true}}", "a.b")).to.equal(true);
+        expect(valueAtPath({a: "[3, 4]"}, "a[1]")).to.equal(4);
+        expect(valueAtPath("text", "a")).to.be.an("undefined");
+    });
+
+    it("should convert values for Scratch reporters", () => {
+        expect(toScratchValue(3)).to.equal(3);
+        expect(toScratchValue(false)).to.equal(false);
+        expect(toScratchValue(null)).to.equal("");
+        expect(toScratchValue([1, "a"])).to.equal("[1,\"a\"]");
+    });
+
+    it("should convert values to list items", () => {
+        expect(toScratchList([1, {a: 2}, null])).to.deep.equal([1, "{\"a\":2}"]);
+        expect(toScratchList("[\"x\", true]")).to.deep.equal(["x", true]);
+        expect(toScratchList("text")).to.deep.equal(["text"]);
+        expect(toScratchList(null)).to.deep.equal([]);
+    });
+});